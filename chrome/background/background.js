@@ -4,7 +4,33 @@
  */
 
 import { getRandomDhikr } from '../shared/dhikr.js';
-import { getSuraAudioUrl as getSuraAudioUrlShared } from '../shared/audio-urls.js';
+import { resolveSuraPlayback } from '../shared/audio-urls.js';
+import { AUDIO_QUALITY_KEY, resolveAudioQuality } from '../shared/audio-quality.js';
+import { SURAH_PLAYLISTS_KEY, activatePlaylist, setActiveIndex } from '../shared/surah-playlists.js';
+import { getAutoplayStep } from '../shared/autoplay.js';
+import { firstTrackUrl, changesNextSurah } from '../shared/prefetch.js';
+import {
+  SLEEP_TIMER_KEY,
+  SLEEP_TIMER_ALARM,
+  createSleepTimer,
+  extendSleepTimer,
+  countSurahEnd,
+  sleepFadeStart
+} from '../shared/sleep-timer.js';
+import {
+  OFFLINE_INDEX_KEY,
+  addOfflineDownload,
+  deleteOfflineAudio,
+  findOfflineDownload,
+  removeOfflineDownload,
+  saveOfflineAudio
+} from '../shared/offline-audio.js';
+import {
+  findReciterEntry,
+  getAlternateKeys,
+  getFailoverKeys,
+  playWithFailover
+} from '../shared/provider-failover.js';
 import { fetchReciters } from '../shared/reciter-catalogue.js';
 import { probeCoverage } from '../shared/reciter-coverage.js';
 
@@ -46,30 +72,61 @@ function scheduleCoverageProbe() {
   });
 }
 
-// Sleep timer: pauses audio after the user-chosen duration. setTimeout is
-// safe here because active playback keeps the service worker alive.
-let sleepTimerHandle = null;
+// Sleep timer. The timer lives in storage and a deadline timer wakes the
+// worker through an alarm, so neither is lost when the service worker is
+// stopped mid-recitation. Surah-count timers are settled in handleTrackEnded.
+async function scheduleSleepTimer(timer) {
+  await chrome.alarms.clear(SLEEP_TIMER_ALARM);
+  const fadeAt = sleepFadeStart(timer);
+  if (fadeAt !== null) chrome.alarms.create(SLEEP_TIMER_ALARM, { when: fadeAt });
+}
 
-function cancelSleepTimer() {
-  if (sleepTimerHandle) {
-    clearTimeout(sleepTimerHandle);
-    sleepTimerHandle = null;
-  }
+async function setSleepTimer(choice) {
+  const timer = createSleepTimer(choice);
+  await chrome.storage.local.set({ [SLEEP_TIMER_KEY]: timer });
+  await scheduleSleepTimer(timer);
+  await sendToAudioHost({ action: 'cancelFadeOut' });
+  // A surah-count timer may now end on the surah playing.
+  refreshPrefetch().catch((error) => console.error('Background: Prefetch failed:', error));
+  return timer;
 }
 
-function setSleepTimer(minutes) {
-  cancelSleepTimer();
-  const m = Number(minutes);
-  if (!m || m <= 0) return;
-  sleepTimerHandle = setTimeout(async () => {
-    sleepTimerHandle = null;
-    try {
-      await createOffscreenDocumentIfNeeded();
-      await chrome.runtime.sendMessage({ action: 'pauseAudio' });
-    } catch (err) {
-      console.error('Background: Sleep timer pause failed:', err);
-    }
-  }, m * 60_000);
+async function cancelSleepTimer() {
+  await chrome.storage.local.set({ [SLEEP_TIMER_KEY]: null });
+  await chrome.alarms.clear(SLEEP_TIMER_ALARM);
+}
+
+async function extendCurrentSleepTimer() {
+  const { [SLEEP_TIMER_KEY]: current } = await chrome.storage.local.get(SLEEP_TIMER_KEY);
+  const timer = extendSleepTimer(current);
+  if (!timer) return null;
+  await chrome.storage.local.set({ [SLEEP_TIMER_KEY]: timer });
+  await scheduleSleepTimer(timer);
+  // An extension during the fade brings the volume straight back.
+  await sendToAudioHost({ action: 'cancelFadeOut' });
+  refreshPrefetch().catch((error) => console.error('Background: Prefetch failed:', error));
+  return timer;
+}
+
+// The timer stays stored until its deadline passes so the countdown can
+// still be extended while the volume is fading.
+async function startSleepFade() {
+  const { [SLEEP_TIMER_KEY]: timer } = await chrome.storage.local.get(SLEEP_TIMER_KEY);
+  if (typeof timer?.deadline !== 'number') return;
+  await sendToAudioHost({ action: 'fadeOutAudio', durationMs: Math.max(0, timer.deadline - Date.now()) });
+}
+
+// Messages the audio host only if it exists; with no offscreen document
+// nothing is playing and there is nothing to fade. Returns the host's
+// response, or null.
+async function sendToAudioHost(message) {
+  try {
+    if (!(await chrome.offscreen.hasDocument())) return null;
+    return await chrome.runtime.sendMessage(message);
+  } catch (err) {
+    console.error(`Background: ${message.action} failed:`, err);
+    return null;
+  }
 }
 
 let dhikrTimeoutId = null;
@@ -124,6 +181,20 @@ async function handleMessage(message, sender, sendResponse) {
       return;
     }
     
+    // Media-key next/previous and end-of-track reports arrive from the
+    // offscreen document, which owns the audio element. Handled before the
+    // loop guard below on purpose.
+    if (message.action === 'skipTrack') {
+      await playAdjacentSura(message.suraId, message.reciterKey, message.direction, message.sourceKey);
+      sendResponse({ success: true });
+      return;
+    }
+    if (message.action === 'trackEnded') {
+      await handleTrackEnded(message);
+      sendResponse({ success: true });
+      return;
+    }
+
     // Ignore messages from the offscreen document itself to prevent loops
     if (!sender.tab && sender.url && sender.url.includes('offscreen.html')) {
       console.log('Background: Ignoring message from offscreen document to prevent loops');
@@ -167,21 +238,41 @@ async function handleMessage(message, sender, sendResponse) {
         message.action === 'pauseAudio' ||
         message.action === 'resumeAudio' ||
         message.action === 'seekAudio' ||
+        message.action === 'setPlaybackRate' ||
+        message.action === 'setVolume' ||
         message.action === 'getAudioState') {
 
       console.log(`Background received message: ${message.action}`, message);
       // Any user-initiated pause cancels a pending sleep timer.
-      if (message.action === 'pauseAudio') cancelSleepTimer();
+      if (message.action === 'pauseAudio') await cancelSleepTimer();
       await handleAudioMessage(message, sendResponse);
       return;
     }
 
-    if (message.action === 'setSleepTimer') {
-      setSleepTimer(message.minutes);
+    if (message.action === 'downloadSura') {
+      const entry = await downloadSura(message);
+      sendResponse({ success: true, entry });
+      return;
+    }
+
+    if (message.action === 'removeDownload') {
+      await removeDownload(message);
       sendResponse({ success: true });
       return;
     }
 
+    if (message.action === 'setSleepTimer') {
+      const timer = await setSleepTimer(message.choice);
+      sendResponse({ success: true, timer });
+      return;
+    }
+
+    if (message.action === 'extendSleepTimer') {
+      const timer = await extendCurrentSleepTimer();
+      sendResponse({ success: Boolean(timer), timer });
+      return;
+    }
+
     // Handle unknown actions
     console.error('Background: Unknown action received:', message.action);
     sendResponse({ success: false, error: `Unknown action: ${message.action}` });
@@ -274,12 +365,11 @@ async function handleAudioMessage(message, sendResponse) {
       sendResponse({ success: false, error: offscreenResponse.error || 'Audio playback failed' });
     } else {
       console.log('Background: Sending successful response to popup');
-      
+      sendResponse(offscreenResponse);
       if (message.action === 'playAudio') {
-        startAudioMonitoring();
+        prefetchNextSura(message.suraId, message.reciterKey, message.sourceKey || message.reciterKey, message.mode)
+          .catch((error) => console.error('Background: Prefetch failed:', error));
       }
-      
-      sendResponse(offscreenResponse);
     }
     
   } catch (error) {
@@ -418,7 +508,74 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   } else if (alarm.name === COVERAGE_PROBE_ALARM) {
     console.log('Background: Coverage probe alarm triggered');
     runCoverageProbe();
+  } else if (alarm.name === SLEEP_TIMER_ALARM) {
+    console.log('Background: Sleep timer alarm triggered');
+    startSleepFade().catch((err) => console.error('Background: Sleep timer fade failed:', err));
+  }
+});
+
+// Keyboard shortcuts declared under `commands` in the manifest. They run with
+// the popup closed, so everything goes through the same audio and dhikr paths
+// the popup uses instead of a popup round trip.
+const SEEK_STEP_SECONDS = 10;
+
+// handleAudioMessage answers through a callback; a command has nobody to
+// answer, so collect the response as a promise instead.
+function runAudioAction(message) {
+  return new Promise((resolve) => handleAudioMessage(message, resolve));
+}
+
+async function getCommandAudioState() {
+  const response = await runAudioAction({ action: 'getAudioState' });
+  if (response?.state?.audioUrl) return response.state;
+  // A freshly created audio host may not have read storage yet.
+  const { audioState } = await chrome.storage.local.get('audioState');
+  return audioState?.audioUrl ? audioState : null;
+}
+
+async function handleCommand(command) {
+  if (command === 'next-dhikr') {
+    // The reminder style lives in storage; the in-memory copy resets whenever
+    // the background restarts.
+    const { dhikrSettings } = await chrome.storage.local.get('dhikrSettings');
+    if (dhikrSettings?.mode) dhikrReminderMode = dhikrSettings.mode;
+    await showDhikrNotification(false);
+    return;
+  }
+
+  const state = await getCommandAudioState();
+  if (!state) return;
+
+  switch (command) {
+    case 'toggle-playback':
+      if (state.isPlaying) {
+        await cancelSleepTimer();
+        await runAudioAction({ action: 'pauseAudio' });
+      } else {
+        await runAudioAction({ action: 'resumeAudio' });
+      }
+      break;
+    case 'next-surah':
+    case 'previous-surah':
+      await playAdjacentSura(state.suraId, state.reciterKey, command === 'next-surah' ? 'next' : 'previous', state.sourceKey);
+      break;
+    case 'seek-forward':
+    case 'seek-backward': {
+      const delta = command === 'seek-forward' ? SEEK_STEP_SECONDS : -SEEK_STEP_SECONDS;
+      const limit = state.duration > 0 ? state.duration : Infinity;
+      const time = Math.min(Math.max((state.currentTime || 0) + delta, 0), limit);
+      await runAudioAction({ action: 'seekAudio', time });
+      break;
+    }
+    default:
+      console.warn('Background: Unknown command:', command);
   }
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch((error) => {
+    console.error('Background: Command failed:', command, error);
+  });
 });
 
 async function showDhikrNotification(isTest = false) {
@@ -572,111 +729,197 @@ chrome.runtime.onInstalled.addListener(async () => {
   scheduleCoverageProbe();
 });
 
-// --- AUDIO MONITORING FOR AUTOPLAY ---
-
-let audioMonitoringInterval = null;
-
-async function startAudioMonitoring() {
-  if (audioMonitoringInterval) {
-    clearInterval(audioMonitoringInterval);
-  }
-  
-  console.log('Background: Starting audio monitoring for autoplay');
-  
-  audioMonitoringInterval = setInterval(async () => {
-    try {
-      // Check if offscreen document exists
-      const hasDocument = await chrome.offscreen.hasDocument();
-      if (!hasDocument) {
-        console.log('Background: No offscreen document, stopping audio monitoring');
-        stopAudioMonitoring();
-        return;
-      }
-      
-      // Get current audio state
-      const response = await chrome.runtime.sendMessage({ action: 'getAudioState' });
-      if (!response?.success || !response.state?.audioUrl) {
-        // No active audio, stop monitoring
-        stopAudioMonitoring();
-        return;
-      }
-      
-      const state = response.state;
-      
-      // Check if audio finished
-      if (!state.isPlaying && 
-          state.currentTime >= state.duration && 
-          state.duration > 0 && 
-          state.currentTime > 0) {
-        
-        console.log('Background: Audio finished, checking autoplay settings');
-        
-        // Get user settings to check if autoplay is enabled
-        const { userSelections } = await chrome.storage.local.get('userSelections');
-        
-        if (userSelections?.autoplayEnabled) {
-          console.log('Background: Autoplay enabled, triggering next sura');
-          await handleAutoplayNext(state.suraId, state.reciterKey);
-        } else {
-          console.log('Background: Autoplay disabled, stopping monitoring');
-          stopAudioMonitoring();
-        }
-      }
-      
-    } catch (error) {
-      console.error('Background: Audio monitoring error:', error);
+// --- AUTOPLAY ---
+
+// The audio host reports the end of its last track with `trackEnded`. This is
+// the only place that decides whether to roll on to the next surah; the popup
+// just observes the result. When prefetch already confirmed the next surah
+// the host has started it by itself (`startedNext`), and only the
+// bookkeeping is left here.
+async function handleTrackEnded({ suraId, reciterKey, sourceKey, mode, startedNext = null }) {
+  if (!suraId || !reciterKey) return;
+  const { userSelections, [SLEEP_TIMER_KEY]: sleepTimer } = await chrome.storage.local.get(['userSelections', SLEEP_TIMER_KEY]);
+  // Count the surah against a surah-based sleep timer even when playback
+  // stops here anyway, so it does not linger and cut a later surah short. A
+  // surah ending during the fade stops here as well.
+  const { timer, stop } = countSurahEnd(sleepTimer, Date.now());
+  if (timer !== sleepTimer) await chrome.storage.local.set({ [SLEEP_TIMER_KEY]: timer });
+  if (startedNext) {
+    // A setting changed too late for refreshPrefetch to reach the host; stop
+    // the surah it rolled on to.
+    if (stop || !userSelections?.autoplayEnabled) {
+      await sendToAudioHost({ action: 'pauseAudio' });
+      return;
     }
-  }, 2000);
-}
-
-function stopAudioMonitoring() {
-  if (audioMonitoringInterval) {
-    clearInterval(audioMonitoringInterval);
-    audioMonitoringInterval = null;
-    console.log('Background: Stopped audio monitoring');
+    await finishSuraChange({ ...startedNext, reciterKey, playbackMode: userSelections.playbackMode });
+    return;
+  }
+  if (stop) {
+    console.log('Background: Sleep timer reached, not starting the next surah');
+    return;
+  }
+  // A memorisation session ends where the user asked it to.
+  if (mode === 'hifz') return;
+  if (!userSelections?.autoplayEnabled) {
+    console.log('Background: Surah finished, autoplay is off');
+    return;
   }
+  await playAdjacentSura(suraId, reciterKey, 'next', sourceKey, { autoplay: true });
 }
 
-async function handleAutoplayNext(currentSuraId, reciterKey) {
+// Shared by autoplay (always 'next') and the media-key next/previous
+// handlers. shared/autoplay.js picks the surah: the active surah playlist or
+// the mushaf order, shaped by the user's autoplay mode. Starts with the
+// provider that served the previous surah and fails over to the reciter's
+// other keys.
+async function playAdjacentSura(currentSuraId, reciterKey, direction = 'next', sourceKey = null, { autoplay = false } = {}) {
   try {
-    console.log(`Background: Autoplay moving from Sura ${currentSuraId} to next`);
-    
-    const currentId = parseInt(currentSuraId);
-    const nextSuraId = currentId >= 114 ? '1' : (currentId + 1).toString();
-    
-    console.log(`Background: Playing next sura: ${nextSuraId} with reciter: ${reciterKey}`);
-    
-    const audioUrl = await getNextSuraAudioUrl(reciterKey, nextSuraId);
+    const { userSelections: selections, [SURAH_PLAYLISTS_KEY]: playlists } =
+      await chrome.storage.local.get(['userSelections', SURAH_PLAYLISTS_KEY]);
+    const playbackMode = selections?.playbackMode;
+    const autoplayMode = selections?.autoplayMode;
+    const cached = prefetchedPlayback;
+    prefetchedPlayback = null;
+    // Autoplay reuses the step the prefetch already took, so a shuffle plays
+    // the surah that was buffered.
+    const step = (autoplay && cached?.fromSuraId === String(currentSuraId) && cached.autoplayMode === autoplayMode)
+      ? cached.step
+      : getAutoplayStep(playlists, currentSuraId, { direction, mode: autoplayMode, manual: !autoplay });
+    if (!step.suraId) {
+      // A playlist that ran out is done; the stop modes and a previous
+      // before the first entry just leave playback where it is.
+      if (step.playlistFinished) {
+        await chrome.storage.local.set({ [SURAH_PLAYLISTS_KEY]: activatePlaylist(playlists, null) });
+        console.log('Background: Surah playlist finished');
+      }
+      return;
+    }
+    const targetSuraId = step.suraId;
+    console.log(`Background: Moving from Sura ${currentSuraId} to ${targetSuraId} with reciter: ${reciterKey}`);
     
-    const playResponse = await chrome.runtime.sendMessage({
-      action: 'playAudio',
-      audioUrl: audioUrl,
-      suraId: nextSuraId,
-      reciterKey: reciterKey,
-    });
+    // A downloaded copy wins over streaming, so its provider goes first.
+    const download = await loadOfflineDownload(reciterKey, targetSuraId);
+    const keys = getFailoverKeys(reciterKey, await loadAlternateKeys(reciterKey), download?.sourceKey || sourceKey);
     
-    if (playResponse?.success) {
-      // Update user selections to reflect the new sura
-      const { userSelections } = await chrome.storage.local.get('userSelections');
-      if (userSelections) {
-        userSelections.suraId = nextSuraId;
-        userSelections.timestamp = Date.now();
-        await chrome.storage.local.set({ userSelections });
-        console.log('Background: Updated user selections for autoplay');
-      }
+    const { sourceKey: servedKey } = await playWithFailover(keys, async (key) => {
+      const { audioUrl, playlist } = (
+        cached?.suraId === targetSuraId && cached.sourceKey === key && cached.playbackMode === playbackMode
+      ) ? cached : await getNextSuraPlayback(key, targetSuraId, playbackMode, key === download?.sourceKey ? download : null);
       
-      console.log('Background: Autoplay successful, continuing monitoring');
-    } else {
-      console.error('Background: Autoplay failed:', playResponse?.error);
-      stopAudioMonitoring();
-    }
+      const playResponse = await chrome.runtime.sendMessage({
+        action: 'playAudio',
+        audioUrl: audioUrl,
+        playlist: playlist,
+        suraId: targetSuraId,
+        reciterKey: reciterKey,
+        sourceKey: key,
+      });
+      if (!playResponse?.success) {
+        throw new Error(playResponse?.error || 'Audio playback failed');
+      }
+    });
     
+    await finishSuraChange({ suraId: targetSuraId, reciterKey, sourceKey: servedKey, playbackMode, index: step.index });
   } catch (error) {
-    console.error('Background: Autoplay error:', error);
-    stopAudioMonitoring();
+    console.error('Background: Sura change error:', error);
   }
 }
 
+// Everything after the host starts another surah, whether the background
+// loaded it or the host rolled on to the one confirmed at prefetch time.
+// `index` is the position in the active surah playlist, or null.
+async function finishSuraChange({ suraId, reciterKey, sourceKey, playbackMode, index }) {
+  // Update user selections to reflect the new sura
+  const { userSelections } = await chrome.storage.local.get('userSelections');
+  if (userSelections) {
+    userSelections.suraId = suraId;
+    userSelections.timestamp = Date.now();
+    await chrome.storage.local.set({ userSelections });
+    console.log('Background: Updated user selections for the new sura');
+  }
+  
+  if (index !== null) {
+    // Re-read so edits made in the popup while the surah loaded survive.
+    const { [SURAH_PLAYLISTS_KEY]: latest } = await chrome.storage.local.get(SURAH_PLAYLISTS_KEY);
+    await chrome.storage.local.set({ [SURAH_PLAYLISTS_KEY]: setActiveIndex(latest, index) });
+  }
+  
+  console.log('Background: Sura change successful via', sourceKey);
+  prefetchNextSura(suraId, reciterKey, sourceKey, playbackMode)
+    .catch((error) => console.error('Background: Prefetch failed:', error));
+}
+
+async function loadOfflineDownload(reciterKey, suraId) {
+  const { [OFFLINE_INDEX_KEY]: index } = await chrome.storage.local.get(OFFLINE_INDEX_KEY);
+  return findOfflineDownload(index, reciterKey, suraId);
+}
+
+// The popup caches the deduplicated catalogue; that is where a reciter's
+// other provider keys live.
+async function loadAlternateKeys(reciterKey) {
+  const { reciterCache } = await chrome.storage.local.get('reciterCache');
+  return getAlternateKeys(findReciterEntry(reciterCache?.reciters, reciterKey), reciterKey);
+}
+
+// Playback for the surah autoplay will move to, resolved while the current
+// one plays so the host can buffer it and the switch needs no lookups.
+// sourceKey is the provider key that is serving the current surah. Unless a
+// sleep timer ends on the current surah, the host also gets the playback as
+// `next` and starts it itself when the surah ends; every path that does not
+// confirm a next surah clears the one the host may still hold.
+let prefetchedPlayback = null;
+
+async function prefetchNextSura(suraId, reciterKey, sourceKey, mode) {
+  prefetchedPlayback = null;
+  const clearNext = () => sendToAudioHost({ action: 'prefetchAudio', url: null, next: null });
+  if (!suraId || !sourceKey || mode === 'hifz') return clearNext();
+  const { userSelections, [SURAH_PLAYLISTS_KEY]: playlists, [SLEEP_TIMER_KEY]: sleepTimer } =
+    await chrome.storage.local.get(['userSelections', SURAH_PLAYLISTS_KEY, SLEEP_TIMER_KEY]);
+  if (!userSelections?.autoplayEnabled) return clearNext();
+  const { playbackMode, autoplayMode } = userSelections;
+  const step = getAutoplayStep(playlists, suraId, { mode: autoplayMode });
+  if (!step.suraId) return clearNext();
+  const nextSuraId = step.suraId;
+  const download = await loadOfflineDownload(reciterKey, nextSuraId);
+  const nextKey = download?.sourceKey || sourceKey;
+  const playback = await getNextSuraPlayback(nextKey, nextSuraId, playbackMode, download);
+  prefetchedPlayback = {
+    ...playback,
+    suraId: nextSuraId,
+    sourceKey: nextKey,
+    playbackMode,
+    fromSuraId: String(suraId),
+    autoplayMode,
+    step
+  };
+  const next = countSurahEnd(sleepTimer, Date.now()).stop ? null : {
+    audioUrl: playback.audioUrl,
+    playlist: playback.playlist,
+    suraId: nextSuraId,
+    sourceKey: nextKey,
+    index: step.index
+  };
+  // A downloaded surah loads from Cache Storage at once; nothing to buffer.
+  await chrome.runtime.sendMessage({
+    action: 'prefetchAudio',
+    url: playback.fromOffline ? null : firstTrackUrl(playback),
+    next
+  });
+}
+
+// Resolves the next surah again for the surah the host is playing, after a
+// change that may have made the confirmed one wrong.
+async function refreshPrefetch() {
+  const state = (await sendToAudioHost({ action: 'getAudioState' }))?.state;
+  if (!state?.suraId || !state.reciterKey) return;
+  await prefetchNextSura(state.suraId, state.reciterKey, state.sourceKey || state.reciterKey, state.mode);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changesNextSurah(changes)) return;
+  refreshPrefetch().catch((error) => console.error('Background: Prefetch failed:', error));
+});
+
 // Cache for MP3Quran catalogue lookups to avoid hitting the API repeatedly.
 const mp3quranCache = {};
 
@@ -694,12 +937,58 @@ async function getMp3QuranReciterById(id) {
   }
 }
 
-async function getNextSuraAudioUrl(reciterKey, suraId) {
-  return getSuraAudioUrlShared(reciterKey, suraId, {
+async function getNextSuraPlayback(reciterKey, suraId, mode = 'surah', offline = null) {
+  const { [AUDIO_QUALITY_KEY]: preference } = await chrome.storage.local.get(AUDIO_QUALITY_KEY);
+  return resolveSuraPlayback(reciterKey, suraId, {
+    mode,
+    offline,
+    quality: resolveAudioQuality(preference, navigator.connection),
     resolveMp3Reciter: async (_key, rawId) => getMp3QuranReciterById(rawId)
   });
 }
 
+// --- OFFLINE DOWNLOADS ---
+
+// Downloads one surah file into Cache Storage, failing over across the
+// reciter's providers like playback does, and records it in the index.
+async function downloadSura({ suraId, reciterKey, reciterName }) {
+  if (!suraId || !reciterKey) throw new Error('Choose a surah and a reciter first');
+  const existing = await loadOfflineDownload(reciterKey, suraId);
+  if (existing) return existing;
+  const keys = getFailoverKeys(reciterKey, await loadAlternateKeys(reciterKey));
+  const { sourceKey, result } = await playWithFailover(keys, async (key) => {
+    const { audioUrl } = await getNextSuraPlayback(key, suraId, 'surah');
+    const bytes = await saveOfflineAudio(audioUrl);
+    return { url: audioUrl, bytes };
+  });
+  const entry = {
+    reciterKey,
+    sourceKey,
+    reciterName: reciterName || null,
+    suraId: String(suraId),
+    url: result.url,
+    bytes: result.bytes,
+    savedAt: Date.now()
+  };
+  // Re-read the index: other downloads may have finished in the meantime.
+  const { [OFFLINE_INDEX_KEY]: index } = await chrome.storage.local.get(OFFLINE_INDEX_KEY);
+  await chrome.storage.local.set({ [OFFLINE_INDEX_KEY]: addOfflineDownload(index, entry) });
+  return entry;
+}
+
+async function removeDownload({ suraId, reciterKey }) {
+  const { [OFFLINE_INDEX_KEY]: index } = await chrome.storage.local.get(OFFLINE_INDEX_KEY);
+  const entry = findOfflineDownload(index, reciterKey, suraId);
+  if (!entry) return;
+  const remaining = removeOfflineDownload(index, reciterKey, suraId);
+  // Alt keys of one reciter can point at the same file; keep it while any
+  // entry still uses it.
+  if (!Object.values(remaining).some((other) => other.url === entry.url)) {
+    await deleteOfflineAudio(entry.url);
+  }
+  await chrome.storage.local.set({ [OFFLINE_INDEX_KEY]: remaining });
+}
+
 // Add new function to handle setTimeout-based notifications
 function scheduleNextDhikrTimeout() {
   if (!dhikrNotificationsActive) {
@@ -3,36 +3,64 @@
  * Manages Qur'an audio playback with full controls
  */
 
-const audioPlayer = document.getElementById('quran-player');
+import { isAllowedAudioHost } from '../shared/audio-urls.js';
+import { clampPlaybackRate } from '../shared/playback-rate.js';
+import { bindMediaSessionHandlers, updateMediaSession } from '../shared/media-session.js';
+import { AUDIO_EVENTS_PORT, buildAudioEvent } from '../shared/audio-events.js';
+import { shouldStartPrefetch } from '../shared/prefetch.js';
+import { getOfflineAudio } from '../shared/offline-audio.js';
+import { createListeningTracker } from '../shared/listening-history.js';
+import { recordSurahCompletion, isSeekAhead } from '../shared/khatmah.js';
+import { recordResumePoint } from '../shared/resume-points.js';
+import { recordMeasuredBitrate } from '../shared/audio-quality.js';
+import { fadeVolumeFactor } from '../shared/sleep-timer.js';
+import { VOLUME_SETTINGS_KEY, normaliseVolumeSettings, createLoudnessNormaliser } from '../shared/volume.js';
+import { fetchAyahTimings, findAyahAt } from '../shared/quran-text.js';
+import { nextPlaylistStep } from '../shared/hifz.js';
+
+const ARTWORK_URL = chrome.runtime.getURL('assets/icon128.png');
+const listeningTracker = createListeningTracker(chrome.storage.local);
+const loudnessNormaliser = createLoudnessNormaliser();
+
+// The two elements trade places when a prefetched surah is swapped in, so
+// audioPlayer always names the one that is playing.
+let audioPlayer = document.getElementById('quran-player');
+let standbyPlayer = document.getElementById('quran-prefetch');
+// URL of the next surah's first track as resolved by the background; loaded
+// into the standby element once the current surah is nearly over.
+let pendingPrefetchUrl = null;
+// The next surah's playback once the background has confirmed autoplay will
+// move to it: { audioUrl, playlist, suraId, sourceKey, index }. The host
+// starts it itself when the surah ends.
+let confirmedNext = null;
+// Object URL of a downloaded surah and the network URL it stands in for.
+let localSource = { url: null, objectUrl: null };
 let currentAudioState = {
   isPlaying: false,
   currentTime: 0,
   duration: 0,
   audioUrl: null,
   suraId: null,
-  reciterKey: null
+  reciterKey: null,
+  // Key that actually served the audio; an altId of reciterKey after a
+  // provider failover.
+  sourceKey: null,
+  reciterName: null,
+  // Ayah-level playback: ordered [{ verseKey, url }] plus the entry playing.
+  playlist: null,
+  playlistIndex: 0,
+  ayahKey: null,
+  // Where this playback began and whether a seek skipped forward since; the
+  // khatmah only counts surahs heard from the start.
+  startIndex: 0,
+  seekedAhead: false,
+  // 'surah' | 'ayah' | 'hifz'. Hifz sessions carry their range, repeat counts
+  // and the current ayahPass / rangePass; the playlist holds the range once.
+  mode: 'surah',
+  hifz: null,
+  playbackRate: 1
 };
 
-// The CSP media-src enumerates these too; this guard rejects any URL that
-// reaches the offscreen audio element from outside the popup's allowlist.
-const ALLOWED_MEDIA_HOSTS = new Set([
-  'verses.quran.com',
-  'cdn.islamic.network',
-  'mirrors.quranicaudio.com',
-  'download.quranicaudio.com',
-  'www.mp3quran.net'
-]);
-
-function isAllowedAudioHost(url) {
-  try {
-    const u = new URL(url);
-    if (ALLOWED_MEDIA_HOSTS.has(u.hostname)) return true;
-    return u.hostname.endsWith('.mp3quran.net');
-  } catch (_) {
-    return false;
-  }
-}
-
 // ---------------------------------------------------------------------------
 // Logging control – keep errors/warnings but silence verbose logs in release
 // ---------------------------------------------------------------------------
@@ -56,7 +84,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.action) {
         case 'playAudio':
           console.log('Offscreen: Starting playAudio with URL:', message.audioUrl);
-          await playAudio(message.audioUrl, message.suraId, message.reciterKey);
+          await playAudio(message.audioUrl, message.suraId, message.reciterKey, {
+            playlist: message.playlist,
+            startIndex: message.startIndex,
+            mode: message.mode,
+            hifz: message.hifz,
+            playbackRate: message.playbackRate,
+            reciterName: message.reciterName,
+            sourceKey: message.sourceKey
+          });
           console.log('Offscreen: playAudio completed successfully');
           sendResponse({ success: true });
           break;
@@ -72,6 +108,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           seekAudio(message.time);
           sendResponse({ success: true });
           break;
+        case 'setPlaybackRate':
+          setPlaybackRate(message.rate);
+          saveAudioState();
+          sendResponse({ success: true });
+          break;
+        case 'setVolume':
+          applyVolumeSettings(message);
+          sendResponse({ success: true });
+          break;
+        case 'prefetchAudio':
+          setPrefetchUrl(message.url, message.next);
+          sendResponse({ success: true });
+          break;
+        case 'fadeOutAudio':
+          fadeOutAndPause(message.durationMs);
+          sendResponse({ success: true });
+          break;
+        case 'cancelFadeOut':
+          cancelFadeOut();
+          sendResponse({ success: true });
+          break;
         case 'getAudioState':
           sendResponse({ success: true, state: currentAudioState });
           break;
@@ -92,107 +149,87 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
-async function playAudio(audioUrl, suraId, reciterKey) {
+async function playAudio(audioUrl, suraId, reciterKey, { playlist = null, startIndex = 0, mode = null, hifz = null, playbackRate = null, reciterName = null, sourceKey = null } = {}) {
   if (!isAllowedAudioHost(audioUrl)) {
     throw new Error('Audio source unavailable for this combination');
   }
+  const hasPlaylist = Array.isArray(playlist) && playlist.length > 0;
+  if (hasPlaylist && !playlist.every((entry) => isAllowedAudioHost(entry?.url))) {
+    throw new Error('Audio source unavailable for this combination');
+  }
+  const index = hasPlaylist ? Math.min(Math.max(0, startIndex || 0), playlist.length - 1) : 0;
+  const trackUrl = hasPlaylist ? playlist[index].url : audioUrl;
+  cancelFadeOut();
   try {
     console.log('Offscreen: Attempting to play audio:', audioUrl);
+    // Keep the outgoing surah's position before the state below replaces it.
+    recordResumePoint(chrome.storage.local, { ...currentAudioState, currentTime: audioPlayer.currentTime })
+      .catch((error) => console.error('Offscreen: Failed to keep resume point:', error));
 
-    // Stop current audio if playing
-    if (!audioPlayer.paused) {
-      console.log('Offscreen: Stopping current audio');
-      audioPlayer.pause();
-    }
+    // A standby element that already buffered this track near the end of the
+    // previous surah is swapped in; that is what makes autoplay gapless.
+    const swapped = takePrefetchedTrack(trackUrl);
+    if (!swapped) {
+      // Stop current audio if playing
+      if (!audioPlayer.paused) {
+        console.log('Offscreen: Stopping current audio');
+        audioPlayer.pause();
+      }
     
-    // Reset audio player
-    audioPlayer.src = '';
-    audioPlayer.load();
+      // Reset audio player
+      audioPlayer.src = '';
+      audioPlayer.load();
     
-    // Test if the audio URL is accessible
-    console.log('Offscreen: Testing audio URL accessibility...');
-    try {
-      const testResponse = await fetch(audioUrl, { method: 'HEAD' });
-      console.log('Offscreen: Audio URL test response:', testResponse.status, testResponse.statusText);
-      if (!testResponse.ok) {
-        throw new Error(`Audio URL not accessible: ${testResponse.status} ${testResponse.statusText}`);
+      // A downloaded surah plays from Cache Storage and needs no network.
+      const localUrl = hasPlaylist ? null : await useLocalSource(trackUrl);
+      if (!localUrl) {
+        // Test if the audio URL is accessible
+        console.log('Offscreen: Testing audio URL accessibility...');
+        try {
+          const testResponse = await fetch(trackUrl, { method: 'HEAD' });
+          console.log('Offscreen: Audio URL test response:', testResponse.status, testResponse.statusText);
+          if (!testResponse.ok) {
+            throw new Error(`Audio URL not accessible: ${testResponse.status} ${testResponse.statusText}`);
+          }
+        } catch (fetchError) {
+          console.error('Offscreen: Audio URL fetch test failed:', fetchError);
+          console.log('Offscreen: Continuing despite HEAD request failure...');
+        }
       }
-    } catch (fetchError) {
-      console.error('Offscreen: Audio URL fetch test failed:', fetchError);
-      console.log('Offscreen: Continuing despite HEAD request failure...');
-    }
     
-    audioPlayer.crossOrigin = 'anonymous';
-    audioPlayer.preload = 'auto';
-    audioPlayer.src = audioUrl;
-    audioPlayer.load();
+      audioPlayer.crossOrigin = 'anonymous';
+      audioPlayer.preload = 'auto';
+      audioPlayer.src = localUrl || trackUrl;
+      audioPlayer.load();
+    }
+    // Omitted by autoplay and resume, which keep whatever speed was in use.
+    setPlaybackRate(playbackRate ?? currentAudioState.playbackRate);
+    loudnessNormaliser.attach(audioPlayer);
     
+    // Autoplay and resume do not know the display name; keep it while the
+    // reciter stays the same.
+    if (reciterName || reciterKey !== currentAudioState.reciterKey) {
+      currentAudioState.reciterName = reciterName;
+    }
     currentAudioState.audioUrl = audioUrl;
     currentAudioState.suraId = suraId;
     currentAudioState.reciterKey = reciterKey;
+    currentAudioState.sourceKey = sourceKey || reciterKey;
     currentAudioState.currentTime = 0;
+    currentAudioState.playlist = hasPlaylist ? playlist : null;
+    currentAudioState.playlistIndex = index;
+    currentAudioState.startIndex = index;
+    currentAudioState.seekedAhead = false;
+    currentAudioState.ayahKey = hasPlaylist ? playlist[index].verseKey : null;
+    currentAudioState.mode = mode || (hasPlaylist ? 'ayah' : 'surah');
+    currentAudioState.hifz = currentAudioState.mode === 'hifz' ? hifz : null;
+    listeningTracker.start(currentAudioState);
+    loadAyahTimings();
     
-    console.log('Offscreen: Loading audio...');
-    
-    await new Promise((resolve, reject) => {
-      const onCanPlay = () => {
-        console.log('Offscreen: Audio can play');
-        cleanup();
-        resolve();
-      };
-      
-      const onLoadedData = () => {
-        console.log('Offscreen: Audio data loaded');
-        cleanup();
-        resolve();
-      };
-      
-      const onLoadedMetadata = () => {
-        console.log('Offscreen: Audio metadata loaded');
-        cleanup();
-        resolve();
-      };
-      
-      const cleanup = () => {
-        audioPlayer.removeEventListener('canplay', onCanPlay);
-        audioPlayer.removeEventListener('loadeddata', onLoadedData);
-        audioPlayer.removeEventListener('loadedmetadata', onLoadedMetadata);
-        audioPlayer.removeEventListener('error', onError);
-      };
-      
-      const onError = (e) => {
-        console.error('Offscreen: Audio load error:', e);
-        console.error('Offscreen: Audio player error details:', audioPlayer.error);
-        console.error('Offscreen: Audio player network state:', audioPlayer.networkState);
-        console.error('Offscreen: Audio player ready state:', audioPlayer.readyState);
-        console.error('Offscreen: Audio src:', audioPlayer.src);
-        console.error('Offscreen: Audio currentSrc:', audioPlayer.currentSrc);
-        
-        let errorMessage = 'Unknown audio error';
-        if (audioPlayer.error) {
-          switch (audioPlayer.error.code) {
-            case 1: errorMessage = 'MEDIA_ERR_ABORTED: Audio loading was aborted'; break;
-            case 2: errorMessage = 'MEDIA_ERR_NETWORK: Network error occurred'; break;
-            case 3: errorMessage = 'MEDIA_ERR_DECODE: Audio decoding failed'; break;
-            case 4: errorMessage = 'MEDIA_ERR_SRC_NOT_SUPPORTED: Audio format not supported'; break;
-            default: errorMessage = audioPlayer.error.message || 'Unknown media error';
-          }
-        }
-        
-        cleanup();
-        reject(new Error(`Audio failed to load: ${errorMessage}`));
-      };
-      
-      audioPlayer.addEventListener('canplay', onCanPlay);
-      audioPlayer.addEventListener('loadeddata', onLoadedData);
-      audioPlayer.addEventListener('loadedmetadata', onLoadedMetadata);
-      audioPlayer.addEventListener('error', onError);
-      
-      setTimeout(() => {
-        cleanup();
-        reject(new Error('Audio load timeout after 15 seconds'));
-      }, 15000);
-    });
+    if (!swapped) {
+      console.log('Offscreen: Loading audio...');
+      await waitForAudioLoad();
+    }
     
     console.log('Offscreen: Starting audio playback...');
     try {
@@ -214,7 +251,15 @@ async function playAudio(audioUrl, suraId, reciterKey) {
     }
     
     await saveAudioState();
-    
+    // A downloaded copy plays from a blob: URL, which the helper skips.
+    if (!hasPlaylist) {
+      recordMeasuredBitrate(chrome.storage.local, {
+        sourceKey: currentAudioState.sourceKey,
+        url: audioPlayer.src,
+        duration: audioPlayer.duration
+      }).catch((error) => console.error('Offscreen: Failed to measure bitrate:', error));
+    }
+
     console.log('Offscreen: Audio playing successfully:', audioUrl);
   } catch (error) {
     console.error('Offscreen: Audio playback failed:', error);
@@ -223,13 +268,129 @@ async function playAudio(audioUrl, suraId, reciterKey) {
   }
 }
 
+// Ayah timestamps of the surah file playing, so audioState can name the
+// current ayah the way a playlist does. Only Quran.com publishes them.
+let ayahTimings = null;
+
+function loadAyahTimings() {
+  ayahTimings = null;
+  const { sourceKey, suraId, playlist } = currentAudioState;
+  if (playlist) return;
+  fetchAyahTimings(sourceKey, suraId).then((timings) => {
+    // Another track may have started while the timestamps loaded.
+    if (currentAudioState.sourceKey !== sourceKey || currentAudioState.suraId !== suraId || currentAudioState.playlist) return;
+    ayahTimings = timings;
+  }).catch((error) => console.error('Offscreen: Failed to load ayah timings:', error));
+}
+
+function updateTimedAyah() {
+  if (!ayahTimings || currentAudioState.playlist) return;
+  currentAudioState.ayahKey = findAyahAt(ayahTimings, audioPlayer.currentTime * 1000);
+}
+
+// Resolves once the active element can start playing, rejects on a media
+// error or after 15 seconds.
+function waitForAudioLoad() {
+  return new Promise((resolve, reject) => {
+    const onCanPlay = () => {
+      console.log('Offscreen: Audio can play');
+      cleanup();
+      resolve();
+    };
+    
+    const onLoadedData = () => {
+      console.log('Offscreen: Audio data loaded');
+      cleanup();
+      resolve();
+    };
+    
+    const onLoadedMetadata = () => {
+      console.log('Offscreen: Audio metadata loaded');
+      cleanup();
+      resolve();
+    };
+    
+    const cleanup = () => {
+      audioPlayer.removeEventListener('canplay', onCanPlay);
+      audioPlayer.removeEventListener('loadeddata', onLoadedData);
+      audioPlayer.removeEventListener('loadedmetadata', onLoadedMetadata);
+      audioPlayer.removeEventListener('error', onError);
+    };
+    
+    const onError = (e) => {
+      console.error('Offscreen: Audio load error:', e);
+      console.error('Offscreen: Audio player error details:', audioPlayer.error);
+      console.error('Offscreen: Audio player network state:', audioPlayer.networkState);
+      console.error('Offscreen: Audio player ready state:', audioPlayer.readyState);
+      console.error('Offscreen: Audio src:', audioPlayer.src);
+      console.error('Offscreen: Audio currentSrc:', audioPlayer.currentSrc);
+      
+      let errorMessage = 'Unknown audio error';
+      if (audioPlayer.error) {
+        switch (audioPlayer.error.code) {
+          case 1: errorMessage = 'MEDIA_ERR_ABORTED: Audio loading was aborted'; break;
+          case 2: errorMessage = 'MEDIA_ERR_NETWORK: Network error occurred'; break;
+          case 3: errorMessage = 'MEDIA_ERR_DECODE: Audio decoding failed'; break;
+          case 4: errorMessage = 'MEDIA_ERR_SRC_NOT_SUPPORTED: Audio format not supported'; break;
+          default: errorMessage = audioPlayer.error.message || 'Unknown media error';
+        }
+      }
+      
+      cleanup();
+      reject(new Error(`Audio failed to load: ${errorMessage}`));
+    };
+    
+    audioPlayer.addEventListener('canplay', onCanPlay);
+    audioPlayer.addEventListener('loadeddata', onLoadedData);
+    audioPlayer.addEventListener('loadedmetadata', onLoadedMetadata);
+    audioPlayer.addEventListener('error', onError);
+    
+    setTimeout(() => {
+      cleanup();
+      reject(new Error('Audio load timeout after 15 seconds'));
+    }, 15000);
+  });
+}
+
 function pauseAudio() {
   audioPlayer.pause();
+  cancelFadeOut();
   currentAudioState.isPlaying = false;
   saveAudioState();
 }
 
+// Sleep timer: the background asks for a fade once the deadline is near. The
+// element ramps down to silence, pauses, then gets its volume back so the
+// next play is not silent.
+const FADE_STEP_MS = 250;
+let fade = null;
+
+function fadeOutAndPause(durationMs) {
+  cancelFadeOut();
+  if (audioPlayer.paused) return;
+  const startedAt = Date.now();
+  fade = { player: audioPlayer, volume: audioPlayer.volume, interval: null };
+  const step = () => {
+    const factor = fadeVolumeFactor(Date.now() - startedAt, durationMs);
+    if (factor > 0) {
+      fade.player.volume = fade.volume * factor;
+    } else {
+      pauseAudio();
+    }
+  };
+  fade.interval = setInterval(step, FADE_STEP_MS);
+  step();
+}
+
+function cancelFadeOut() {
+  if (!fade) return;
+  clearInterval(fade.interval);
+  fade.player.volume = fade.volume;
+  fade = null;
+}
+
 async function resumeAudio() {
+  cancelFadeOut();
   try {
     if (!currentAudioState.audioUrl) {
       throw new Error('No audio loaded to resume');
@@ -241,12 +402,21 @@ async function resumeAudio() {
     const needsReload = (
       audioPlayer.readyState === 0 ||
       audioPlayer.networkState === 3 ||
-      audioPlayer.src !== currentAudioState.audioUrl
+      !isCurrentTrackLoaded()
     );
 
     if (needsReload) {
       console.log('Offscreen: Audio element needs reload, restoring from saved position');
-      await playAudio(currentAudioState.audioUrl, currentAudioState.suraId, currentAudioState.reciterKey);
+      const { startIndex, seekedAhead } = currentAudioState;
+      await playAudio(currentAudioState.audioUrl, currentAudioState.suraId, currentAudioState.reciterKey, {
+        playlist: currentAudioState.playlist,
+        startIndex: currentAudioState.playlistIndex,
+        mode: currentAudioState.mode,
+        hifz: currentAudioState.hifz,
+        sourceKey: currentAudioState.sourceKey
+      });
+      // The reload continues the same playback, not a fresh start.
+      Object.assign(currentAudioState, { startIndex, seekedAhead });
       
       if (savedTime > 0) {
         await new Promise(resolve => {
@@ -290,7 +460,75 @@ async function resumeAudio() {
   }
 }
 
+function currentTrackUrl() {
+  const { playlist, playlistIndex, audioUrl } = currentAudioState;
+  return playlist ? playlist[playlistIndex]?.url : audioUrl;
+}
+
+function isCurrentTrackLoaded() {
+  const url = currentTrackUrl();
+  if (audioPlayer.src === url) return true;
+  return localSource.url === url && audioPlayer.src === localSource.objectUrl;
+}
+
+// Returns an object URL for the downloaded copy of url, or null when there is
+// none. Only one local surah plays at a time, so the previous URL is freed.
+async function useLocalSource(url) {
+  const blob = await getOfflineAudio(url);
+  if (localSource.objectUrl) URL.revokeObjectURL(localSource.objectUrl);
+  localSource = blob
+    ? { url, objectUrl: URL.createObjectURL(blob) }
+    : { url: null, objectUrl: null };
+  return localSource.objectUrl;
+}
+
+// Moves to the next ayah of the playlist, or the next pass of a hifz loop.
+// Returns false when there is no playlist or the last ayah just finished, so
+// the caller treats it as the end of the surah.
+async function advancePlaylist() {
+  const step = nextPlaylistStep(currentAudioState);
+  if (!step) return false;
+  const next = currentAudioState.playlist[step.playlistIndex];
+  currentAudioState.playlistIndex = step.playlistIndex;
+  currentAudioState.hifz = step.hifz;
+  currentAudioState.ayahKey = next.verseKey;
+  audioPlayer.src = next.url;
+  try {
+    await audioPlayer.play();
+  } catch (error) {
+    console.error('Offscreen: Failed to advance to next ayah:', error);
+    return false;
+  }
+  saveAudioState();
+  return true;
+}
+
+// Setting the default rate too keeps the speed when the next ayah swaps the
+// src.
+function setPlaybackRate(rate) {
+  const clamped = clampPlaybackRate(rate);
+  audioPlayer.defaultPlaybackRate = clamped;
+  audioPlayer.playbackRate = clamped;
+  currentAudioState.playbackRate = clamped;
+}
+
+// Both elements carry the volume so a swapped-in standby matches. A fade in
+// progress owns the live element's volume and restores the new one.
+let volumeSettings = normaliseVolumeSettings(null);
+
+function applyVolumeSettings(settings) {
+  volumeSettings = normaliseVolumeSettings(settings);
+  if (fade) {
+    fade.volume = volumeSettings.volume;
+  } else {
+    audioPlayer.volume = volumeSettings.volume;
+  }
+  standbyPlayer.volume = volumeSettings.volume;
+  loudnessNormaliser.setEnabled(volumeSettings.normalise, audioPlayer);
+}
+
 function seekAudio(time) {
+  if (isSeekAhead(audioPlayer.currentTime, time)) currentAudioState.seekedAhead = true;
   audioPlayer.currentTime = time;
   currentAudioState.currentTime = time;
   saveAudioState();
@@ -301,15 +539,58 @@ async function saveAudioState() {
   currentAudioState.currentTime = audioPlayer.currentTime;
   currentAudioState.duration = audioPlayer.duration || 0;
   currentAudioState.timestamp = Date.now(); // Add timestamp for tracking when state was saved
+  updateMediaSession(currentAudioState, ARTWORK_URL);
   
   try {
     await chrome.storage.local.set({ audioState: currentAudioState });
+    await recordResumePoint(chrome.storage.local, currentAudioState);
     console.log('Offscreen: Saved audio state at', formatTime(currentAudioState.currentTime));
   } catch (error) {
     console.error('Failed to save audio state:', error);
   }
 }
 
+function setPrefetchUrl(url, next = null) {
+  clearStandby();
+  pendingPrefetchUrl = isAllowedAudioHost(url) ? url : null;
+  confirmedNext = next?.suraId && isAllowedAudioHost(next.audioUrl) ? next : null;
+}
+
+function clearStandby() {
+  standbyPlayer.pause();
+  standbyPlayer.removeAttribute('src');
+  standbyPlayer.load();
+}
+
+function maybeStartPrefetch() {
+  if (!pendingPrefetchUrl || standbyPlayer.getAttribute('src')) return;
+  if (!shouldStartPrefetch(currentAudioState)) return;
+  standbyPlayer.crossOrigin = 'anonymous';
+  standbyPlayer.preload = 'auto';
+  standbyPlayer.src = pendingPrefetchUrl;
+  standbyPlayer.load();
+}
+
+// Swaps the standby element in when it holds a playable copy of url. Anything
+// else (another URL, a load error, not enough buffered) falls back to the
+// normal load path.
+function takePrefetchedTrack(url) {
+  const ready = standbyPlayer.getAttribute('src') === url &&
+    !standbyPlayer.error &&
+    standbyPlayer.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA;
+  pendingPrefetchUrl = null;
+  confirmedNext = null;
+  if (!ready) {
+    clearStandby();
+    return false;
+  }
+  const previous = audioPlayer;
+  audioPlayer = standbyPlayer;
+  standbyPlayer = previous;
+  clearStandby();
+  return true;
+}
+
 function formatTime(seconds) {
   if (isNaN(seconds) || seconds < 0) return '0:00';
   const minutes = Math.floor(seconds / 60);
@@ -317,10 +598,67 @@ function formatTime(seconds) {
   return `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Open popups connect here and get pushed state instead of polling.
+const audioPorts = new Set();
+
+function broadcastAudioEvent(event, extra) {
+  if (audioPorts.size === 0) return;
+  const message = buildAudioEvent(event, currentAudioState, extra);
+  for (const port of audioPorts) {
+    try {
+      port.postMessage(message);
+    } catch (_) {
+      audioPorts.delete(port);
+    }
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== AUDIO_EVENTS_PORT) return;
+  audioPorts.add(port);
+  port.onDisconnect.addListener(() => audioPorts.delete(port));
+  port.postMessage(buildAudioEvent('state', currentAudioState));
+});
+
+// Listeners go on both elements since either may be the active one; events
+// from the element on standby are ignored.
+function onActivePlayer(type, handler) {
+  for (const element of [audioPlayer, standbyPlayer]) {
+    element.addEventListener(type, (event) => {
+      if (event.target === audioPlayer) handler(event);
+    });
+  }
+}
+
+onActivePlayer('play', () => {
+  currentAudioState.isPlaying = true;
+  broadcastAudioEvent('play');
+});
+
+onActivePlayer('pause', () => {
+  // Finishing an ayah pauses the element just before `ended` moves the
+  // playlist on; only a real stop is a pause for the popup and the history.
+  if (audioPlayer.ended && nextPlaylistStep(currentAudioState)) return;
+  currentAudioState.isPlaying = false;
+  broadcastAudioEvent('pause');
+  listeningTracker.pause();
+});
+
+onActivePlayer('error', () => {
+  // Clearing src before a new load raises an error for the empty source;
+  // that is not a playback failure.
+  if (!audioPlayer.getAttribute('src')) return;
+  broadcastAudioEvent('error', { error: audioPlayer.error?.message || 'Audio failed to load' });
+});
+
 let lastSaveTime = 0;
-audioPlayer.addEventListener('timeupdate', () => {
+onActivePlayer('timeupdate', () => {
   currentAudioState.currentTime = audioPlayer.currentTime;
   currentAudioState.duration = audioPlayer.duration || 0;
+  updateTimedAyah();
+  broadcastAudioEvent('timeupdate');
+  maybeStartPrefetch();
+  if (!audioPlayer.paused) listeningTracker.progress(audioPlayer.currentTime);
   
   const now = Date.now();
   if (now - lastSaveTime > 10000) {
@@ -329,16 +667,66 @@ audioPlayer.addEventListener('timeupdate', () => {
   }
 });
 
-audioPlayer.addEventListener('ended', () => {
+onActivePlayer('ended', async () => {
+  if (await advancePlaylist()) return;
+  listeningTracker.end(currentAudioState);
+  recordSurahCompletion(chrome.storage.local, currentAudioState)
+    .catch((error) => console.error('Offscreen: Failed to record khatmah progress:', error));
   currentAudioState.isPlaying = false;
-  saveAudioState();
+  broadcastAudioEvent('ended');
+  // Read before a confirmed next surah replaces the state.
+  const { suraId, reciterKey, sourceKey, mode } = currentAudioState;
+  const startedNext = await playConfirmedNext();
+  if (!startedNext) await saveAudioState();
+  // Autoplay belongs to the background; report the end and let it decide, or
+  // just catch up when the confirmed surah is already playing.
+  chrome.runtime.sendMessage({ action: 'trackEnded', suraId, reciterKey, sourceKey, mode, startedNext })
+    .catch((error) => console.error('Offscreen: Failed to report track end:', error));
+});
+
+// Starts the surah the background confirmed while prefetching, so the
+// buffered standby swaps in at once instead of after a message round trip.
+// Not during a sleep-timer fade, which must end playback. Returns what was
+// started, or null to leave the choice to the background.
+async function playConfirmedNext() {
+  const next = confirmedNext;
+  if (!next || fade) return null;
+  try {
+    await playAudio(next.audioUrl, next.suraId, currentAudioState.reciterKey, {
+      playlist: next.playlist,
+      sourceKey: next.sourceKey
+    });
+    return next;
+  } catch (error) {
+    console.error('Offscreen: Confirmed next surah failed to start:', error);
+    return null;
+  }
+}
+
+// Hardware media keys and the OS overlay land here. Next/previous need the
+// reciter catalogue and the user's playback mode, so the background resolves
+// the neighbouring surah and sends a fresh playAudio back.
+function requestSkip(direction) {
+  const { suraId, reciterKey, sourceKey } = currentAudioState;
+  if (!suraId || !reciterKey) return;
+  chrome.runtime.sendMessage({ action: 'skipTrack', direction, suraId, reciterKey, sourceKey })
+    .catch((error) => console.error('Offscreen: Skip request failed:', error));
+}
+
+bindMediaSessionHandlers({
+  play: () => resumeAudio().catch((error) => console.error('Offscreen: Media key play failed:', error)),
+  pause: () => pauseAudio(),
+  seekTo: (time) => seekAudio(time),
+  next: () => requestSkip('next'),
+  previous: () => requestSkip('previous')
 });
 
 // Load saved state on startup
-chrome.storage.local.get('audioState').then(result => {
+chrome.storage.local.get(['audioState', VOLUME_SETTINGS_KEY]).then(result => {
   if (result.audioState) {
     currentAudioState = { ...currentAudioState, ...result.audioState };
   }
+  applyVolumeSettings(result[VOLUME_SETTINGS_KEY]);
 });
 
 // Add browser notification fallback
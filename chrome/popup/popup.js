@@ -5,11 +5,86 @@
  */
 
 import { dhikrCollection, DHIKR_REWARD_AR, DHIKR_REWARD_FR } from '../shared/dhikr.js';
-import { getSuraAudioUrl as getSuraAudioUrlShared } from '../shared/audio-urls.js';
+import {
+  getSuraAudioUrl as getSuraAudioUrlShared,
+  resolveSuraPlayback,
+  supportsAyahPlayback
+} from '../shared/audio-urls.js';
 import { I18N, LANG_STORAGE_KEY } from '../shared/i18n.js';
 import { getCoverageLabel } from '../shared/reciter-coverage.js';
 import { fetchReciters } from '../shared/reciter-catalogue.js';
 import { createCombobox } from '../shared/combobox.js';
+import { resolveHifzPlayback } from '../shared/hifz.js';
+import { AUDIO_EVENTS_PORT, applyAudioEvent } from '../shared/audio-events.js';
+import { getAyahCount, getSurahName, SURAH_COUNT } from '../shared/quran-meta.js';
+import {
+  getAlternateKeys,
+  getFailoverKeys,
+  getProviderLabel,
+  playWithFailover
+} from '../shared/provider-failover.js';
+import {
+  OFFLINE_INDEX_KEY,
+  findOfflineDownload,
+  formatBytes,
+  listOfflineDownloads,
+  totalOfflineBytes
+} from '../shared/offline-audio.js';
+import { LISTENING_HISTORY_KEY, summariseHistory, localDateKey } from '../shared/listening-history.js';
+import { getAyahOfTheDay } from '../shared/ayah-of-the-day.js';
+import { parseAyahReference, ayahStartPoint } from '../shared/ayah-reference.js';
+import { listDivisions } from '../shared/quran-divisions.js';
+import { KHATMAH_KEY, countCompleted } from '../shared/khatmah.js';
+import {
+  BOOKMARKS_KEY,
+  createBookmark,
+  addBookmark,
+  removeBookmark,
+  sortBookmarks,
+  bookmarkStartPoint
+} from '../shared/bookmarks.js';
+import { RESUME_POINTS_KEY, listRecentSessions } from '../shared/resume-points.js';
+import {
+  SURAH_PLAYLISTS_KEY,
+  normalisePlaylists,
+  parseSuraList,
+  createPlaylist,
+  renamePlaylist,
+  deletePlaylist,
+  addSuraToPlaylist,
+  removeSuraAt,
+  moveSura,
+  activatePlaylist,
+  getActivePlaylist
+} from '../shared/surah-playlists.js';
+import { normaliseAutoplayMode } from '../shared/autoplay.js';
+import {
+  SLEEP_TIMER_KEY,
+  SLEEP_EXTEND_MINUTES,
+  isSleepTimerActive,
+  sleepRemainingMs
+} from '../shared/sleep-timer.js';
+import { VOLUME_SETTINGS_KEY, normaliseVolumeSettings } from '../shared/volume.js';
+import {
+  TRANSLATION_EDITIONS,
+  TRANSLATION_EDITIONS_KEY,
+  fetchUthmaniText,
+  pickTranslationEdition,
+  getCachedTranslation
+} from '../shared/quran-text.js';
+import {
+  AUDIO_QUALITY_KEY,
+  MEASURED_BITRATES_KEY,
+  normaliseAudioQuality,
+  resolveAudioQuality,
+  reciterBitrate
+} from '../shared/audio-quality.js';
+import {
+  DEFAULT_PLAYBACK_SETTINGS,
+  clampPlaybackRate,
+  rateForReciter,
+  rememberPlaybackRate
+} from '../shared/playback-rate.js';
 
 // Silence verbose logs in production. Flip ENV_PROD to false when debugging.
 if (typeof console !== 'undefined') {
@@ -58,8 +133,9 @@ function refreshQuickClearDisabled(btnId, inputEl) {
 
 // --- STATE AND CACHE ---
 
-// Global progress tracking interval
-let progressTrackingInterval = null;
+// Push channel from the audio host, and the host state it has delivered.
+let audioEventsPort = null;
+let hostAudioState = null;
 
 // Keep full list of reciters for quick filtering
 let ALL_RECITERS = [];
@@ -69,16 +145,32 @@ let ALL_RECITERS = [];
 let lastKnownAudioState = {
   suraId: null,
   reciterKey: null,
+  sourceKey: null,
   audioUrl: null,
   currentTime: 0,
-  isPlaying: false
+  isPlaying: false,
+  ayahKey: null
 };
 
+// Speed preferences mirrored from storage.playbackSettings.
+let playbackSettings = { ...DEFAULT_PLAYBACK_SETTINGS };
+// Mirrored from storage.volumeSettings.
+let volumeSettings = normaliseVolumeSettings(null);
+
+// Offline download index mirrored from storage; the background writes it.
+let offlineDownloads = {};
+// Downloads started from this popup, so the button can show progress.
+const pendingDownloads = new Set();
+
 // Unified in-memory catalogue for all reciters pulled from every provider.
 const RECITER_CATALOG = {};
 
 // Map display label -> reciterKey for the picker
 const RECITER_LABEL_TO_KEY = {};
+// Inputs to the picker labels, mirrored from storage.
+let reciterCoverage = null;
+let audioQualityPreference = 'auto';
+let measuredBitrates = {};
 
 // Sura lookup maps. Label format: "67. Al-Mulk".
 const SURA_LABEL_TO_ID = {};
@@ -112,6 +204,59 @@ function setSelectedSuraById(id) {
   refreshQuickClearDisabled('quick-clear-surah', document.getElementById('sura-input'));
 }
 
+function getPlaybackMode() {
+  const value = document.getElementById('playback-mode')?.value;
+  return value === 'ayah' || value === 'hifz' ? value : 'surah';
+}
+
+// Raw input values; normaliseHifzSettings clamps them when a session starts.
+function getHifzSettings() {
+  const read = (id) => parseInt(document.getElementById(id)?.value, 10) || null;
+  return {
+    startAyah: read('hifz-start'),
+    endAyah: read('hifz-end'),
+    ayahRepeat: read('hifz-ayah-repeat'),
+    rangeRepeat: read('hifz-range-repeat')
+  };
+}
+
+function setHifzSettings(settings) {
+  if (!settings) return;
+  [['hifz-start', 'startAyah'], ['hifz-end', 'endAyah'],
+    ['hifz-ayah-repeat', 'ayahRepeat'], ['hifz-range-repeat', 'rangeRepeat']]
+    .forEach(([id, key]) => {
+      const input = document.getElementById(id);
+      if (input && settings[key]) input.value = String(settings[key]);
+    });
+}
+
+// Shows the memorisation inputs only in hifz mode and bounds the ayah range
+// by the selected surah.
+function refreshHifzPanel() {
+  const panel = document.getElementById('hifz-settings');
+  if (!panel) return;
+  panel.classList.toggle('hidden', getPlaybackMode() !== 'hifz');
+  const ayahCount = getAyahCount(getSelectedSuraId());
+  ['hifz-start', 'hifz-end'].forEach((id) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    if (ayahCount) {
+      input.max = String(ayahCount);
+      if (parseInt(input.value, 10) > ayahCount) input.value = String(ayahCount);
+    } else {
+      input.removeAttribute('max');
+    }
+  });
+}
+
+function setPlaybackRateSelect(rate) {
+  const select = document.getElementById('playback-rate');
+  if (!select) return;
+  select.value = String(clampPlaybackRate(rate));
+  // Rates set outside the preset list still play; the selector shows 1x.
+  if (!select.value) select.value = '1';
+}
+
 function getReciterKey() {
   const input = document.getElementById('reciter-input');
   if (!input.value) return '';
@@ -180,6 +325,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   await setupQuranSelectors();
 
   await Promise.all([loadDhikr(), loadSavedAudioState()]);
+  connectAudioEvents();
 
   setupEventHandlers();
 });
@@ -210,6 +356,23 @@ function setupEventHandlers() {
     refreshClearButtonVisibility('clear-reciter', reciterInput);
   });
 
+  const playbackMode = document.getElementById('playback-mode');
+  if (playbackMode) {
+    playbackMode.addEventListener('change', () => {
+      refreshHifzPanel();
+      rebuildReciterLabels();
+      saveUserSelections().catch(() => {});
+    });
+  }
+  document.getElementById('autoplay-mode')?.addEventListener('change', () => {
+    saveUserSelections().catch(() => {});
+  });
+  ['hifz-start', 'hifz-end', 'hifz-ayah-repeat', 'hifz-range-repeat'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      saveUserSelections().catch(() => {});
+    });
+  });
+
   document.getElementById('progress-bar').addEventListener('change', (e) => {
     seekAudio(e.target.value);
   });
@@ -224,7 +387,7 @@ function setupEventHandlers() {
   
   document.getElementById('dhikr-interval').addEventListener('input', validateInterval);
   
-  document.querySelectorAll('.card__preset').forEach(button => {
+  document.querySelectorAll('.card__preset[data-seconds]').forEach(button => {
     button.addEventListener('click', (e) => {
       const seconds = parseInt(e.target.dataset.seconds);
       document.getElementById('dhikr-interval').value = seconds;
@@ -249,21 +412,163 @@ function setupEventHandlers() {
   const discardBtn = document.getElementById('playing-banner-discard');
   if (discardBtn) discardBtn.addEventListener('click', discardPlayingAudio);
 
+  const rateSelect = document.getElementById('playback-rate');
+  const perReciterToggle = document.getElementById('rate-per-reciter');
+  if (rateSelect) {
+    chrome.storage.local.get('playbackSettings').then(({ playbackSettings: saved }) => {
+      playbackSettings = { ...DEFAULT_PLAYBACK_SETTINGS, ...saved };
+      if (perReciterToggle) perReciterToggle.checked = Boolean(playbackSettings.perReciter);
+      // Loaded audio keeps the speed it is playing at; loadSavedAudioState
+      // already showed that one.
+      if (!lastKnownAudioState.audioUrl) {
+        setPlaybackRateSelect(rateForReciter(playbackSettings, getReciterKey()));
+      }
+    });
+    rateSelect.addEventListener('change', async () => {
+      const rate = clampPlaybackRate(rateSelect.value);
+      // The speed belongs to whatever is playing, even if the picker has
+      // since moved to another reciter.
+      const reciterKey = lastKnownAudioState.reciterKey || getReciterKey();
+      playbackSettings = rememberPlaybackRate(playbackSettings, reciterKey, rate);
+      await chrome.storage.local.set({ playbackSettings });
+      if (!lastKnownAudioState.audioUrl) return;
+      try {
+        await chrome.runtime.sendMessage({ action: 'setPlaybackRate', rate });
+      } catch (err) {
+        console.warn('Failed to set playback rate:', err);
+      }
+    });
+  }
+  if (perReciterToggle) {
+    perReciterToggle.addEventListener('change', async () => {
+      playbackSettings = { ...playbackSettings, perReciter: perReciterToggle.checked };
+      if (playbackSettings.perReciter) {
+        playbackSettings = rememberPlaybackRate(
+          playbackSettings,
+          lastKnownAudioState.reciterKey || getReciterKey(),
+          rateSelect ? rateSelect.value : playbackSettings.rate
+        );
+      }
+      await chrome.storage.local.set({ playbackSettings });
+    });
+  }
+
+  // The slider drives the audio host live and is stored on release, which is
+  // what an audio host started later reads.
+  const volumeSlider = document.getElementById('volume');
+  const normaliseToggle = document.getElementById('normalise-loudness');
+  chrome.storage.local.get(VOLUME_SETTINGS_KEY).then(({ [VOLUME_SETTINGS_KEY]: saved }) => {
+    volumeSettings = normaliseVolumeSettings(saved);
+    if (volumeSlider) volumeSlider.value = String(Math.round(volumeSettings.volume * 100));
+    if (normaliseToggle) normaliseToggle.checked = volumeSettings.normalise;
+  });
+  if (volumeSlider) {
+    volumeSlider.addEventListener('input', () => {
+      volumeSettings = normaliseVolumeSettings({ ...volumeSettings, volume: Number(volumeSlider.value) / 100 });
+      sendVolumeSettings();
+    });
+    volumeSlider.addEventListener('change', () => chrome.storage.local.set({ [VOLUME_SETTINGS_KEY]: volumeSettings }));
+  }
+  if (normaliseToggle) {
+    normaliseToggle.addEventListener('change', async () => {
+      volumeSettings = { ...volumeSettings, normalise: normaliseToggle.checked };
+      await chrome.storage.local.set({ [VOLUME_SETTINGS_KEY]: volumeSettings });
+      sendVolumeSettings();
+    });
+  }
+
+  // Applies from the next surah resolved; the one playing keeps its file.
+  document.getElementById('audio-quality')?.addEventListener('change', async (event) => {
+    audioQualityPreference = normaliseAudioQuality(event.target.value);
+    await chrome.storage.local.set({ [AUDIO_QUALITY_KEY]: audioQualityPreference });
+    rebuildReciterLabels();
+  });
+
+  const downloadButton = document.getElementById('download-sura');
+  if (downloadButton) downloadButton.addEventListener('click', toggleOfflineDownload);
+  chrome.storage.local.get(OFFLINE_INDEX_KEY).then(({ [OFFLINE_INDEX_KEY]: saved }) => {
+    offlineDownloads = saved || {};
+    refreshDownloadButton();
+    renderDownloadsList();
+  });
+  // Downloads finish in the background, possibly after another popup asked.
+  // The audio host writes listening history and khatmah progress while the
+  // popup is open.
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[LISTENING_HISTORY_KEY]) renderListeningHistory();
+    if (changes[KHATMAH_KEY]) renderKhatmah();
+    if (changes[BOOKMARKS_KEY]) renderBookmarks(changes[BOOKMARKS_KEY].newValue);
+    if (changes[RESUME_POINTS_KEY]) renderRecentSessions(changes[RESUME_POINTS_KEY].newValue);
+    if (changes[SURAH_PLAYLISTS_KEY]) renderPlaylists(changes[SURAH_PLAYLISTS_KEY].newValue);
+    if (changes[SLEEP_TIMER_KEY]) renderSleepTimer(changes[SLEEP_TIMER_KEY].newValue);
+    if (changes[MEASURED_BITRATES_KEY]) {
+      measuredBitrates = changes[MEASURED_BITRATES_KEY].newValue || {};
+      rebuildReciterLabels();
+    }
+    if (!changes[OFFLINE_INDEX_KEY]) return;
+    offlineDownloads = changes[OFFLINE_INDEX_KEY].newValue || {};
+    refreshDownloadButton();
+    renderDownloadsList();
+  });
+  document.getElementById('history')?.addEventListener('toggle', renderListeningHistory);
+  document.getElementById('khatmah')?.addEventListener('toggle', renderKhatmah);
+  // The text panel stays open across popups so a reopened popup lands on the
+  // ayah being recited.
+  const quranText = document.getElementById('quran-text');
+  if (quranText) {
+    chrome.storage.local.get([QURAN_TEXT_OPEN_KEY, TRANSLATION_EDITIONS_KEY]).then((stored) => {
+      translationEditions = stored[TRANSLATION_EDITIONS_KEY] || {};
+      renderTranslationEditions();
+      quranText.open = Boolean(stored[QURAN_TEXT_OPEN_KEY]);
+    });
+    quranText.addEventListener('toggle', () => {
+      chrome.storage.local.set({ [QURAN_TEXT_OPEN_KEY]: quranText.open });
+      renderQuranText();
+    });
+  }
+  document.getElementById('translation-edition')?.addEventListener('change', async (event) => {
+    translationEditions = { ...translationEditions, [CURRENT_LANG]: Number(event.target.value) };
+    await chrome.storage.local.set({ [TRANSLATION_EDITIONS_KEY]: translationEditions });
+    renderTranslation();
+    renderAyahOfTheDay();
+  });
+  document.getElementById('play-ayah-of-the-day')?.addEventListener('click', playAyahOfTheDay);
+  // Without timestamps nothing is highlighted, so a tap picks the ayah whose
+  // meaning to show.
+  document.getElementById('quran-text-list')?.addEventListener('click', (event) => {
+    const item = event.target.closest('.card__ayah');
+    if (item) showAyahTranslation(item.dataset.verseKey);
+  });
+  document.getElementById('add-bookmark')?.addEventListener('click', addCurrentBookmark);
+  loadBookmarks();
+  loadRecentSessions();
+  loadPlaylists();
+  document.getElementById('create-playlist')?.addEventListener('click', createPlaylistFromForm);
+  document.getElementById('playlist-stop')?.addEventListener('click', () => savePlaylists(activatePlaylist(playlistsStore, null)));
+
+  // The background owns the timer; the popup only picks and extends it and
+  // follows the stored copy.
   const sleepTimer = document.getElementById('sleep-timer');
   if (sleepTimer) {
-    chrome.storage.local.get('sleepTimer').then(({ sleepTimer: saved }) => {
-      if (typeof saved?.minutes === 'number') sleepTimer.value = String(saved.minutes);
-    });
+    chrome.storage.local.get(SLEEP_TIMER_KEY).then(({ [SLEEP_TIMER_KEY]: saved }) => renderSleepTimer(saved));
     sleepTimer.addEventListener('change', async () => {
-      const minutes = parseInt(sleepTimer.value, 10) || 0;
-      await chrome.storage.local.set({ sleepTimer: { minutes } });
       try {
-        await chrome.runtime.sendMessage({ action: 'setSleepTimer', minutes });
+        const response = await chrome.runtime.sendMessage({ action: 'setSleepTimer', choice: sleepTimer.value });
+        renderSleepTimer(response?.timer);
       } catch (err) {
         console.warn('Failed to set sleep timer:', err);
       }
     });
   }
+  document.getElementById('sleep-extend')?.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'extendSleepTimer' });
+      if (response?.timer) renderSleepTimer(response.timer);
+    } catch (err) {
+      console.warn('Failed to extend sleep timer:', err);
+    }
+  });
 
   // Reminder mode selector change ------------------------------------------
   const modeSelect = document.getElementById('reminder-mode');
@@ -294,6 +599,11 @@ function handleInputChange() {
   refreshQuickClearDisabled('quick-clear-reciter', document.getElementById('reciter-input'));
 
   validateQuranSelection();
+  refreshHifzPanel();
+  renderQuranText();
+  if (playbackSettings.perReciter && !lastKnownAudioState.isPlaying) {
+    setPlaybackRateSelect(rateForReciter(playbackSettings, getReciterKey()));
+  }
   saveUserSelections();
 
   // Check if current selections differ from active audio state
@@ -366,6 +676,9 @@ async function saveUserSelections() {
       suraId: suraId || null,
       reciterKey: reciterKey || null,
       autoplayEnabled: autoplayEnabled,
+      playbackMode: getPlaybackMode(),
+      autoplayMode: normaliseAutoplayMode(document.getElementById('autoplay-mode')?.value),
+      hifz: getHifzSettings(),
       timestamp: Date.now()
     };
     
@@ -394,6 +707,15 @@ async function loadSavedAudioState() {
       if (typeof userSelections.autoplayEnabled === 'boolean') {
         updateAutoplayButton(userSelections.autoplayEnabled);
       }
+      const playbackMode = document.getElementById('playback-mode');
+      if (playbackMode && userSelections.playbackMode) {
+        playbackMode.value = userSelections.playbackMode;
+        rebuildReciterLabels();
+      }
+      const autoplayMode = document.getElementById('autoplay-mode');
+      if (autoplayMode) autoplayMode.value = normaliseAutoplayMode(userSelections.autoplayMode);
+      setHifzSettings(userSelections.hifz);
+      refreshHifzPanel();
       validateQuranSelection();
     }
 
@@ -468,32 +790,35 @@ async function applyRestoredAudioState(state) {
   lastKnownAudioState = {
     suraId: state.suraId,
     reciterKey: state.reciterKey,
+    sourceKey: state.sourceKey || state.reciterKey,
     audioUrl: state.audioUrl || null,
     currentTime: state.currentTime,
-    isPlaying: state.isPlaying
+    isPlaying: state.isPlaying,
+    ayahKey: state.ayahKey || null
   };
 
   updateProgressUI(state);
   updatePlayButtonUI(state.isPlaying, true, state.currentTime);
+  if (state.playbackRate) setPlaybackRateSelect(state.playbackRate);
+  renderRecentSessions();
 
   if (availabilityStatus && !state.isPlaying && state.currentTime > 5) {
     showContinueAffordance(availabilityStatus, state);
   }
 
-  if (state.isPlaying) {
-    startProgressTracking();
-  }
+  connectAudioEvents();
 
   refreshQuickClearDisabled('quick-clear-surah', document.getElementById('sura-input'));
   refreshQuickClearDisabled('quick-clear-reciter', document.getElementById('reciter-input'));
   renderPlayingBanner();
+  renderQuranText();
 }
 
 // Render a clickable "Continue Surah <name> from M:SS" affordance into the
 // availability status slot. Clicking it triggers Resume, the same as the
 // play button in resume mode.
 function showContinueAffordance(host, state) {
-  const suraName = SURA_ID_TO_LABEL[state.suraId] || `Surah ${state.suraId}`;
+  const suraName = surahLabel(state.suraId);
   const time = formatTime(state.currentTime);
   const label = (t('continueAffordance') || 'Continue {name} from {time}')
     .replace('{name}', suraName)
@@ -525,17 +850,20 @@ function renderPlayingBanner() {
     return;
   }
 
-  const suraName = SURA_ID_TO_LABEL[lastKnownAudioState.suraId] || `Surah ${lastKnownAudioState.suraId}`;
+  const suraName = surahLabel(lastKnownAudioState.suraId);
   const reciterFull = Object.keys(RECITER_LABEL_TO_KEY).find(
     l => RECITER_LABEL_TO_KEY[l] === lastKnownAudioState.reciterKey
   ) || lastKnownAudioState.reciterKey || '';
   // Strip the trailing coverage parenthetical (e.g., " (complete)") so the
   // banner stays short. The full label remains in the input.
   const reciterShort = reciterFull.replace(/\s*\([^)]*\)\s*$/, '').trim();
+  // After a failover the provider differs from the one the reciter was
+  // picked under, so the banner names the one actually playing.
+  const provider = getProviderLabel(lastKnownAudioState.sourceKey || lastKnownAudioState.reciterKey);
 
   const text = (t('playingBannerLabel') || 'Stop playing: {surah} · {reciter}')
     .replace('{surah}', suraName)
-    .replace('{reciter}', reciterShort);
+    .replace('{reciter}', provider ? `${reciterShort} · ${provider}` : reciterShort);
 
   if (label) label.textContent = text;
   banner.classList.remove('hidden');
@@ -552,17 +880,14 @@ async function discardPlayingAudio() {
     console.warn('Failed to pause audio on discard:', err);
   }
 
-  if (progressTrackingInterval) {
-    clearInterval(progressTrackingInterval);
-    progressTrackingInterval = null;
-  }
-
   lastKnownAudioState = {
     suraId: null,
     reciterKey: null,
+    sourceKey: null,
     audioUrl: null,
     currentTime: 0,
-    isPlaying: false
+    isPlaying: false,
+    ayahKey: null
   };
 
   renderPlayingBanner();
@@ -896,11 +1221,16 @@ async function setupQuranSelectors() {
   const reciterInput = document.getElementById('reciter-input');
 
   try {
-    const [suras, reciters, { reciterCoverage }] = await Promise.all([
+    const [suras, reciters, stored] = await Promise.all([
       fetchSuras(),
       fetchAndCacheReciters(),
-      chrome.storage.local.get('reciterCoverage')
+      chrome.storage.local.get(['reciterCoverage', AUDIO_QUALITY_KEY, MEASURED_BITRATES_KEY])
     ]);
+    reciterCoverage = stored.reciterCoverage;
+    audioQualityPreference = normaliseAudioQuality(stored[AUDIO_QUALITY_KEY]);
+    measuredBitrates = stored[MEASURED_BITRATES_KEY] || {};
+    const qualitySelect = document.getElementById('audio-quality');
+    if (qualitySelect) qualitySelect.value = audioQualityPreference;
 
     ALL_SURAS = suras;
     suras.forEach((s) => {
@@ -913,15 +1243,23 @@ async function setupQuranSelectors() {
     suraCombobox = createCombobox({
       inputEl: suraInputEl,
       panelEl: document.getElementById('sura-panel'),
-      getOptions: () => ALL_SURAS.map(s => {
-        const altName = CURRENT_LANG === 'ar' ? s.name_simple : s.name_arabic;
-        return {
-          id: String(s.id),
-          label: `${s.id}. ${getSuraName(s)}`,
-          secondary: altName || ''
-        };
-      }),
-      onSelect: () => {
+      getOptions: (query) => {
+        // setValue asks without a query and needs the surahs in any mode.
+        if (suraBrowseMode !== 'surah' && query !== undefined) return divisionOptions(suraBrowseMode, query);
+        return [...ayahReferenceOptions(query), ...ALL_SURAS.map(s => {
+          const altName = CURRENT_LANG === 'ar' ? s.name_simple : s.name_arabic;
+          return {
+            id: String(s.id),
+            label: `${s.id}. ${getSuraName(s)}`,
+            secondary: altName || ''
+          };
+        })];
+      },
+      onSelect: (option) => {
+        if (option.reference) {
+          playAyahReference(option.reference);
+          return;
+        }
         refreshClearButtonVisibility('clear-sura', suraInputEl);
         handleInputChange();
         saveUserSelections().catch(() => {});
@@ -933,23 +1271,17 @@ async function setupQuranSelectors() {
       name: 'sura'
     });
 
-    ALL_RECITERS = reciters;
-    reciters.forEach(r => {
-      const coverage = getCoverageLabel(reciterCoverage, r.id);
-      const label = `${r.reciter_name} (${r.style}, ${r.bitrate || 128}kbps, ${coverage})`;
-      RECITER_LABEL_TO_KEY[label] = r.id;
+    document.querySelectorAll('#sura-browse [data-browse]').forEach((button) => {
+      button.addEventListener('click', () => setSuraBrowseMode(button.dataset.browse));
     });
 
+    ALL_RECITERS = reciters;
+    rebuildReciterLabels();
+
     reciterCombobox = createCombobox({
       inputEl: document.getElementById('reciter-input'),
       panelEl: document.getElementById('reciter-panel'),
-      getOptions: () => ALL_RECITERS.map(r => {
-        const coverage = getCoverageLabel(reciterCoverage, r.id);
-        return {
-          id: r.id,
-          label: `${r.reciter_name} (${r.style}, ${r.bitrate || 128}kbps, ${coverage})`
-        };
-      }),
+      getOptions: () => ALL_RECITERS.map(r => ({ id: r.id, label: reciterLabel(r) })),
       onSelect: () => {
         refreshClearButtonVisibility('clear-reciter', reciterInput);
         handleInputChange();
@@ -969,6 +1301,31 @@ async function setupQuranSelectors() {
   }
 }
 
+function currentAudioQuality() {
+  return resolveAudioQuality(audioQualityPreference, navigator.connection);
+}
+
+// The bitrate is what the quality preference would stream now in the chosen
+// playback mode; a provider the audio host has not measured yet shows none
+// rather than a guess.
+function reciterLabel(reciter) {
+  const kind = getPlaybackMode() === 'surah' ? 'surah' : 'ayah';
+  const kbps = reciterBitrate(reciter, currentAudioQuality(), measuredBitrates, kind);
+  const details = [reciter.style, kbps ? `${kbps}kbps` : null, getCoverageLabel(reciterCoverage, reciter.id)];
+  return `${reciter.reciter_name} (${details.filter(Boolean).join(', ')})`;
+}
+
+// Labels double as lookup keys, so a label change re-resolves the selected
+// reciter under its new label.
+function rebuildReciterLabels() {
+  const selectedKey = getReciterKey();
+  Object.keys(RECITER_LABEL_TO_KEY).forEach((label) => delete RECITER_LABEL_TO_KEY[label]);
+  ALL_RECITERS.forEach((r) => {
+    RECITER_LABEL_TO_KEY[reciterLabel(r)] = r.id;
+  });
+  if (selectedKey) setReciterInputByKey(selectedKey);
+}
+
 function populateSelect(selectEl, items, defaultOptionText, mapper) {
   const placeholder = document.createElement('option');
   placeholder.value = '';
@@ -1068,12 +1425,74 @@ function validateQuranSelection() {
   const isEnabled = !!suraId && !!reciterId;
   playButton.disabled = !isEnabled;
   autoplayButton.disabled = !isEnabled;
+  refreshDownloadButton();
+}
+
+// "2:255" or "Al-Kahf 10" typed into the surah picker becomes a single
+// pinned option on top of the surah list.
+function ayahReferenceOptions(query) {
+  const reference = parseAyahReference(query, ALL_SURAS.length
+    ? ALL_SURAS.map((s) => ({ id: s.id, names: [s.name_simple, s.name_arabic] }))
+    : undefined);
+  if (!reference) return [];
+  const chapter = ALL_SURAS.find((s) => String(s.id) === reference.suraId);
+  const label = t('jumpToAyah')
+    .replace('{name}', chapter ? getSuraName(chapter) : getSurahName(reference.suraId))
+    .replace('{ref}', reference.verseKey);
+  return [{ id: `ref-${reference.verseKey}`, label, pinned: true, reference }];
 }
 
-async function playQuranAudio() {
+// 'surah', 'juz' or 'hizb': what the surah picker lists.
+let suraBrowseMode = 'surah';
+
+function setSuraBrowseMode(mode) {
+  suraBrowseMode = mode;
+  document.querySelectorAll('#sura-browse [data-browse]').forEach((button) => {
+    const active = button.dataset.browse === mode;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+  // Focusing opens a closed panel; refresh redraws an open one.
+  document.getElementById('sura-input')?.focus();
+  suraCombobox?.refresh();
+}
+
+// Each juz or hizb plays from its first ayah through the reference path.
+// While the input still shows the selected surah nothing was typed to filter
+// by, so every division stays listed.
+function divisionOptions(kind, query) {
+  const untouched = !query || Boolean(SURA_LABEL_TO_ID[query.trim()]);
+  return listDivisions(kind).map(({ number, suraId, ayah, verseKey }) => {
+    const chapter = ALL_SURAS.find((s) => String(s.id) === suraId);
+    return {
+      id: `${kind}-${number}`,
+      label: t(kind === 'juz' ? 'browseJuzItem' : 'browseHizbItem').replace('{n}', String(number)),
+      secondary: `${chapter ? getSuraName(chapter) : getSurahName(suraId)} ${verseKey}`,
+      pinned: untouched,
+      reference: { suraId, ayah, verseKey }
+    };
+  });
+}
+
+// Selects the reference's surah and plays from its ayah: from that entry in
+// verse-by-verse playback, else by seeking the surah file.
+async function playAyahReference({ suraId, verseKey }) {
+  setSelectedSuraById(suraId);
+  handleInputChange();
+  saveUserSelections().catch(() => {});
+  const reciterKey = getReciterKey();
+  if (!reciterKey) return;
+  const mode = getPlaybackMode() === 'surah' ? 'surah' : 'ayah';
+  await playQuranAudio({ position: { suraId, reciterKey, mode }, startVerseKey: verseKey });
+}
+
+// A saved position (a bookmark or a recent session) overrides the selections
+// and, once playing, seeks to its time. `hifzSettings` plays a range without
+// touching the memorisation inputs; `startVerseKey` starts at a typed reference.
+async function playQuranAudio({ position = null, hifzSettings = null, startVerseKey = null } = {}) {
   setUILoading(true);
-  const suraId = getSelectedSuraId();
-  const reciterId = getReciterKey();
+  const suraId = position?.suraId || getSelectedSuraId();
+  const reciterId = position?.reciterKey || getReciterKey();
   const availabilityStatus = document.getElementById('quran-availability');
   // Snapshot the previous audio state so a fetch failure can revert cleanly
   // instead of leaving lastKnownAudioState half-updated.
@@ -1089,41 +1508,101 @@ async function playQuranAudio() {
       console.error('Popup: Chrome runtime lastError:', chrome.runtime.lastError);
     }
 
-    const audioUrl = await getSuraAudioUrl(reciterId, suraId);
-    console.log('Fetched audio URL:', audioUrl);
-    lastKnownAudioState = {
-      suraId,
-      reciterKey: reciterId,
-      audioUrl,
-      currentTime: 0,
-      isPlaying: false
-    };
+    const playbackMode = position?.mode || getPlaybackMode();
+    // Same reciter on other providers, starting with the one the saved
+    // position used, a downloaded copy or else the one that served it last.
+    // Hifz needs ayah audio, which only some providers have.
+    const download = playbackMode === 'hifz' ? null : findOfflineDownload(offlineDownloads, reciterId, suraId);
+    const preferredKey = position?.sourceKey || download?.sourceKey ||
+      (lastKnownAudioState.reciterKey === reciterId ? lastKnownAudioState.sourceKey : null);
+    const keys = getFailoverKeys(reciterId, getAlternateKeys(RECITER_CATALOG[reciterId], reciterId), preferredKey)
+      .filter((key) => playbackMode !== 'hifz' || supportsAyahPlayback(key));
+    if (keys.length === 0) {
+      availabilityStatus.textContent = t('statusHifzUnavailable');
+      availabilityStatus.style.color = 'var(--status-negative)';
+      updatePlayButtonUI(lastKnownAudioState.isPlaying, true, lastKnownAudioState.currentTime);
+      return;
+    }
+    const playbackRate = rateForReciter(playbackSettings, reciterId);
+    setPlaybackRateSelect(playbackRate);
+
+    const { sourceKey, result: { hifz, fromOffline, startTime, exactStart } } = await playWithFailover(keys, async (key) => {
+      const { audioUrl, playlist, hifz = null, fromOffline = false } = playbackMode === 'hifz'
+        ? await resolveHifzPlayback(key, suraId, hifzSettings || getHifzSettings(), { quality: currentAudioQuality() })
+        : await resolveSuraPlayback(key, suraId, {
+          mode: playbackMode,
+          offline: key === download?.sourceKey ? download : null,
+          quality: currentAudioQuality(),
+          resolveMp3Reciter: resolveCatalogMp3Reciter
+        });
+      console.log('Fetched audio URL:', audioUrl);
+      let start = { startIndex: 0, time: 0 };
+      if (startVerseKey) start = await ayahStartPoint(startVerseKey, { sourceKey: key, suraId, playlist });
+      else if (position) start = bookmarkStartPoint(position, playlist);
+      lastKnownAudioState = {
+        suraId,
+        reciterKey: reciterId,
+        sourceKey: key,
+        audioUrl,
+        currentTime: 0,
+        isPlaying: false,
+        ayahKey: playlist ? playlist[start.startIndex].verseKey : null
+      };
+
+      console.log('Popup: Sending message to background script...');
+      const response = await chrome.runtime.sendMessage({
+        action: 'playAudio',
+        audioUrl: audioUrl,
+        playlist: playlist,
+        startIndex: start.startIndex,
+        mode: playbackMode === 'hifz' ? 'hifz' : undefined,
+        hifz: hifz,
+        playbackRate: playbackRate,
+        reciterName: RECITER_CATALOG[reciterId]?.reciter_name || position?.reciterName || null,
+        suraId: suraId,
+        reciterKey: reciterId,
+        sourceKey: key,
+      });
 
-    console.log('Popup: Sending message to background script...');
-    const response = await chrome.runtime.sendMessage({
-      action: 'playAudio',
-      audioUrl: audioUrl,
-      suraId: suraId,
-      reciterKey: reciterId,
-    });
+      console.log('Popup: Received response from background:', response);
 
-    console.log('Popup: Received response from background:', response);
+      if (chrome.runtime.lastError) {
+        console.error('Popup: Chrome runtime error:', chrome.runtime.lastError);
+        throw new Error(`Chrome runtime error: ${chrome.runtime.lastError.message}`);
+      }
 
-    if (chrome.runtime.lastError) {
-      console.error('Popup: Chrome runtime error:', chrome.runtime.lastError);
-      throw new Error(`Chrome runtime error: ${chrome.runtime.lastError.message}`);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Background script failed to play audio.');
+      }
+      return { hifz, fromOffline, startTime: start.time, exactStart: start.exact !== false };
+    });
+    if (!hifzSettings) setHifzSettings(hifz);
+    if (startTime > 0) {
+      await chrome.runtime.sendMessage({ action: 'seekAudio', time: startTime });
+      lastKnownAudioState.currentTime = startTime;
     }
 
-    if (!response?.success) {
-      throw new Error(response?.error || 'Background script failed to play audio.');
+    if (startVerseKey && !exactStart) {
+      availabilityStatus.textContent = t('statusAyahTimingUnavailable');
+      availabilityStatus.style.color = '';
+    } else if (fromOffline) {
+      availabilityStatus.textContent = t('statusPlayingOffline');
+      availabilityStatus.style.color = 'var(--status-positive)';
+    } else if (playbackMode === 'ayah' && !supportsAyahPlayback(sourceKey)) {
+      availabilityStatus.textContent = t('statusAyahModeUnavailable');
+      availabilityStatus.style.color = '';
+    } else {
+      const provider = getProviderLabel(sourceKey);
+      availabilityStatus.textContent = provider
+        ? t('statusPlayingFrom').replace('{provider}', provider)
+        : t('statusPlaying');
+      availabilityStatus.style.color = 'var(--status-positive)';
     }
-
-    availabilityStatus.textContent = t('statusPlaying');
-    availabilityStatus.style.color = 'var(--status-positive)';
-    updatePlayButtonUI(true, true, 0);
+    updatePlayButtonUI(true, true, startTime);
     lastKnownAudioState.isPlaying = true;
-    startProgressTracking();
+    connectAudioEvents();
     renderPlayingBanner();
+    renderRecentSessions();
   } catch (error) {
     console.error('Audio playback failed:', error);
     lastKnownAudioState = previousAudioState;
@@ -1137,10 +1616,21 @@ async function playQuranAudio() {
 
 async function getSuraAudioUrl(reciterKey, suraId) {
   return getSuraAudioUrlShared(reciterKey, suraId, {
-    resolveMp3Reciter: (key) => RECITER_CATALOG[key]
+    quality: currentAudioQuality(),
+    resolveMp3Reciter: resolveCatalogMp3Reciter
   });
 }
 
+// An mp3 key folded into another provider's entry maps to that entry in
+// RECITER_CATALOG; its own server is kept in altServers.
+function resolveCatalogMp3Reciter(key) {
+  const entry = RECITER_CATALOG[key];
+  if (!entry) return null;
+  if (entry.id === key) return entry;
+  const server = entry.altServers?.[key];
+  return server ? { server } : null;
+}
+
 async function pauseQuranAudio() {
   try {
     const response = await chrome.runtime.sendMessage({ action: 'pauseAudio' });
@@ -1158,19 +1648,14 @@ async function pauseQuranAudio() {
     console.error('Failed to pause audio:', error);
     updatePlayButtonUI(false, true);
   }
-  
-  if (progressTrackingInterval) {
-    clearInterval(progressTrackingInterval);
-    progressTrackingInterval = null;
-  }
 }
 
 async function resumeQuranAudio() {
   // Defensive clear of the availability host so a stale Continue affordance
   // (or any prior status text) cannot survive a resume click. The click
   // handler in showContinueAffordance already removes its own button; this
-  // catches any path that re-renders into the host before progress polling
-  // takes over.
+  // catches any path that re-renders into the host before pushed audio events
+  // take over.
   const availabilityStatus = document.getElementById('quran-availability');
   if (availabilityStatus) availabilityStatus.replaceChildren();
   try {
@@ -1184,7 +1669,7 @@ async function resumeQuranAudio() {
       } else {
         updatePlayButtonUI(true, true);
       }
-      startProgressTracking();
+      connectAudioEvents();
       renderPlayingBanner();
     } else {
       console.error('Failed to resume audio:', response?.error);
@@ -1226,41 +1711,673 @@ function updateAutoplayButton(isEnabled) {
   setIconLabel(autoplayButton, 'cycle-arrow', isEnabled ? t('autoplayOn') : t('autoplayOff'));
 }
 
-function getNextSuraId(currentSuraId) {
-  const currentId = parseInt(currentSuraId);
-  return currentId >= 114 ? '1' : (currentId + 1).toString();
+// --- OFFLINE DOWNLOADS ---
+
+function refreshDownloadButton() {
+  const button = document.getElementById('download-sura');
+  if (!button) return;
+  const suraId = getSelectedSuraId();
+  const reciterKey = getReciterKey();
+  const pending = pendingDownloads.has(`${reciterKey}|${suraId}`);
+  const downloaded = !!findOfflineDownload(offlineDownloads, reciterKey, suraId);
+  button.disabled = !suraId || !reciterKey || pending;
+  button.dataset.downloaded = downloaded.toString();
+  const label = pending ? t('downloadingSura') : (downloaded ? t('removeDownloadSura') : t('downloadSura'));
+  button.setAttribute('aria-label', label);
+  setIconLabel(button, 'download-arrow', label);
 }
 
-async function playNextSura() {
-  const currentSuraId = getSelectedSuraId();
+// The background does the fetching so a download survives the popup closing.
+async function toggleOfflineDownload() {
+  const suraId = getSelectedSuraId();
   const reciterKey = getReciterKey();
-  
-  if (!currentSuraId || !reciterKey) {
-    console.log('Cannot play next sura: missing current selection');
+  if (!suraId || !reciterKey) return;
+  if (findOfflineDownload(offlineDownloads, reciterKey, suraId)) {
+    await removeOfflineCopy(reciterKey, suraId);
     return;
   }
-  
-  const nextSuraId = getNextSuraId(currentSuraId);
-  console.log(`Autoplay: Moving from Sura ${currentSuraId} to Sura ${nextSuraId}`);
-  
-  setSelectedSuraById(nextSuraId);
-  await saveUserSelections();
+  const availabilityStatus = document.getElementById('quran-availability');
+  const pendingKey = `${reciterKey}|${suraId}`;
+  pendingDownloads.add(pendingKey);
+  refreshDownloadButton();
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'downloadSura',
+      suraId,
+      reciterKey,
+      reciterName: RECITER_CATALOG[reciterKey]?.reciter_name || null
+    });
+    if (!response?.success) throw new Error(response?.error || 'Download failed');
+  } catch (error) {
+    console.error('Offline download failed:', error);
+    availabilityStatus.textContent = t('statusDownloadFailed');
+    availabilityStatus.style.color = 'var(--status-negative)';
+  } finally {
+    pendingDownloads.delete(pendingKey);
+    refreshDownloadButton();
+  }
+}
+
+async function removeOfflineCopy(reciterKey, suraId) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'removeDownload', reciterKey, suraId });
+  } catch (error) {
+    console.error('Failed to remove offline download:', error);
+  }
+}
 
-  // Clear the live audio url so renderPlayingBanner does not flash
-  // "Stop playing: <previous surah>" during the fetch window. playQuranAudio
-  // repopulates lastKnownAudioState atomically on success.
-  lastKnownAudioState.audioUrl = null;
+function renderDownloadsList() {
+  const list = document.getElementById('downloads-list');
+  const usage = document.getElementById('downloads-usage');
+  if (!list || !usage) return;
+  const entries = listOfflineDownloads(offlineDownloads);
+  usage.textContent = entries.length === 0
+    ? t('downloadsEmpty')
+    : t('downloadsUsage')
+      .replace('{count}', String(entries.length))
+      .replace('{size}', formatBytes(totalOfflineBytes(offlineDownloads)));
+
+  list.replaceChildren(...entries.map((entry) => {
+    const item = document.createElement('li');
+    item.className = 'card__list-item';
+    const label = document.createElement('span');
+    label.className = 'card__list-item-label';
+    const suraName = surahLabel(entry.suraId);
+    label.textContent = `${suraName} · ${entry.reciterName || entry.reciterKey}`;
+    const size = document.createElement('span');
+    size.textContent = formatBytes(entry.bytes);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'card__playing-banner-discard';
+    remove.setAttribute('aria-label', t('removeDownload'));
+    remove.appendChild(makeIconSvg('clear-cross'));
+    remove.addEventListener('click', () => removeOfflineCopy(entry.reciterKey, entry.suraId));
+    item.append(label, size, remove);
+    return item;
+  }));
+}
 
-  updatePlayButtonUI(false, true, 0);
-  setIconLabel(document.getElementById('play-quran'), 'play-triangle', t('play'));
-  document.getElementById('play-quran').dataset.action = 'play';
-  renderPlayingBanner();
+// --- LISTENING HISTORY ---
+
+function makeHistoryRow(label, value) {
+  const item = document.createElement('li');
+  item.className = 'card__list-item';
+  const labelEl = document.createElement('span');
+  labelEl.className = 'card__list-item-label';
+  labelEl.textContent = label;
+  const valueEl = document.createElement('span');
+  valueEl.textContent = value;
+  item.append(labelEl, valueEl);
+  return item;
+}
+
+// Drawn only while the section is open; the audio host owns the data.
+async function renderListeningHistory() {
+  const details = document.getElementById('history');
+  if (!details?.open) return;
+  const { [LISTENING_HISTORY_KEY]: history } = await chrome.storage.local.get(LISTENING_HISTORY_KEY);
+  const { perDay, topSurahs, topReciters } = summariseHistory(history);
+  const hasData = topSurahs.length > 0;
+  const formatMinutes = (minutes) => t('historyMinutes').replace('{minutes}', String(minutes));
+
+  document.getElementById('history-empty').textContent = hasData ? '' : t('historyEmpty');
+  ['history-days-heading', 'history-days', 'history-surahs-heading', 'history-surahs',
+    'history-reciters-heading', 'history-reciters'].forEach((id) => {
+    document.getElementById(id)?.classList.toggle('hidden', !hasData);
+  });
+  if (!hasData) return;
+
+  const busiest = Math.max(1, ...perDay.map((day) => day.minutes));
+  document.getElementById('history-days').replaceChildren(...perDay.map(({ date, minutes }) => {
+    const item = document.createElement('li');
+    item.className = 'card__list-item';
+    const dayEl = document.createElement('span');
+    dayEl.className = 'card__history-day';
+    const [year, month, dayOfMonth] = date.split('-').map(Number);
+    dayEl.textContent = new Date(year, month - 1, dayOfMonth).toLocaleDateString(CURRENT_LANG, { weekday: 'short' });
+    const bar = document.createElement('div');
+    bar.className = 'card__history-bar';
+    const fill = document.createElement('div');
+    fill.className = 'card__history-bar-fill';
+    fill.style.width = `${Math.round((minutes / busiest) * 100)}%`;
+    bar.appendChild(fill);
+    const value = document.createElement('span');
+    value.textContent = formatMinutes(minutes);
+    item.append(dayEl, bar, value);
+    return item;
+  }));
+
+  document.getElementById('history-surahs').replaceChildren(...topSurahs.map(({ suraId, minutes }) => (
+    makeHistoryRow(surahLabel(suraId), formatMinutes(minutes))
+  )));
+  document.getElementById('history-reciters').replaceChildren(...topReciters.map(({ reciterKey, reciterName, minutes }) => (
+    makeHistoryRow(reciterName || RECITER_CATALOG[reciterKey]?.reciter_name || reciterKey, formatMinutes(minutes))
+  )));
+}
+
+// --- BOOKMARKS ---
+
+let bookmarks = [];
+
+async function loadBookmarks() {
+  const { [BOOKMARKS_KEY]: saved } = await chrome.storage.local.get(BOOKMARKS_KEY);
+  renderBookmarks(saved);
+}
+
+// Bookmarks the host's position rather than the popup's, which can lag by a
+// timeupdate.
+async function addCurrentBookmark() {
+  const labelInput = document.getElementById('bookmark-label');
+  try {
+    const { success, state } = await chrome.runtime.sendMessage({ action: 'getAudioState' });
+    const bookmark = success ? createBookmark(state, labelInput?.value) : null;
+    if (!bookmark) return;
+    const { [BOOKMARKS_KEY]: saved } = await chrome.storage.local.get(BOOKMARKS_KEY);
+    await chrome.storage.local.set({ [BOOKMARKS_KEY]: addBookmark(saved, bookmark) });
+    if (labelInput) labelInput.value = '';
+    document.getElementById('bookmarks')?.setAttribute('open', '');
+  } catch (error) {
+    console.error('Failed to save bookmark:', error);
+  }
+}
+
+async function deleteBookmark(id) {
+  const { [BOOKMARKS_KEY]: saved } = await chrome.storage.local.get(BOOKMARKS_KEY);
+  await chrome.storage.local.set({ [BOOKMARKS_KEY]: removeBookmark(saved, id) });
+}
+
+// Selects the saved surah, reciter and playback mode so the rest of the card
+// agrees with what starts playing. Bookmarks and recent sessions share it.
+async function playFromPosition(position) {
+  setSelectedSuraById(position.suraId);
+  setReciterInputByKey(position.reciterKey);
+  const modeSelect = document.getElementById('playback-mode');
+  if (modeSelect) modeSelect.value = position.mode;
+  handleInputChange();
+  await playQuranAudio({ position });
+}
+
+function renderBookmarks(saved = bookmarks) {
+  bookmarks = saved || [];
+  const list = document.getElementById('bookmarks-list');
+  const empty = document.getElementById('bookmarks-empty');
+  if (!list || !empty) return;
+  empty.textContent = bookmarks.length === 0 ? t('bookmarksEmpty') : '';
+  list.replaceChildren(...sortBookmarks(bookmarks).map((bookmark) => {
+    const item = document.createElement('li');
+    item.className = 'card__list-item';
+    const suraName = surahLabel(bookmark.suraId);
+    const jump = document.createElement('button');
+    jump.type = 'button';
+    jump.className = 'card__bookmark-jump';
+    jump.textContent = bookmark.label ? `${bookmark.label} · ${suraName}` : suraName;
+    jump.title = bookmark.reciterName || RECITER_CATALOG[bookmark.reciterKey]?.reciter_name || bookmark.reciterKey;
+    jump.addEventListener('click', () => playFromPosition(bookmark));
+    const position = document.createElement('span');
+    position.textContent = bookmark.ayahKey
+      ? `${bookmark.ayahKey} · ${formatTime(bookmark.currentTime)}`
+      : formatTime(bookmark.currentTime);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'card__playing-banner-discard';
+    remove.setAttribute('aria-label', t('removeBookmark'));
+    remove.appendChild(makeIconSvg('clear-cross'));
+    remove.addEventListener('click', () => deleteBookmark(bookmark.id));
+    item.append(jump, position, remove);
+    return item;
+  }));
+}
+
+// --- RECENT SESSIONS ---
+
+const RECENT_SESSIONS_SHOWN = 5;
+let recentSessions = [];
+
+async function loadRecentSessions() {
+  const { [RESUME_POINTS_KEY]: saved } = await chrome.storage.local.get(RESUME_POINTS_KEY);
+  renderRecentSessions(saved);
+}
+
+// The audio host keeps one resume point per surah and reciter. The live
+// session is left out because Continue and Resume already cover it.
+function renderRecentSessions(saved = recentSessions) {
+  recentSessions = saved || [];
+  const container = document.getElementById('recent-sessions');
+  const list = document.getElementById('recent-list');
+  if (!container || !list) return;
+  const entries = listRecentSessions(recentSessions, lastKnownAudioState, RECENT_SESSIONS_SHOWN);
+  container.classList.toggle('hidden', entries.length === 0);
+  list.replaceChildren(...entries.map((point) => {
+    const item = document.createElement('li');
+    item.className = 'card__list-item';
+    const suraName = surahLabel(point.suraId);
+    const reciterName = point.reciterName || RECITER_CATALOG[point.reciterKey]?.reciter_name || point.reciterKey;
+    const resume = document.createElement('button');
+    resume.type = 'button';
+    resume.className = 'card__bookmark-jump';
+    resume.textContent = `${suraName} · ${reciterName}`;
+    resume.addEventListener('click', () => playFromPosition(point));
+    const position = document.createElement('span');
+    position.textContent = point.ayahKey
+      ? `${point.ayahKey} · ${formatTime(point.currentTime)}`
+      : formatTime(point.currentTime);
+    item.append(resume, position);
+    return item;
+  }));
+}
 
+// --- SURAH PLAYLISTS ---
+
+let playlistsStore = normalisePlaylists(null);
+let editingPlaylistId = null;
+
+async function loadPlaylists() {
+  const { [SURAH_PLAYLISTS_KEY]: saved } = await chrome.storage.local.get(SURAH_PLAYLISTS_KEY);
+  renderPlaylists(saved);
+}
+
+// The background also writes this key as autoplay moves through the active
+// playlist; onChanged brings both kinds of change back into the list.
+async function savePlaylists(store) {
+  renderPlaylists(store);
+  try {
+    await chrome.storage.local.set({ [SURAH_PLAYLISTS_KEY]: playlistsStore });
+  } catch (error) {
+    console.error('Failed to save playlists:', error);
+  }
+}
+
+async function createPlaylistFromForm() {
+  const nameInput = document.getElementById('playlist-name');
+  const surasInput = document.getElementById('playlist-suras');
+  const { store, id } = createPlaylist(playlistsStore, nameInput?.value, parseSuraList(surasInput?.value));
+  if (!id) {
+    nameInput?.focus();
+    return;
+  }
+  nameInput.value = '';
+  surasInput.value = '';
+  editingPlaylistId = id;
+  await savePlaylists(store);
+}
+
+// Starts the first surah with the selected reciter and hands the rest to the
+// background, which needs autoplay on to keep going. Hifz sessions never
+// autoplay, so the playlist plays whole surahs instead.
+async function playSurahPlaylist(list) {
+  if (!list.suraIds.length) return;
+  if (!getReciterKey()) {
+    const availabilityStatus = document.getElementById('quran-availability');
+    availabilityStatus.textContent = t('playlistNeedsReciter');
+    availabilityStatus.style.color = 'var(--status-negative)';
+    return;
+  }
+  await savePlaylists(activatePlaylist(playlistsStore, list.id, 0));
+  setSelectedSuraById(list.suraIds[0]);
+  const modeSelect = document.getElementById('playback-mode');
+  if (modeSelect?.value === 'hifz') modeSelect.value = 'surah';
+  updateAutoplayButton(true);
+  handleInputChange();
   await playQuranAudio();
 }
 
+function makeIconButton(iconId, label, onClick, className = 'card__playing-banner-discard') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.appendChild(makeIconSvg(iconId));
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderPlaylistEditor(list) {
+  const editor = document.createElement('li');
+  editor.className = 'card__playlist-editor';
+
+  const rename = document.createElement('div');
+  rename.className = 'card__playlist-rename';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'card__input';
+  nameInput.maxLength = 40;
+  nameInput.value = list.name;
+  nameInput.setAttribute('aria-label', t('renamePlaylist'));
+  const renameButton = document.createElement('button');
+  renameButton.type = 'button';
+  renameButton.className = 'card__button card__button--secondary';
+  renameButton.textContent = t('renamePlaylist');
+  renameButton.addEventListener('click', () => savePlaylists(renamePlaylist(playlistsStore, list.id, nameInput.value)));
+  rename.append(nameInput, renameButton);
+
+  const items = document.createElement('ol');
+  items.className = 'card__list';
+  items.replaceChildren(...list.suraIds.map((suraId, index) => {
+    const item = document.createElement('li');
+    item.className = 'card__list-item';
+    const label = document.createElement('span');
+    label.className = 'card__list-item-label';
+    label.textContent = surahLabel(suraId);
+    const up = makeIconButton('chevron-down', t('moveUp'),
+      () => savePlaylists(moveSura(playlistsStore, list.id, index, index - 1)));
+    up.classList.add('card__playlist-move-up');
+    up.disabled = index === 0;
+    const down = makeIconButton('chevron-down', t('moveDown'),
+      () => savePlaylists(moveSura(playlistsStore, list.id, index, index + 1)));
+    down.disabled = index === list.suraIds.length - 1;
+    const remove = makeIconButton('clear-cross', t('removeFromPlaylist'),
+      () => savePlaylists(removeSuraAt(playlistsStore, list.id, index)));
+    item.append(label, up, down, remove);
+    return item;
+  }));
+
+  const add = document.createElement('button');
+  add.type = 'button';
+  add.className = 'card__button card__button--secondary';
+  add.textContent = t('addSelectedSura');
+  add.addEventListener('click', () => savePlaylists(addSuraToPlaylist(playlistsStore, list.id, getSelectedSuraId())));
+
+  editor.append(rename, items, add);
+  return editor;
+}
+
+function renderPlaylists(saved = playlistsStore) {
+  playlistsStore = normalisePlaylists(saved);
+  const list = document.getElementById('playlists-list');
+  const empty = document.getElementById('playlists-empty');
+  if (!list || !empty) return;
+
+  const active = getActivePlaylist(playlistsStore);
+  document.getElementById('playlist-active')?.classList.toggle('hidden', !active);
+  if (active) {
+    document.getElementById('playlist-active-label').textContent = t('playlistFollowing')
+      .replace('{name}', active.name)
+      .replace('{position}', `${Math.min(playlistsStore.activeIndex + 1, active.suraIds.length)}/${active.suraIds.length}`);
+  }
+  empty.textContent = playlistsStore.lists.length === 0 ? t('playlistsEmpty') : '';
+
+  list.replaceChildren(...playlistsStore.lists.flatMap((playlist) => {
+    const item = document.createElement('li');
+    item.className = 'card__list-item';
+    const name = document.createElement('button');
+    name.type = 'button';
+    name.className = 'card__bookmark-jump';
+    name.textContent = playlist.name;
+    name.setAttribute('aria-expanded', String(editingPlaylistId === playlist.id));
+    name.setAttribute('aria-label', `${t('editPlaylist')}: ${playlist.name}`);
+    name.addEventListener('click', () => {
+      editingPlaylistId = editingPlaylistId === playlist.id ? null : playlist.id;
+      renderPlaylists();
+    });
+    const count = document.createElement('span');
+    count.textContent = t('playlistCount').replace('{count}', String(playlist.suraIds.length));
+    const play = makeIconButton('play-triangle', t('playPlaylist'), () => playSurahPlaylist(playlist));
+    play.disabled = playlist.suraIds.length === 0;
+    const remove = makeIconButton('clear-cross', t('deletePlaylist'), () => {
+      if (editingPlaylistId === playlist.id) editingPlaylistId = null;
+      savePlaylists(deletePlaylist(playlistsStore, playlist.id));
+    });
+    item.append(name, count, play, remove);
+    return editingPlaylistId === playlist.id ? [item, renderPlaylistEditor(playlist)] : [item];
+  }));
+}
+
+// --- KHATMAH ---
+
+function formatKhatmahDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(CURRENT_LANG, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Drawn only while the section is open; the audio host records completions.
+async function renderKhatmah() {
+  const details = document.getElementById('khatmah');
+  if (!details?.open) return;
+  const { [KHATMAH_KEY]: progress } = await chrome.storage.local.get(KHATMAH_KEY);
+  const completed = progress?.completed || {};
+  const history = progress?.history || [];
+
+  document.getElementById('khatmah-status').textContent = progress
+    ? t('khatmahStatus')
+      .replace('{number}', String(progress.number))
+      .replace('{date}', formatKhatmahDate(progress.startedAt))
+      .replace('{done}', String(countCompleted(progress)))
+    : t('khatmahEmpty');
+
+  const cells = [];
+  for (let suraId = 1; suraId <= SURAH_COUNT; suraId++) {
+    const cell = document.createElement('li');
+    const done = Boolean(completed[suraId]);
+    cell.className = done ? 'card__khatmah-cell card__khatmah-cell--done' : 'card__khatmah-cell';
+    cell.textContent = String(suraId);
+    cell.title = surahLabel(suraId);
+    cells.push(cell);
+  }
+  document.getElementById('khatmah-grid').replaceChildren(...cells);
+
+  document.getElementById('khatmah-history-heading')?.classList.toggle('hidden', history.length === 0);
+  document.getElementById('khatmah-history').replaceChildren(...history.slice().reverse().map((entry) => (
+    makeHistoryRow(
+      t('khatmahNumber').replace('{number}', String(entry.number)),
+      `${formatKhatmahDate(entry.startedAt)} – ${formatKhatmahDate(entry.finishedAt)}`
+    )
+  )));
+}
+
+// --- QURAN TEXT ---
+
+const QURAN_TEXT_OPEN_KEY = 'quranTextOpen';
+// Surah texts fetched by this popup, by surah id.
+const uthmaniTexts = new Map();
+let renderedTextSuraId = null;
+let highlightedAyahKey = null;
+
+// The playing (or paused) surah, else the selected one. Drawn only while the
+// section is open.
+async function renderQuranText() {
+  const details = document.getElementById('quran-text');
+  const list = document.getElementById('quran-text-list');
+  const status = document.getElementById('quran-text-status');
+  if (!details?.open || !list || !status) return;
+  const suraId = lastKnownAudioState.suraId || getSelectedSuraId();
+  if (!suraId) {
+    list.replaceChildren();
+    renderedTextSuraId = null;
+    status.textContent = t('quranTextEmpty');
+    return;
+  }
+  if (suraId !== renderedTextSuraId) {
+    let verses = uthmaniTexts.get(suraId);
+    if (!verses) {
+      status.textContent = t('loading');
+      try {
+        verses = await fetchUthmaniText(suraId);
+        uthmaniTexts.set(suraId, verses);
+      } catch (err) {
+        console.warn('Failed to load surah text:', err);
+        status.textContent = t('quranTextUnavailable');
+        return;
+      }
+      // Another surah may have been picked while this one loaded.
+      if (suraId !== (lastKnownAudioState.suraId || getSelectedSuraId())) return;
+    }
+    list.replaceChildren(...verses.map(({ verseKey, text }) => {
+      const item = document.createElement('li');
+      item.className = 'card__ayah';
+      item.dataset.verseKey = verseKey;
+      item.textContent = `${text} `;
+      const number = document.createElement('span');
+      number.className = 'card__ayah-number';
+      number.textContent = `\uFD3F${Number(verseKey.split(':')[1]).toLocaleString('ar-EG')}\uFD3E`;
+      item.appendChild(number);
+      return item;
+    }));
+    renderedTextSuraId = suraId;
+    highlightedAyahKey = null;
+    translationAyahKey = null;
+  }
+  status.textContent = '';
+  highlightAyah(lastKnownAudioState.ayahKey);
+  renderTranslation();
+}
+
+// Marks the ayah being recited and scrolls the text box, not the popup, to it.
+function highlightAyah(ayahKey) {
+  const list = document.getElementById('quran-text-list');
+  if (!list || !renderedTextSuraId) return;
+  const key = renderedTextSuraId === lastKnownAudioState.suraId ? ayahKey || null : null;
+  if (key === highlightedAyahKey) return;
+  highlightedAyahKey = key;
+  showAyahTranslation(key);
+  list.querySelector('.card__ayah--current')?.classList.remove('card__ayah--current');
+  const item = key && list.querySelector(`[data-verse-key="${key}"]`);
+  if (!item) return;
+  item.classList.add('card__ayah--current');
+  list.scrollTop = item.offsetTop - (list.clientHeight - item.offsetHeight) / 3;
+}
+
+// Chosen edition per UI language, from `translationEditions`.
+let translationEditions = {};
+// The translation of the rendered surah, once loaded: { editionId, suraId, verses }.
+let shownTranslation = null;
+let translationAyahKey = null;
+
+function renderTranslationEditions() {
+  const label = document.getElementById('translation-edition-label');
+  const select = document.getElementById('translation-edition');
+  if (!label || !select) return;
+  const editions = TRANSLATION_EDITIONS[CURRENT_LANG] || [];
+  label.classList.toggle('hidden', editions.length === 0);
+  label.childNodes[0].nodeValue = t('translationLabel') + ' ';
+  select.replaceChildren(...editions.map(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = String(id);
+    option.textContent = name;
+    return option;
+  }));
+  const editionId = pickTranslationEdition(CURRENT_LANG, translationEditions);
+  if (editionId) select.value = String(editionId);
+}
+
+// Loads the translation of the rendered surah in the UI language, from the
+// storage cache when it was read before.
+async function renderTranslation() {
+  const editionId = pickTranslationEdition(CURRENT_LANG, translationEditions);
+  const suraId = renderedTextSuraId;
+  if (!editionId || !suraId) {
+    shownTranslation = null;
+    showAyahTranslation(null);
+    return;
+  }
+  if (shownTranslation?.editionId !== editionId || shownTranslation?.suraId !== suraId) {
+    let verses;
+    try {
+      verses = await getCachedTranslation(chrome.storage.local, editionId, suraId);
+    } catch (err) {
+      console.warn('Failed to load translation:', err);
+      return;
+    }
+    // The surah, language or edition may have changed while this loaded.
+    if (suraId !== renderedTextSuraId || editionId !== pickTranslationEdition(CURRENT_LANG, translationEditions)) return;
+    shownTranslation = { editionId, suraId, verses };
+  }
+  showAyahTranslation(translationAyahKey);
+}
+
+function showAyahTranslation(ayahKey) {
+  const host = document.getElementById('quran-translation');
+  if (!host) return;
+  translationAyahKey = ayahKey || null;
+  const text = ayahKey && shownTranslation?.verses[ayahKey];
+  host.classList.toggle('hidden', !text);
+  if (!text) {
+    host.replaceChildren();
+    return;
+  }
+  const key = document.createElement('span');
+  key.className = 'card__translation-key';
+  key.textContent = ayahKey;
+  host.replaceChildren(key, ` ${text}`);
+}
+
+// --- AYAH OF THE DAY ---
+
+// Today's entry from shared/ayah-of-the-day.js, once loaded.
+let dailyAyah = null;
+
+async function renderAyahOfTheDay() {
+  const textEl = document.getElementById('ayah-of-the-day-text');
+  const translationEl = document.getElementById('ayah-of-the-day-translation');
+  const status = document.getElementById('ayah-of-the-day-status');
+  if (!textEl || !translationEl || !status) return;
+  const { [TRANSLATION_EDITIONS_KEY]: editions } = await chrome.storage.local.get(TRANSLATION_EDITIONS_KEY);
+  const editionId = pickTranslationEdition(CURRENT_LANG, editions);
+  try {
+    dailyAyah = await getAyahOfTheDay(chrome.storage.local, { dateKey: localDateKey(Date.now()), editionId });
+  } catch (err) {
+    console.warn('Failed to load the ayah of the day:', err);
+    dailyAyah = null;
+    textEl.textContent = '';
+    translationEl.classList.add('hidden');
+    status.textContent = t('ayahOfTheDayUnavailable');
+    renderAyahOfTheDayReference();
+    return;
+  }
+  textEl.textContent = dailyAyah.text;
+  const translation = editionId ? dailyAyah.translations?.[editionId] : null;
+  translationEl.textContent = translation || '';
+  translationEl.classList.toggle('hidden', !translation);
+  status.textContent = '';
+  renderAyahOfTheDayReference();
+}
+
+// Redrawn when the localised surah names arrive.
+function renderAyahOfTheDayReference() {
+  const refEl = document.getElementById('ayah-of-the-day-ref');
+  const playButton = document.getElementById('play-ayah-of-the-day');
+  if (playButton) playButton.disabled = !dailyAyah;
+  if (!refEl) return;
+  if (!dailyAyah) {
+    refEl.textContent = '';
+    return;
+  }
+  const [suraId, ayah] = dailyAyah.verseKey.split(':');
+  const chapter = ALL_SURAS.find((s) => String(s.id) === suraId);
+  refEl.textContent = `${chapter ? getSuraName(chapter) : getSurahName(suraId)} · ${suraId}:${ayah}`;
+}
+
+// Plays the one ayah with the selected reciter, as a single-pass hifz range so
+// neither autoplay nor the khatmah treat it as the whole surah.
+async function playAyahOfTheDay() {
+  const status = document.getElementById('ayah-of-the-day-status');
+  if (!dailyAyah || !status) return;
+  const reciterKey = getReciterKey();
+  if (!reciterKey) {
+    status.textContent = t('ayahOfTheDayPickReciter');
+    return;
+  }
+  const keys = getFailoverKeys(reciterKey, getAlternateKeys(RECITER_CATALOG[reciterKey], reciterKey));
+  if (!keys.some((key) => supportsAyahPlayback(key))) {
+    status.textContent = t('ayahOfTheDayNoAyahAudio');
+    return;
+  }
+  status.textContent = '';
+  const [suraId, ayah] = dailyAyah.verseKey.split(':');
+  setSelectedSuraById(suraId);
+  handleInputChange();
+  await playQuranAudio({
+    position: { suraId, reciterKey, mode: 'hifz' },
+    hifzSettings: { startAyah: ayah, endAyah: ayah, ayahRepeat: 1, rangeRepeat: 1 }
+  });
+}
+
 // --- UI HELPERS ---
 
+// The surah list has not loaded yet, or does not know the id.
+function surahLabel(suraId) {
+  return SURA_ID_TO_LABEL[suraId] || t('surahFallback').replace('{id}', String(suraId));
+}
+
 function setUILoading(isLoading) {
   document.getElementById('quran-loading').classList.toggle('hidden', !isLoading);
   document.getElementById('play-quran').disabled = isLoading;
@@ -1313,7 +2430,31 @@ function updatePlayButtonUI(isPlaying, isEnabled, currentTime = 0) {
   }
 }
 
-function updateProgressUI({ currentTime, duration }) {
+// "Ayah 2:255", or with the pass counters during a memorisation session.
+function formatAyahIndicator({ ayahKey, mode, hifz }) {
+  if (!ayahKey) return '';
+  // A single pass, such as the Ayah of the Day, has no counters worth showing.
+  const single = hifz?.ayahRepeat === 1 && hifz?.rangeRepeat === 1;
+  if (mode !== 'hifz' || !hifz?.ayahPass || single) {
+    return t('ayahIndicator').replace('{key}', ayahKey);
+  }
+  return t('hifzProgress')
+    .replace('{key}', ayahKey)
+    .replace('{ayahPass}', hifz.ayahPass)
+    .replace('{ayahRepeat}', hifz.ayahRepeat)
+    .replace('{rangePass}', hifz.rangePass)
+    .replace('{rangeRepeat}', hifz.rangeRepeat);
+}
+
+function updateProgressUI(state) {
+  const { currentTime, duration, ayahKey } = state;
+  const ayahIndicator = document.getElementById('ayah-indicator');
+  if (ayahIndicator) {
+    ayahIndicator.textContent = formatAyahIndicator(state);
+    ayahIndicator.classList.toggle('hidden', !ayahKey);
+  }
+  highlightAyah(ayahKey);
+
   // Show progress container if we have valid audio data
   if (duration > 0 || currentTime > 0) {
     document.getElementById('progress-container').classList.remove('hidden');
@@ -1337,58 +2478,115 @@ function formatTime(seconds) {
   return `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
 
-function startProgressTracking() {
-  if (progressTrackingInterval) clearInterval(progressTrackingInterval);
-  
-  progressTrackingInterval = setInterval(async () => {
-    try {
-      const response = await chrome.runtime.sendMessage({ action: 'getAudioState' });
-      if (response?.success) {
-        updateProgressUI(response.state);
-        
-        if (!response.state.isPlaying && response.state.currentTime >= response.state.duration && response.state.duration > 0) {
-          // Audio finished playing
-          clearInterval(progressTrackingInterval);
-          progressTrackingInterval = null;
-          
-          const autoplayEnabled = document.getElementById('autoplay-toggle').dataset.autoplay === 'true';
-          
-          if (autoplayEnabled) {
-            console.log('Sura finished, autoplay is enabled - playing next sura');
-            // Reset UI to fresh state before autoplay
-            updatePlayButtonUI(false, true, 0);
-            setIconLabel(document.getElementById('play-quran'), 'play-triangle', t('play'));
-            document.getElementById('play-quran').dataset.action = 'play';
-            document.getElementById('progress-bar').value = 0;
-            document.getElementById('current-time').textContent = formatTime(0);
-            
-            // Small delay before playing next to ensure clean transition
-            setTimeout(() => {
-              playNextSura();
-            }, 1000);
-          } else {
-            // Autoplay off: surah finished. Defer to updatePlayButtonUI so the
-            // Resume affordance with the end-of-track timestamp shows; that
-            // matches what the popup would render on a cold reopen of the
-            // same state. Progress UI keeps the final timestamp instead of
-            // collapsing to zero.
-            updatePlayButtonUI(false, true, response.state.currentTime);
-          }
-        } else if (!response.state.isPlaying) {
-          // Audio paused - but don't clear the interval immediately because it might resume
-          updatePlayButtonUI(false, true, response.state.currentTime);
-        } else if (response.state.isPlaying) {
-          updatePlayButtonUI(true, true, response.state.currentTime);
-        }
-      } else {
-        throw new Error('Failed to get audio state.');
-      }
-    } catch (error) {
-      console.error('Progress tracking error:', error);
-      clearInterval(progressTrackingInterval);
-      progressTrackingInterval = null;
+async function sendVolumeSettings() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'setVolume', ...volumeSettings });
+  } catch (err) {
+    console.warn('Failed to set volume:', err);
+  }
+}
+
+// Sleep timer countdown under the selector. A deadline timer ticks every
+// second while the popup is open; a surah-count timer only changes when the
+// background settles a finished surah, which arrives through storage.
+let sleepTimerState = null;
+let sleepCountdownInterval = null;
+
+function renderSleepTimer(timer = sleepTimerState) {
+  sleepTimerState = timer || null;
+  const select = document.getElementById('sleep-timer');
+  const box = document.getElementById('sleep-countdown');
+  const text = document.getElementById('sleep-countdown-text');
+  const extend = document.getElementById('sleep-extend');
+  if (!box || !text || !extend) return;
+
+  const active = isSleepTimerActive(sleepTimerState);
+  if (select) select.value = active ? sleepTimerState.choice : '0';
+  box.classList.toggle('hidden', !active);
+  const remaining = active ? sleepRemainingMs(sleepTimerState) : null;
+  if (remaining === null && sleepCountdownInterval) {
+    clearInterval(sleepCountdownInterval);
+    sleepCountdownInterval = null;
+  }
+  if (!active) return;
+
+  extend.setAttribute('aria-label', t('sleepExtend'));
+  if (remaining === null) {
+    const left = sleepTimerState.surahsLeft;
+    text.textContent = left === 1
+      ? t('sleepAtSurahEnd')
+      : t('sleepAfterSurahs').replace('{count}', String(left));
+    extend.textContent = t('sleepExtendSurah');
+    return;
+  }
+  text.textContent = t('sleepCountdown').replace('{time}', formatTime(Math.ceil(remaining / 1000)));
+  extend.textContent = t('sleepExtendMinutes').replace('{minutes}', String(SLEEP_EXTEND_MINUTES));
+  if (!sleepCountdownInterval) sleepCountdownInterval = setInterval(() => renderSleepTimer(), 1000);
+}
+
+// Subscribes to the audio host's push channel. The host answers with its full
+// state, then sends an event whenever playback changes. Autoplay and
+// media-key skips are decided in the background; when it moves on to
+// another surah the popup mirrors the result instead of deciding anything
+// itself. In Chrome the offscreen document only exists once audio has been
+// requested, so a connect with no listener just drops and play/resume retry.
+function connectAudioEvents() {
+  if (audioEventsPort) return;
+  try {
+    audioEventsPort = chrome.runtime.connect({ name: AUDIO_EVENTS_PORT });
+  } catch (error) {
+    console.warn('Could not connect to the audio host:', error);
+    return;
+  }
+  audioEventsPort.onMessage.addListener((message) => {
+    handleAudioEvent(message).catch((error) => console.error('Audio event handling failed:', error));
+  });
+  audioEventsPort.onDisconnect.addListener(() => {
+    audioEventsPort = null;
+    hostAudioState = null;
+  });
+}
+
+async function handleAudioEvent(message) {
+  hostAudioState = applyAudioEvent(hostAudioState, message);
+  const state = hostAudioState;
+  if (!state?.audioUrl) return;
+
+  // Nothing loaded in this popup (fresh open or discarded): only adopt audio
+  // that something else has just started, such as another popup, a keyboard
+  // shortcut or autoplay.
+  if (!lastKnownAudioState.audioUrl) {
+    if (message.event === 'play') {
+      await applyRestoredAudioState(state);
+      renderPlayingBanner();
     }
-  }, 1000);
+    return;
+  }
+
+  const trackChanged = (
+    state.suraId !== lastKnownAudioState.suraId ||
+    state.reciterKey !== lastKnownAudioState.reciterKey
+  );
+  if (trackChanged) {
+    await applyRestoredAudioState(state);
+    renderPlayingBanner();
+    return;
+  }
+
+  lastKnownAudioState.isPlaying = state.isPlaying;
+  lastKnownAudioState.currentTime = state.currentTime;
+  lastKnownAudioState.ayahKey = state.ayahKey || null;
+  lastKnownAudioState.sourceKey = state.sourceKey || state.reciterKey;
+  updateProgressUI(state);
+  // A finished surah keeps the Resume affordance with its end timestamp,
+  // matching a cold reopen of the same state.
+  updatePlayButtonUI(state.isPlaying, true, state.currentTime);
+
+  if (message.event === 'error') {
+    const availabilityStatus = document.getElementById('quran-availability');
+    availabilityStatus.textContent = t('statusReciterUnavailable');
+    availabilityStatus.style.color = 'var(--status-negative)';
+  }
 }
 
 // --- DHIKR FUNCTIONALITY ---
@@ -1593,7 +2791,7 @@ function validateInterval() {
 }
 
 function updatePresetButtons(currentInterval) {
-  document.querySelectorAll('.card__preset').forEach(button => {
+  document.querySelectorAll('.card__preset[data-seconds]').forEach(button => {
     const buttonSeconds = parseInt(button.dataset.seconds);
     if (buttonSeconds === currentInterval) {
       button.classList.add('active');
@@ -1697,13 +2895,72 @@ function applyLanguage() {
 
   const suraInput = document.getElementById('sura-input');
   if (suraInput) suraInput.placeholder = t('searchSura');
+  const browseGroup = document.getElementById('sura-browse');
+  if (browseGroup) {
+    browseGroup.setAttribute('aria-label', t('browseLabel'));
+    [['surah', 'browseSurahs'], ['juz', 'browseJuz'], ['hizb', 'browseHizb']].forEach(([mode, key]) => {
+      const button = browseGroup.querySelector(`[data-browse="${mode}"]`);
+      if (button) button.textContent = t(key);
+    });
+  }
 
   const sleepTimerLabel = document.getElementById('sleep-timer-label');
   if (sleepTimerLabel) {
     const select = document.getElementById('sleep-timer');
     sleepTimerLabel.childNodes[0].nodeValue = t('sleepTimerLabel') + ' ';
     if (select) {
-      [['0', 'sleepTimerOff'], ['15', 'sleepTimer15'], ['30', 'sleepTimer30'], ['45', 'sleepTimer45'], ['60', 'sleepTimer60']]
+      [['0', 'sleepTimerOff'], ['15', 'sleepTimer15'], ['30', 'sleepTimer30'], ['45', 'sleepTimer45'], ['60', 'sleepTimer60'],
+        ['surahs:1', 'sleepTimerEndOfSurah']]
+        .forEach(([value, key]) => {
+          const opt = select.querySelector(`option[value="${value}"]`);
+          if (opt) opt.textContent = t(key);
+        });
+      [2, 3].forEach((count) => {
+        const opt = select.querySelector(`option[value="surahs:${count}"]`);
+        if (opt) opt.textContent = t('sleepTimerSurahs').replace('{count}', String(count));
+      });
+    }
+    renderSleepTimer();
+  }
+
+  const playbackRateLabel = document.getElementById('playback-rate-label');
+  if (playbackRateLabel) playbackRateLabel.childNodes[0].nodeValue = t('playbackRateLabel') + ' ';
+  const perReciterText = document.getElementById('rate-per-reciter-text');
+  if (perReciterText) perReciterText.textContent = t('ratePerReciter');
+  const volumeLabel = document.getElementById('volume-label');
+  if (volumeLabel) volumeLabel.childNodes[0].nodeValue = t('volumeLabel') + ' ';
+  const normaliseText = document.getElementById('normalise-loudness-text');
+  if (normaliseText) normaliseText.textContent = t('normaliseLoudness');
+  const qualityLabel = document.getElementById('audio-quality-label');
+  if (qualityLabel) {
+    qualityLabel.childNodes[0].nodeValue = t('audioQualityLabel') + ' ';
+    [['auto', 'audioQualityAuto'], ['low', 'audioQualityLow'], ['standard', 'audioQualityStandard'], ['high', 'audioQualityHigh']]
+      .forEach(([value, key]) => {
+        const opt = qualityLabel.querySelector(`option[value="${value}"]`);
+        if (opt) opt.textContent = t(key);
+      });
+  }
+
+  const playbackModeLabel = document.getElementById('playback-mode-label');
+  if (playbackModeLabel) {
+    const select = document.getElementById('playback-mode');
+    playbackModeLabel.childNodes[0].nodeValue = t('playbackModeLabel') + ' ';
+    if (select) {
+      [['surah', 'playbackModeSurah'], ['ayah', 'playbackModeAyah'], ['hifz', 'playbackModeHifz']]
+        .forEach(([value, key]) => {
+          const opt = select.querySelector(`option[value="${value}"]`);
+          if (opt) opt.textContent = t(key);
+        });
+    }
+  }
+
+  const autoplayModeLabel = document.getElementById('autoplay-mode-label');
+  if (autoplayModeLabel) {
+    const select = document.getElementById('autoplay-mode');
+    autoplayModeLabel.childNodes[0].nodeValue = t('autoplayModeLabel') + ' ';
+    if (select) {
+      [['next', 'autoplayModeNext'], ['repeat-one', 'autoplayModeRepeatOne'], ['shuffle', 'autoplayModeShuffle'],
+        ['reverse', 'autoplayModeReverse'], ['stop-juz', 'autoplayModeStopJuz'], ['stop-hizb', 'autoplayModeStopHizb']]
         .forEach(([value, key]) => {
           const opt = select.querySelector(`option[value="${value}"]`);
           if (opt) opt.textContent = t(key);
@@ -1711,6 +2968,13 @@ function applyLanguage() {
     }
   }
 
+  [['hifz-start-label', 'hifzStartLabel'], ['hifz-end-label', 'hifzEndLabel'],
+    ['hifz-ayah-repeat-label', 'hifzAyahRepeatLabel'], ['hifz-range-repeat-label', 'hifzRangeRepeatLabel']]
+    .forEach(([id, key]) => {
+      const label = document.getElementById(id);
+      if (label) label.childNodes[0].nodeValue = t(key) + ' ';
+    });
+
   const clearReciterBtn = document.getElementById('clear-reciter');
   if (clearReciterBtn) clearReciterBtn.setAttribute('aria-label', t('clearReciter'));
 
@@ -1734,6 +2998,50 @@ function applyLanguage() {
   const playingBannerDiscard = document.getElementById('playing-banner-discard');
   if (playingBannerDiscard) playingBannerDiscard.setAttribute('aria-label', t('stopPlaying'));
 
+  const addBookmarkButton = document.getElementById('add-bookmark');
+  if (addBookmarkButton) {
+    addBookmarkButton.setAttribute('aria-label', t('addBookmark'));
+    setIconLabel(addBookmarkButton, 'bookmark-ribbon', t('bookmarkButton'));
+  }
+  const bookmarkLabel = document.getElementById('bookmark-label');
+  if (bookmarkLabel) {
+    bookmarkLabel.placeholder = t('bookmarkLabelPlaceholder');
+    bookmarkLabel.setAttribute('aria-label', t('bookmarkLabel'));
+  }
+  const recentHeading = document.getElementById('recent-heading');
+  if (recentHeading) recentHeading.textContent = t('recentSessions');
+  renderRecentSessions();
+  [['playlists-summary', 'playlistsTitle'], ['playlist-stop', 'stopFollowingPlaylist'],
+    ['create-playlist', 'createPlaylist']].forEach(([id, key]) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = t(key);
+  });
+  [['playlist-name', 'playlistNamePlaceholder'], ['playlist-suras', 'playlistSurasPlaceholder']].forEach(([id, key]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.placeholder = t(key);
+    el.setAttribute('aria-label', t(key));
+  });
+  renderPlaylists();
+  const bookmarksSummary = document.getElementById('bookmarks-summary');
+  if (bookmarksSummary) bookmarksSummary.textContent = t('bookmarksTitle');
+  renderBookmarks();
+
+  const downloadsSummary = document.getElementById('downloads-summary');
+  if (downloadsSummary) downloadsSummary.textContent = t('downloadsTitle');
+  [['history-summary', 'historyTitle'], ['history-days-heading', 'historyMinutesPerDay'],
+    ['history-surahs-heading', 'historyTopSurahs'], ['history-reciters-heading', 'historyTopReciters'],
+    ['khatmah-summary', 'khatmahTitle'], ['khatmah-history-heading', 'khatmahHistory'],
+    ['quran-text-summary', 'quranTextTitle']]
+    .forEach(([id, key]) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = t(key);
+    });
+  renderTranslationEditions();
+  renderTranslation();
+  refreshDownloadButton();
+  renderDownloadsList();
+
   const currentTimeEl = document.getElementById('current-time');
   if (currentTimeEl) currentTimeEl.textContent = t('currentTime');
   
@@ -1756,8 +3064,13 @@ function applyLanguage() {
   const hadithEl = document.getElementById('hadith-text');
   if (hadithEl) hadithEl.textContent = t('loading');
 
+  const dailyTitle = document.getElementById('ayah-of-the-day-title');
+  if (dailyTitle) dailyTitle.textContent = t('ayahOfTheDayTitle');
+  setIconLabel(document.getElementById('play-ayah-of-the-day'), 'play-triangle', t('ayahOfTheDayPlay'));
+
   displayCurrentDhikr();
   loadHadith();
+  renderAyahOfTheDay();
   fetchSuras().then(suras => {
     const currentSelected = getSelectedSuraId();
 
@@ -1772,6 +3085,13 @@ function applyLanguage() {
     });
 
     if (suraCombobox) suraCombobox.refresh();
+    renderDownloadsList();
+    renderListeningHistory();
+    renderKhatmah();
+    renderBookmarks();
+    renderRecentSessions();
+    renderPlaylists();
+    renderAyahOfTheDayReference();
     if (currentSelected) {
       setSelectedSuraById(currentSelected);
     }
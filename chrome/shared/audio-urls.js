@@ -3,9 +3,14 @@
 // The reciter key carries provider + raw id like "qc:7" or "mp3:228" or
 // "islamic:ar.alafasy". A bare numeric key defaults to Quran.com.
 
+import { islamicNetworkBitrates, pickBitrate } from './audio-quality.js';
+import { getAyahCount, toGlobalAyah } from './quran-meta.js';
+
 const QURAN_COM_API = 'https://api.quran.com/api/v4';
 const VERSES_BASE = 'https://verses.quran.com';
-const ISLAMIC_NETWORK_BASE = 'https://cdn.islamic.network/quran/audio/128';
+// `/quran/audio/` on the same CDN is numbered by global ayah, not by surah.
+const ISLAMIC_NETWORK_SURAH_BASE = 'https://cdn.islamic.network/quran/audio-surah';
+const ISLAMIC_NETWORK_AYAH_BASE = 'https://cdn.islamic.network/quran/audio';
 
 // Hosts the manifest's media-src enumerates. Any URL we hand to <audio> must
 // resolve to one of these. Anything else is a misconfiguration we should fail
@@ -43,15 +48,32 @@ function parseReciterKey(reciterKey) {
   return { provider: 'qc', rawId: reciterKey };
 }
 
+// 'qc' | 'mp3' | 'islamic', used to label where audio came from.
+export function getReciterProvider(reciterKey) {
+  return parseReciterKey(String(reciterKey)).provider;
+}
+
 export function getNextSuraId(currentSuraId) {
   const id = parseInt(currentSuraId, 10);
   return id >= 114 ? '1' : String(id + 1);
 }
 
+export function getPreviousSuraId(currentSuraId) {
+  const id = parseInt(currentSuraId, 10);
+  return id <= 1 ? '114' : String(id - 1);
+}
+
+// `quality` is 'low' | 'standard' | 'high' from shared/audio-quality.js.
+export function islamicNetworkSurahUrl(slug, suraId, quality = 'standard') {
+  const bitrate = pickBitrate(islamicNetworkBitrates(slug, 'surah'), quality);
+  return ensureAllowedAudioHost(`${ISLAMIC_NETWORK_SURAH_BASE}/${bitrate}/${slug}/${suraId}.mp3`);
+}
+
 // Caller passes a `resolveMp3Reciter(reciterKey, rawId)` returning the reciter
 // object (or null). The popup resolves from its in-memory catalogue; the
-// background resolves via API on each invocation.
-export async function getSuraAudioUrl(reciterKey, suraId, { resolveMp3Reciter } = {}) {
+// background resolves via API on each invocation. `quality` only matters for
+// Islamic.network, the one provider serving several bitrates.
+export async function getSuraAudioUrl(reciterKey, suraId, { resolveMp3Reciter, quality = 'standard' } = {}) {
   const { provider, rawId } = parseReciterKey(reciterKey);
 
   if (provider === 'mp3') {
@@ -68,7 +90,7 @@ export async function getSuraAudioUrl(reciterKey, suraId, { resolveMp3Reciter }
   }
 
   if (provider === 'islamic') {
-    return ensureAllowedAudioHost(`${ISLAMIC_NETWORK_BASE}/${rawId}/${suraId}.mp3`);
+    return islamicNetworkSurahUrl(rawId, suraId, quality);
   }
 
   // Default: Quran.com. Try chapter recitations first, fall back to first
@@ -80,9 +102,7 @@ export async function getSuraAudioUrl(reciterKey, suraId, { resolveMp3Reciter }
     if (chapterResponse.ok) {
       const chapterData = await chapterResponse.json();
       if (chapterData.audio_file?.audio_url) {
-        const audioUrl = chapterData.audio_file.audio_url;
-        const resolved = audioUrl.startsWith('http') ? audioUrl : `${VERSES_BASE}/${audioUrl}`;
-        return ensureAllowedAudioHost(resolved);
+        return ensureAllowedAudioHost(resolveQuranComAudioUrl(chapterData.audio_file.audio_url));
       }
     }
   } catch (_) {
@@ -101,9 +121,82 @@ export async function getSuraAudioUrl(reciterKey, suraId, { resolveMp3Reciter }
   const firstAudio = data.audio_files[0];
   const audioUrl = firstAudio.url || firstAudio.audio_url;
   if (!audioUrl) throw new Error('Audio URL not found in API response.');
-  let resolved;
-  if (audioUrl.startsWith('//')) resolved = `https:${audioUrl}`;
-  else if (audioUrl.startsWith('http')) resolved = audioUrl;
-  else resolved = `${VERSES_BASE}/${audioUrl}`;
-  return ensureAllowedAudioHost(resolved);
+  return ensureAllowedAudioHost(resolveQuranComAudioUrl(audioUrl));
+}
+
+// Quran.com hands back a mix of absolute, protocol-relative, and
+// verses.quran.com-relative paths depending on the recitation.
+function resolveQuranComAudioUrl(audioUrl) {
+  if (audioUrl.startsWith('//')) return `https:${audioUrl}`;
+  if (audioUrl.startsWith('http')) return audioUrl;
+  return `${VERSES_BASE}/${audioUrl}`;
+}
+
+export function supportsAyahPlayback(reciterKey) {
+  if (!reciterKey) return false;
+  const { provider } = parseReciterKey(reciterKey);
+  return provider === 'qc' || provider === 'islamic';
+}
+
+// Islamic.network ayah files are named by global ayah number, so the
+// playlist comes from the bundled ayah counts without an API call.
+export function islamicNetworkAyahPlaylist(slug, suraId, quality = 'standard') {
+  const count = getAyahCount(suraId);
+  if (!count) throw new Error('No audio files found for this surah.');
+  const bitrate = pickBitrate(islamicNetworkBitrates(slug, 'ayah'), quality);
+  return Array.from({ length: count }, (_, i) => ({
+    verseKey: `${Number(suraId)}:${i + 1}`,
+    url: ensureAllowedAudioHost(`${ISLAMIC_NETWORK_AYAH_BASE}/${bitrate}/${slug}/${toGlobalAyah(suraId, i + 1)}.mp3`)
+  }));
+}
+
+// Ordered ayah playlist for one surah: [{ verseKey: '2:255', url }, ...].
+// For Quran.com the by_chapter endpoint is paginated (50 per page at most),
+// so long surahs take several requests.
+export async function getAyahPlaylist(reciterKey, suraId, { quality = 'standard' } = {}) {
+  if (!supportsAyahPlayback(reciterKey)) {
+    throw new Error('Ayah-level audio is not available for this reciter');
+  }
+  const { provider, rawId } = parseReciterKey(reciterKey);
+  if (provider === 'islamic') return islamicNetworkAyahPlaylist(rawId, suraId, quality);
+  const files = [];
+  let page = 1;
+  while (page) {
+    const url = `${QURAN_COM_API}/recitations/${rawId}/by_chapter/${suraId}?per_page=50&page=${page}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    files.push(...(data.audio_files || []));
+    page = data.pagination?.next_page || null;
+  }
+  if (files.length === 0) throw new Error('No audio files found in API response.');
+
+  const ayahNumber = (key) => parseInt(String(key).split(':')[1], 10);
+  return files
+    .filter((f) => f.verse_key && (f.url || f.audio_url))
+    .sort((a, b) => ayahNumber(a.verse_key) - ayahNumber(b.verse_key))
+    .map((f) => ({
+      verseKey: f.verse_key,
+      url: ensureAllowedAudioHost(resolveQuranComAudioUrl(f.url || f.audio_url))
+    }));
+}
+
+// Builds the audio part of a playAudio message. In 'ayah' mode, reciters that
+// support it get a per-ayah playlist; everyone else gets the surah file.
+// `offline` is this surah's entry from the offline download index: its URL is
+// used in either mode without any API lookup, so a downloaded surah plays
+// whole even in 'ayah' mode. `fromOffline` tells callers the audio host will
+// play the cached copy.
+export async function resolveSuraPlayback(reciterKey, suraId, { mode = 'surah', resolveMp3Reciter, offline = null, quality = 'standard' } = {}) {
+  if (offline?.url) {
+    return { audioUrl: ensureAllowedAudioHost(offline.url), playlist: null, fromOffline: true };
+  }
+  if (mode === 'ayah' && supportsAyahPlayback(reciterKey)) {
+    const playlist = await getAyahPlaylist(reciterKey, suraId, { quality });
+    return { audioUrl: playlist[0].url, playlist };
+  }
+  const audioUrl = await getSuraAudioUrl(reciterKey, suraId, { resolveMp3Reciter, quality });
+  return { audioUrl, playlist: null };
 }
@@ -1,7 +1,10 @@
 // Parchment-styled combobox controller. Owns open/close, filter, keyboard nav,
 // ARIA, and outside-click handling. Does not own data: callers supply options
-// via getOptions(). Religious-content rule: labels are rendered as-is via
-// textContent; the filter normalises a comparison key only, never the display.
+// via getOptions(query), which sees the raw input so it can add options of its
+// own, marked `pinned` to skip the filter. setValue asks without a query, for
+// the ids a selection can hold. Religious-content rule: labels are
+// rendered as-is via textContent; the filter normalises a comparison key only,
+// never the display.
 
 const ARABIC_RANGE = /[؀-ۿݐ-ݿﭐ-﷿ﹰ-﻿]/;
 const ARABIC_TASHKEEL = /[ً-ْٰ]/g;
@@ -40,7 +43,7 @@ function hasArabic(s) {
 }
 
 function matchesQuery(option, normQuery) {
-  if (!normQuery) return true;
+  if (!normQuery || option.pinned) return true;
   if (normaliseForCompare(option.label).includes(normQuery)) return true;
   if (option.secondary && normaliseForCompare(option.secondary).includes(normQuery)) return true;
   if (option.id && normaliseForCompare(String(option.id)).includes(normQuery)) return true;
@@ -72,7 +75,7 @@ export function createCombobox({ inputEl, panelEl, getOptions, onSelect, onClear
 
   function renderPanel() {
     const query = normaliseForCompare(inputEl.value);
-    const all = getOptions() || [];
+    const all = getOptions(inputEl.value) || [];
     filtered = all.filter((o) => matchesQuery(o, query));
 
     panelEl.replaceChildren();
@@ -0,0 +1,75 @@
+// Memorisation (hifz) playlists. The popup picks a surah, an ayah range and
+// two repeat counts. The playlist holds the range once; the pass counters in
+// `hifz` say where the loop is, and the host asks nextPlaylistStep for the
+// following entry. A 20 x 20 loop over a long surah would otherwise be a
+// six-figure list sent with playAudio and saved with every audioState.
+
+import { getAyahCount } from './quran-meta.js';
+import { getAyahPlaylist } from './audio-urls.js';
+
+export const MAX_REPEAT = 20;
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+// Clamps user input to the surah's ayah range and sane repeat counts. A
+// reversed range is swapped rather than rejected.
+export function normaliseHifzSettings(settings, suraId) {
+  const ayahCount = getAyahCount(suraId);
+  if (!ayahCount) throw new Error('Unknown surah');
+  let startAyah = clampInt(settings?.startAyah, 1, ayahCount, 1);
+  let endAyah = clampInt(settings?.endAyah, 1, ayahCount, ayahCount);
+  if (endAyah < startAyah) [startAyah, endAyah] = [endAyah, startAyah];
+  return {
+    startAyah,
+    endAyah,
+    ayahRepeat: clampInt(settings?.ayahRepeat, 1, MAX_REPEAT, 1),
+    rangeRepeat: clampInt(settings?.rangeRepeat, 1, MAX_REPEAT, 1)
+  };
+}
+
+// Keeps the entries of an ordered ayah playlist ([{ verseKey, url }]) that
+// fall inside the range.
+export function selectHifzRange(playlist, { startAyah, endAyah }) {
+  const ayahNumber = (entry) => parseInt(String(entry.verseKey).split(':')[1], 10);
+  const range = playlist.filter((entry) => {
+    const n = ayahNumber(entry);
+    return n >= startAyah && n <= endAyah;
+  });
+  if (range.length === 0) throw new Error('No audio found for this ayah range');
+  return range;
+}
+
+// Where playback goes after the entry at playlistIndex ends: the same ayah
+// again, the next ayah, or the top of the range for another round. Returns
+// { playlistIndex, hifz } with the updated counters, or null when the session
+// is over. Plain verse-by-verse playlists just move to the next entry.
+export function nextPlaylistStep({ playlist, playlistIndex, mode, hifz }) {
+  if (!Array.isArray(playlist)) return null;
+  if (mode !== 'hifz' || !hifz) {
+    return playlistIndex + 1 < playlist.length ? { playlistIndex: playlistIndex + 1, hifz } : null;
+  }
+  const ayahPass = hifz.ayahPass || 1;
+  const rangePass = hifz.rangePass || 1;
+  if (ayahPass < hifz.ayahRepeat) {
+    return { playlistIndex, hifz: { ...hifz, ayahPass: ayahPass + 1, rangePass } };
+  }
+  if (playlistIndex + 1 < playlist.length) {
+    return { playlistIndex: playlistIndex + 1, hifz: { ...hifz, ayahPass: 1, rangePass } };
+  }
+  if (rangePass < hifz.rangeRepeat) {
+    return { playlistIndex: 0, hifz: { ...hifz, ayahPass: 1, rangePass: rangePass + 1 } };
+  }
+  return null;
+}
+
+// Builds the audio part of a hifz playAudio message. Only reciters with
+// verse-level audio qualify; getAyahPlaylist throws for the rest.
+export async function resolveHifzPlayback(reciterKey, suraId, settings, { quality } = {}) {
+  const hifz = { ...normaliseHifzSettings(settings, suraId), ayahPass: 1, rangePass: 1 };
+  const playlist = selectHifzRange(await getAyahPlaylist(reciterKey, suraId, { quality }), hifz);
+  return { audioUrl: playlist[0].url, playlist, hifz };
+}
@@ -0,0 +1,76 @@
+// Offline surah downloads. The MP3 bytes live in Cache Storage under their
+// original URL, so the audio host can find them from the URL it was asked to
+// play. The list of downloads lives in storage.local under
+// OFFLINE_INDEX_KEY, keyed by the reciter the user picked, so playback can
+// find a local copy without asking any provider API for the URL first.
+
+export const OFFLINE_CACHE_NAME = 'offline-audio-v1';
+export const OFFLINE_INDEX_KEY = 'offlineDownloads';
+
+export function offlineDownloadKey(reciterKey, suraId) {
+  return `${reciterKey}|${suraId}`;
+}
+
+export function findOfflineDownload(index, reciterKey, suraId) {
+  if (!index || !reciterKey || !suraId) return null;
+  return index[offlineDownloadKey(reciterKey, suraId)] || null;
+}
+
+// entry: { reciterKey, sourceKey, reciterName, suraId, url, bytes, savedAt }
+export function addOfflineDownload(index, entry) {
+  return { ...(index || {}), [offlineDownloadKey(entry.reciterKey, entry.suraId)]: entry };
+}
+
+export function removeOfflineDownload(index, reciterKey, suraId) {
+  const next = { ...(index || {}) };
+  delete next[offlineDownloadKey(reciterKey, suraId)];
+  return next;
+}
+
+// Mushaf order, then reciter name, for the management list.
+export function listOfflineDownloads(index) {
+  return Object.values(index || {}).sort((a, b) => (
+    Number(a.suraId) - Number(b.suraId) ||
+    String(a.reciterName || a.reciterKey).localeCompare(String(b.reciterName || b.reciterKey))
+  ));
+}
+
+export function totalOfflineBytes(index) {
+  return Object.values(index || {}).reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+}
+
+export function formatBytes(bytes) {
+  if (!(bytes > 0)) return '0 MB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export async function saveOfflineAudio(url, { cacheStorage = globalThis.caches, fetchImpl = globalThis.fetch } = {}) {
+  const response = await fetchImpl(url);
+  if (!response.ok) {
+    throw new Error(`Download failed with status ${response.status}: ${response.statusText}`);
+  }
+  const blob = await response.blob();
+  const cache = await cacheStorage.open(OFFLINE_CACHE_NAME);
+  await cache.put(url, new Response(blob, {
+    headers: { 'Content-Type': blob.type || 'audio/mpeg' }
+  }));
+  return blob.size;
+}
+
+export async function deleteOfflineAudio(url, { cacheStorage = globalThis.caches } = {}) {
+  const cache = await cacheStorage.open(OFFLINE_CACHE_NAME);
+  return cache.delete(url);
+}
+
+// The cached MP3 as a Blob, or null when there is no local copy.
+export async function getOfflineAudio(url, { cacheStorage = globalThis.caches } = {}) {
+  if (!cacheStorage || !url) return null;
+  try {
+    const cache = await cacheStorage.open(OFFLINE_CACHE_NAME);
+    const response = await cache.match(url);
+    return response ? await response.blob() : null;
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,38 @@
+// Gapless autoplay. The background resolves the surah autoplay will move to
+// and hands the host its first track URL, along with the whole playback once
+// it has confirmed autoplay will take it. The host buffers the track in a
+// standby audio element once the current surah is nearly over and, when the
+// surah ends, starts the confirmed playback itself so the standby swaps in
+// without waiting on the background.
+
+import { SURAH_PLAYLISTS_KEY, getActivePlaylist } from './surah-playlists.js';
+
+const NEXT_SURAH_SELECTIONS = ['autoplayEnabled', 'autoplayMode', 'playbackMode'];
+
+// Long enough to buffer the start of a large mp3 on a slow line, short enough
+// not to download surahs the listener never reaches.
+export const PREFETCH_LEAD_SECONDS = 30;
+
+export function firstTrackUrl({ audioUrl, playlist }) {
+  return Array.isArray(playlist) && playlist.length > 0 ? playlist[0].url : audioUrl;
+}
+
+// True once the last track of the current surah is within the lead window.
+export function shouldStartPrefetch({ playlist, playlistIndex, currentTime, duration }, lead = PREFETCH_LEAD_SECONDS) {
+  if (Array.isArray(playlist) && playlistIndex < playlist.length - 1) return false;
+  if (!(duration > 0) || !Number.isFinite(duration)) return false;
+  return duration - (currentTime || 0) <= lead;
+}
+
+// True when a storage.onChanged batch can change the surah autoplay moves to,
+// so a playback confirmed earlier must be resolved again. The background's
+// own step through a playlist (activeIndex) and surah changes do not count.
+export function changesNextSurah(changes) {
+  const selections = changes.userSelections;
+  if (selections && NEXT_SURAH_SELECTIONS.some((key) => selections.oldValue?.[key] !== selections.newValue?.[key])) {
+    return true;
+  }
+  const playlists = changes[SURAH_PLAYLISTS_KEY];
+  if (!playlists) return false;
+  return JSON.stringify(getActivePlaylist(playlists.oldValue)) !== JSON.stringify(getActivePlaylist(playlists.newValue));
+}
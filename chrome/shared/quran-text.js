@@ -0,0 +1,122 @@
+// Uthmani text, translations and ayah timing for the read-along panel. The
+// text and translations come from Quran.com for any reciter. The timing
+// depends on the audio. Verse-by-verse
+// playback already knows its ayah from the playlist. A Quran.com surah file
+// comes with per-ayah timestamps from the chapter recitation endpoint. Other
+// surah files have no timing, so the text shows without a highlight.
+
+import { getReciterProvider } from './audio-urls.js';
+
+const QURAN_COM_API = 'https://api.quran.com/api/v4';
+
+// [{ verseKey, text }] in mushaf order.
+export async function fetchUthmaniText(suraId, fetchImpl = fetch) {
+  const response = await fetchImpl(`${QURAN_COM_API}/quran/verses/uthmani?chapter_number=${Number(suraId)}`);
+  if (!response.ok) {
+    throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+  }
+  const { verses } = await response.json();
+  if (!Array.isArray(verses) || verses.length === 0) throw new Error('No verses found in API response.');
+  return verses.map((verse) => ({ verseKey: verse.verse_key, text: verse.text_uthmani }));
+}
+
+// [{ verseKey, from, to }] in milliseconds into the surah file, or null when
+// the reciter is not on Quran.com or the recitation has no timestamps.
+export async function fetchAyahTimings(reciterKey, suraId, fetchImpl = fetch) {
+  if (!reciterKey || !suraId || getReciterProvider(reciterKey) !== 'qc') return null;
+  const rawId = String(reciterKey).replace(/^qc:/, '');
+  const response = await fetchImpl(`${QURAN_COM_API}/chapter_recitations/${rawId}/${suraId}?segments=true`);
+  if (!response.ok) return null;
+  const data = await response.json();
+  const timestamps = data.audio_file?.timestamps;
+  if (!Array.isArray(timestamps) || timestamps.length === 0) return null;
+  return timestamps
+    .filter((entry) => entry.verse_key && Number.isFinite(entry.timestamp_from))
+    .map((entry) => ({ verseKey: entry.verse_key, from: entry.timestamp_from, to: entry.timestamp_to }))
+    .sort((a, b) => a.from - b.from);
+}
+
+// The ayah playing `ms` into the file. Before the first ayah (a reciter's
+// isti'adha, say) nothing is highlighted.
+export function findAyahAt(timings, ms) {
+  if (!timings?.length || !(ms >= timings[0].from)) return null;
+  let low = 0;
+  let high = timings.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (timings[mid].from <= ms) low = mid;
+    else high = mid - 1;
+  }
+  return timings[low].verseKey;
+}
+
+// Quran.com translation resource ids offered per UI language, default first.
+// Arabic has no entry: the Arabic UI shows the text alone.
+export const TRANSLATION_EDITIONS = {
+  en: [
+    { id: 131, name: 'The Clear Quran (Mustafa Khattab)' },
+    { id: 20, name: 'Saheeh International' },
+    { id: 85, name: 'M.A.S. Abdel Haleem' }
+  ],
+  fr: [
+    { id: 31, name: 'Muhammad Hamidullah' },
+    { id: 136, name: 'Montada Islamic Foundation' },
+    { id: 779, name: 'Rashid Maash' }
+  ]
+};
+
+export const TRANSLATION_EDITIONS_KEY = 'translationEditions';
+export const TRANSLATION_CACHE_KEY = 'translationCache';
+// Al-Baqarah alone is ~150 KB in English, so the cache keeps the surahs
+// fetched most recently rather than every surah of every edition.
+export const TRANSLATION_CACHE_LIMIT = 30;
+
+// The edition chosen for `lang`, falling back to its default; null when the
+// language has no translations.
+export function pickTranslationEdition(lang, saved) {
+  const editions = TRANSLATION_EDITIONS[lang];
+  if (!editions) return null;
+  const id = Number(saved?.[lang]);
+  return editions.some((edition) => edition.id === id) ? id : editions[0].id;
+}
+
+// Translations carry footnote markers as <sup foot_note=...>1</sup> and the
+// odd formatting tag; the panel shows plain text.
+export function stripTranslationMarkup(text) {
+  return String(text || '')
+    .replace(/<sup\b[^>]*>.*?<\/sup>/gi, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// { [verseKey]: text } for one surah. The endpoint lists the ayat in order
+// without their keys.
+export async function fetchTranslation(editionId, suraId, fetchImpl = fetch) {
+  const response = await fetchImpl(`${QURAN_COM_API}/quran/translations/${Number(editionId)}?chapter_number=${Number(suraId)}`);
+  if (!response.ok) {
+    throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+  }
+  const { translations } = await response.json();
+  if (!Array.isArray(translations) || translations.length === 0) throw new Error('No translations found in API response.');
+  return Object.fromEntries(translations.map((entry, index) => [
+    `${Number(suraId)}:${index + 1}`,
+    stripTranslationMarkup(entry.text)
+  ]));
+}
+
+// Reads one surah's translation from `translationCache`, fetching and storing
+// it on a miss.
+export async function getCachedTranslation(storage, editionId, suraId, fetchImpl = fetch, now = Date.now()) {
+  const cacheKey = `${editionId}|${Number(suraId)}`;
+  const { [TRANSLATION_CACHE_KEY]: cache = {} } = await storage.get(TRANSLATION_CACHE_KEY);
+  if (cache[cacheKey]?.verses) return cache[cacheKey].verses;
+  const verses = await fetchTranslation(editionId, suraId, fetchImpl);
+  // Re-read so a surah cached by another popup meanwhile is not dropped.
+  const { [TRANSLATION_CACHE_KEY]: latest = {} } = await storage.get(TRANSLATION_CACHE_KEY);
+  const entries = Object.entries({ ...latest, [cacheKey]: { verses, savedAt: now } })
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, TRANSLATION_CACHE_LIMIT);
+  await storage.set({ [TRANSLATION_CACHE_KEY]: Object.fromEntries(entries) });
+  return verses;
+}
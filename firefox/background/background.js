@@ -4,7 +4,51 @@
  */
 
 import { getRandomDhikr } from '../shared/dhikr.js';
-import { getSuraAudioUrl as getSuraAudioUrlShared, isAllowedAudioHost } from '../shared/audio-urls.js';
+import {
+  resolveSuraPlayback,
+  isAllowedAudioHost
+} from '../shared/audio-urls.js';
+import {
+  AUDIO_QUALITY_KEY,
+  resolveAudioQuality,
+  recordMeasuredBitrate
+} from '../shared/audio-quality.js';
+import { SURAH_PLAYLISTS_KEY, activatePlaylist, setActiveIndex } from '../shared/surah-playlists.js';
+import { getAutoplayStep } from '../shared/autoplay.js';
+import { clampPlaybackRate } from '../shared/playback-rate.js';
+import { shouldStartPrefetch, firstTrackUrl } from '../shared/prefetch.js';
+import { createListeningTracker } from '../shared/listening-history.js';
+import { recordSurahCompletion, isSeekAhead } from '../shared/khatmah.js';
+import { recordResumePoint } from '../shared/resume-points.js';
+import { VOLUME_SETTINGS_KEY, normaliseVolumeSettings, createLoudnessNormaliser } from '../shared/volume.js';
+import { fetchAyahTimings, findAyahAt } from '../shared/quran-text.js';
+import { nextPlaylistStep } from '../shared/hifz.js';
+import {
+  SLEEP_TIMER_KEY,
+  SLEEP_TIMER_ALARM,
+  createSleepTimer,
+  extendSleepTimer,
+  countSurahEnd,
+  sleepFadeStart,
+  fadeVolumeFactor
+} from '../shared/sleep-timer.js';
+import {
+  OFFLINE_INDEX_KEY,
+  addOfflineDownload,
+  deleteOfflineAudio,
+  findOfflineDownload,
+  getOfflineAudio,
+  removeOfflineDownload,
+  saveOfflineAudio
+} from '../shared/offline-audio.js';
+import {
+  findReciterEntry,
+  getAlternateKeys,
+  getFailoverKeys,
+  playWithFailover
+} from '../shared/provider-failover.js';
+import { bindMediaSessionHandlers, updateMediaSession } from '../shared/media-session.js';
+import { AUDIO_EVENTS_PORT, buildAudioEvent } from '../shared/audio-events.js';
 import { fetchReciters } from '../shared/reciter-catalogue.js';
 import { probeCoverage } from '../shared/reciter-coverage.js';
 
@@ -45,29 +89,44 @@ function scheduleCoverageProbe() {
   });
 }
 
-// Sleep timer: pauses audio after the user-chosen duration. The persistent
-// background page keeps the timer alive until it fires.
-let sleepTimerHandle = null;
+// Sleep timer. Stored and woken by an alarm like the Chrome build, so the
+// popup reads one shape; surah-count timers are settled in handleTrackEnded.
+async function scheduleSleepTimer(timer) {
+  await browser.alarms.clear(SLEEP_TIMER_ALARM);
+  const fadeAt = sleepFadeStart(timer);
+  if (fadeAt !== null) browser.alarms.create(SLEEP_TIMER_ALARM, { when: fadeAt });
+}
 
-function cancelSleepTimer() {
-  if (sleepTimerHandle) {
-    clearTimeout(sleepTimerHandle);
-    sleepTimerHandle = null;
-  }
+async function setSleepTimer(choice) {
+  const timer = createSleepTimer(choice);
+  await browser.storage.local.set({ [SLEEP_TIMER_KEY]: timer });
+  await scheduleSleepTimer(timer);
+  cancelFadeOut();
+  return timer;
 }
 
-function setSleepTimer(minutes) {
-  cancelSleepTimer();
-  const m = Number(minutes);
-  if (!m || m <= 0) return;
-  sleepTimerHandle = setTimeout(() => {
-    sleepTimerHandle = null;
-    try {
-      pauseAudio();
-    } catch (err) {
-      console.error('Background: Sleep timer pause failed:', err);
-    }
-  }, m * 60_000);
+async function cancelSleepTimer() {
+  await browser.storage.local.set({ [SLEEP_TIMER_KEY]: null });
+  await browser.alarms.clear(SLEEP_TIMER_ALARM);
+}
+
+async function extendCurrentSleepTimer() {
+  const { [SLEEP_TIMER_KEY]: current } = await browser.storage.local.get(SLEEP_TIMER_KEY);
+  const timer = extendSleepTimer(current);
+  if (!timer) return null;
+  await browser.storage.local.set({ [SLEEP_TIMER_KEY]: timer });
+  await scheduleSleepTimer(timer);
+  // An extension during the fade brings the volume straight back.
+  cancelFadeOut();
+  return timer;
+}
+
+// The timer stays stored until its deadline passes so the countdown can
+// still be extended while the volume is fading.
+async function startSleepFade() {
+  const { [SLEEP_TIMER_KEY]: timer } = await browser.storage.local.get(SLEEP_TIMER_KEY);
+  if (typeof timer?.deadline !== 'number') return;
+  fadeOutAndPause(Math.max(0, timer.deadline - Date.now()));
 }
 
 let dhikrTimeoutId = null;
@@ -154,21 +213,41 @@ async function handleMessage(message, sender, sendResponse) {
         message.action === 'pauseAudio' ||
         message.action === 'resumeAudio' ||
         message.action === 'seekAudio' ||
+        message.action === 'setPlaybackRate' ||
+        message.action === 'setVolume' ||
         message.action === 'getAudioState') {
 
       console.log(`Background received message: ${message.action}`, message);
       // Any user-initiated pause cancels a pending sleep timer.
-      if (message.action === 'pauseAudio') cancelSleepTimer();
+      if (message.action === 'pauseAudio') await cancelSleepTimer();
       await handleAudioMessage(message, sendResponse);
       return;
     }
 
-    if (message.action === 'setSleepTimer') {
-      setSleepTimer(message.minutes);
+    if (message.action === 'downloadSura') {
+      const entry = await downloadSura(message);
+      sendResponse({ success: true, entry });
+      return;
+    }
+
+    if (message.action === 'removeDownload') {
+      await removeDownload(message);
       sendResponse({ success: true });
       return;
     }
 
+    if (message.action === 'setSleepTimer') {
+      const timer = await setSleepTimer(message.choice);
+      sendResponse({ success: true, timer });
+      return;
+    }
+
+    if (message.action === 'extendSleepTimer') {
+      const timer = await extendCurrentSleepTimer();
+      sendResponse({ success: Boolean(timer), timer });
+      return;
+    }
+
     // Handle unknown actions
     console.error('Background: Unknown action received:', message.action);
     sendResponse({ success: false, error: `Unknown action: ${message.action}` });
@@ -234,22 +313,123 @@ async function handleDhikrMessage(message, sendResponse) {
 
 // Firefox audio state management
 let audioPlayer = null;
+// Next surah's first track, buffered near the end of the current one so
+// autoplay can switch without a gap.
+let standbyPlayer = null;
+let pendingPrefetchUrl = null;
+// Object URL of the downloaded surah currently loaded, freed on the next load.
+let localObjectUrl = null;
 let currentAudioState = {
   audioUrl: null,
   suraId: null,
   reciterKey: null,
+  // Key that actually served the audio; an altId of reciterKey after a
+  // provider failover.
+  sourceKey: null,
+  reciterName: null,
   isPlaying: false,
   currentTime: 0,
   duration: 0,
+  playlist: null,
+  playlistIndex: 0,
+  ayahKey: null,
+  // Where this playback began and whether a seek skipped forward since; the
+  // khatmah only counts surahs heard from the start.
+  startIndex: 0,
+  seekedAhead: false,
+  mode: 'surah',
+  hifz: null,
+  playbackRate: 1,
   timestamp: Date.now()
 };
 
+const ARTWORK_URL = browser.runtime.getURL('assets/icon128.png');
+const listeningTracker = createListeningTracker(browser.storage.local);
+
+// Volume and loudness normalisation. Unlike the Chrome offscreen elements,
+// these are created without CORS mode, and Web Audio hears a non-CORS
+// cross-origin element as silence. Elements are therefore fetched in CORS
+// mode once the normaliser is in use, and only those are routed through it;
+// the one playing when it is switched on keeps its direct output until the
+// next track.
+const loudnessNormaliser = createLoudnessNormaliser();
+let volumeSettings = normaliseVolumeSettings(null);
+
+function createAudioElement(src) {
+  const element = new Audio();
+  if (volumeSettings.normalise || loudnessNormaliser.usesGraph()) element.crossOrigin = 'anonymous';
+  element.volume = volumeSettings.volume;
+  element.preload = 'auto';
+  if (src) element.src = src;
+  return element;
+}
+
+function routeThroughNormaliser(element) {
+  return element?.crossOrigin ? element : null;
+}
+
+function applyVolumeSettings(settings) {
+  volumeSettings = normaliseVolumeSettings(settings);
+  // A fade in progress owns the live element's volume and restores this one.
+  if (fade) {
+    fade.volume = volumeSettings.volume;
+  } else if (audioPlayer) {
+    audioPlayer.volume = volumeSettings.volume;
+  }
+  if (standbyPlayer) standbyPlayer.volume = volumeSettings.volume;
+  loudnessNormaliser.setEnabled(volumeSettings.normalise, routeThroughNormaliser(audioPlayer));
+}
+
+browser.storage.local.get(VOLUME_SETTINGS_KEY)
+  .then(({ [VOLUME_SETTINGS_KEY]: saved }) => applyVolumeSettings(saved))
+  .catch(() => {});
+
+// Hardware media keys and the OS overlay. This page owns the audio element,
+// so every handler calls straight into the playback functions below.
+function skipSura(direction) {
+  const { suraId, reciterKey, sourceKey } = currentAudioState;
+  if (!suraId || !reciterKey) return;
+  playAdjacentSura(suraId, reciterKey, direction, sourceKey);
+}
+
+bindMediaSessionHandlers({
+  play: () => resumeAudio(),
+  pause: () => pauseAudio(),
+  seekTo: (time) => seekAudio(time),
+  next: () => skipSura('next'),
+  previous: () => skipSura('previous')
+});
+
+// Open popups connect here and get pushed state instead of polling.
+const audioPorts = new Set();
+
+function broadcastAudioEvent(event, extra) {
+  if (audioPorts.size === 0) return;
+  const message = buildAudioEvent(event, currentAudioState, extra);
+  for (const port of audioPorts) {
+    try {
+      port.postMessage(message);
+    } catch (_) {
+      audioPorts.delete(port);
+    }
+  }
+}
+
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name !== AUDIO_EVENTS_PORT) return;
+  audioPorts.add(port);
+  port.onDisconnect.addListener(() => audioPorts.delete(port));
+  port.postMessage(buildAudioEvent('state', currentAudioState));
+});
+
 // Persist current audio state so the popup can restore position after a
 // browser restart. The popup is the source of truth for restoration; runtime
 // round-trips are only used for live state during active playback.
 function saveAudioState() {
+  updateMediaSession(currentAudioState, ARTWORK_URL);
   try {
     browser.storage.local.set({ audioState: { ...currentAudioState } }).catch(() => {});
+    recordResumePoint(browser.storage.local, currentAudioState).catch(() => {});
   } catch (_) {
     // Storage may be unavailable during shutdown; swallow.
   }
@@ -272,7 +452,17 @@ async function handleAudioMessage(message, sendResponse) {
     
     switch (message.action) {
       case 'playAudio':
-        await playAudio(message.audioUrl, message.suraId, message.reciterKey);
+        await playAudio(message.audioUrl, message.suraId, message.reciterKey, {
+          playlist: message.playlist,
+          startIndex: message.startIndex,
+          mode: message.mode,
+          hifz: message.hifz,
+          playbackRate: message.playbackRate,
+          reciterName: message.reciterName,
+          sourceKey: message.sourceKey
+        });
+        prefetchNextSura(message.suraId, message.reciterKey, message.sourceKey || message.reciterKey, message.mode)
+          .catch((error) => console.error('Background: Prefetch failed:', error));
         break;
       case 'pauseAudio':
         pauseAudio();
@@ -283,6 +473,12 @@ async function handleAudioMessage(message, sendResponse) {
       case 'seekAudio':
         seekAudio(message.time);
         break;
+      case 'setPlaybackRate':
+        setPlaybackRate(message.rate);
+        break;
+      case 'setVolume':
+        applyVolumeSettings(message);
+        break;
       case 'getAudioState':
         updateCurrentTime();
         break;
@@ -298,60 +494,153 @@ async function handleAudioMessage(message, sendResponse) {
   }
 }
 
-async function playAudio(audioUrl, suraId, reciterKey) {
+// Ayah timestamps of the surah file playing, so audioState can name the
+// current ayah the way a playlist does. Only Quran.com publishes them.
+let ayahTimings = null;
+
+function loadAyahTimings() {
+  ayahTimings = null;
+  const state = currentAudioState;
+  if (state.playlist) return;
+  fetchAyahTimings(state.sourceKey, state.suraId).then((timings) => {
+    // Another track may have started while the timestamps loaded.
+    if (currentAudioState === state) ayahTimings = timings;
+  }).catch((error) => console.error('Background: Failed to load ayah timings:', error));
+}
+
+function updateTimedAyah() {
+  if (!ayahTimings || currentAudioState.playlist) return;
+  currentAudioState.ayahKey = findAyahAt(ayahTimings, audioPlayer.currentTime * 1000);
+}
+
+async function playAudio(audioUrl, suraId, reciterKey, { playlist = null, startIndex = 0, mode = null, hifz = null, playbackRate = null, reciterName = null, sourceKey = null } = {}) {
   if (!isAllowedAudioHost(audioUrl)) {
     throw new Error('Audio source unavailable for this combination');
   }
+  const hasPlaylist = Array.isArray(playlist) && playlist.length > 0;
+  if (hasPlaylist && !playlist.every((entry) => isAllowedAudioHost(entry?.url))) {
+    throw new Error('Audio source unavailable for this combination');
+  }
+  const index = hasPlaylist ? Math.min(Math.max(0, startIndex || 0), playlist.length - 1) : 0;
+  // Omitted by autoplay, which keeps whatever speed and reciter label were in
+  // use.
+  const rate = clampPlaybackRate(playbackRate ?? currentAudioState.playbackRate);
+  const displayName = reciterName || (reciterKey === currentAudioState.reciterKey ? currentAudioState.reciterName : null);
+  const trackUrl = hasPlaylist ? playlist[index].url : audioUrl;
+  cancelFadeOut();
   try {
-    // Stop any existing audio
+    // Stop any existing audio, keeping its position before the state below
+    // replaces it.
     if (audioPlayer) {
+      recordResumePoint(browser.storage.local, { ...currentAudioState, currentTime: audioPlayer.currentTime })
+        .catch(() => {});
       audioPlayer.pause();
       audioPlayer.src = '';
     }
     
-    // Create new audio element
-    audioPlayer = new Audio(audioUrl);
-    audioPlayer.preload = 'auto';
+    // Reuse the element that already buffered this track near the end of the
+    // previous surah, otherwise create a new one. A downloaded surah plays
+    // from Cache Storage.
+    audioPlayer = takePrefetchedTrack(trackUrl) ||
+      createAudioElement((!hasPlaylist && await useLocalSource(trackUrl)) || trackUrl);
+    loudnessNormaliser.attach(routeThroughNormaliser(audioPlayer));
+    // The default rate survives the src swaps of ayah-level playback.
+    audioPlayer.defaultPlaybackRate = rate;
+    audioPlayer.playbackRate = rate;
     
     // Update state
     currentAudioState = {
       audioUrl,
       suraId,
       reciterKey,
+      sourceKey: sourceKey || reciterKey,
+      reciterName: displayName,
       isPlaying: false,
       currentTime: 0,
-      duration: 0,
+      // A prefetched element loaded its metadata before these listeners.
+      duration: audioPlayer.duration || 0,
+      playlist: hasPlaylist ? playlist : null,
+      playlistIndex: index,
+      startIndex: index,
+      seekedAhead: false,
+      ayahKey: hasPlaylist ? playlist[index].verseKey : null,
+      mode: mode || (hasPlaylist ? 'ayah' : 'surah'),
+      hifz: mode === 'hifz' ? hifz : null,
+      playbackRate: rate,
       timestamp: Date.now()
     };
+    listeningTracker.start(currentAudioState);
+    loadAyahTimings();
     
     // Set up event listeners
     audioPlayer.addEventListener('loadedmetadata', () => {
       currentAudioState.duration = audioPlayer.duration;
     });
     
-    audioPlayer.addEventListener('timeupdate', () => {
+    audioPlayer.addEventListener('timeupdate', (event) => {
+      // An element replaced by the next track can still fire; only the live
+      // one moves the state and the history.
+      if (event.target !== audioPlayer) return;
       currentAudioState.currentTime = audioPlayer.currentTime;
       currentAudioState.timestamp = Date.now();
+      updateTimedAyah();
       maybeSaveOnTimeUpdate();
+      broadcastAudioEvent('timeupdate');
+      maybeStartPrefetch();
+      if (!audioPlayer.paused) listeningTracker.progress(audioPlayer.currentTime);
     });
     
     audioPlayer.addEventListener('play', () => {
       currentAudioState.isPlaying = true;
+      updateMediaSession(currentAudioState, ARTWORK_URL);
+      broadcastAudioEvent('play');
     });
     
-    audioPlayer.addEventListener('pause', () => {
+    audioPlayer.addEventListener('pause', (event) => {
+      // An element replaced by the next track can still fire; only the live
+      // one moves the state and the history.
+      if (event.target !== audioPlayer) return;
+      // Finishing an ayah pauses the element just before `ended` moves the
+      // playlist on; only a real stop is a pause for the popup and the history.
+      if (audioPlayer.ended && nextPlaylistStep(currentAudioState)) return;
       currentAudioState.isPlaying = false;
       saveAudioState();
+      broadcastAudioEvent('pause');
+      listeningTracker.pause();
+    });
+
+    audioPlayer.addEventListener('error', (event) => {
+      // A replaced element errors on its emptied src; only the live one counts.
+      if (event.target !== audioPlayer) return;
+      broadcastAudioEvent('error', { error: audioPlayer.error?.message || 'Audio failed to load' });
     });
 
-    audioPlayer.addEventListener('ended', () => {
+    audioPlayer.addEventListener('ended', async () => {
+      if (await advancePlaylist()) return;
+      listeningTracker.end(currentAudioState);
+      recordSurahCompletion(browser.storage.local, currentAudioState).catch((error) => {
+        console.error('Background: Failed to record khatmah progress:', error);
+      });
       currentAudioState.isPlaying = false;
       saveAudioState();
+      broadcastAudioEvent('ended');
+      // This page is also the autoplay owner, so no message hop is needed.
+      handleTrackEnded(currentAudioState).catch((error) => {
+        console.error('Background: Autoplay after track end failed:', error);
+      });
     });
     
     // Start playback
     await audioPlayer.play();
     currentAudioState.isPlaying = true;
+    // A downloaded copy plays from a blob: URL, which the helper skips.
+    if (!hasPlaylist) {
+      recordMeasuredBitrate(browser.storage.local, {
+        sourceKey: currentAudioState.sourceKey,
+        url: audioPlayer.src,
+        duration: audioPlayer.duration
+      }).catch((error) => console.error('Background: Failed to measure bitrate:', error));
+    }
     
     console.log('Background: Audio playback started');
     
@@ -361,6 +650,70 @@ async function playAudio(audioUrl, suraId, reciterKey) {
   }
 }
 
+async function useLocalSource(url) {
+  const blob = await getOfflineAudio(url);
+  if (localObjectUrl) URL.revokeObjectURL(localObjectUrl);
+  localObjectUrl = blob ? URL.createObjectURL(blob) : null;
+  return localObjectUrl;
+}
+
+function setPrefetchUrl(url) {
+  clearStandby();
+  pendingPrefetchUrl = isAllowedAudioHost(url) ? url : null;
+}
+
+function clearStandby() {
+  if (!standbyPlayer) return;
+  standbyPlayer.pause();
+  standbyPlayer.removeAttribute('src');
+  standbyPlayer.load();
+  standbyPlayer = null;
+}
+
+function maybeStartPrefetch() {
+  if (!pendingPrefetchUrl || standbyPlayer) return;
+  if (!shouldStartPrefetch(currentAudioState)) return;
+  standbyPlayer = createAudioElement(pendingPrefetchUrl);
+}
+
+// Hands over the standby element when it holds a playable copy of url;
+// another URL, a load error or too little buffered data returns null.
+function takePrefetchedTrack(url) {
+  const ready = standbyPlayer &&
+    standbyPlayer.getAttribute('src') === url &&
+    !standbyPlayer.error &&
+    standbyPlayer.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA;
+  pendingPrefetchUrl = null;
+  if (!ready) {
+    clearStandby();
+    return null;
+  }
+  const element = standbyPlayer;
+  standbyPlayer = null;
+  return element;
+}
+
+// Moves to the next ayah of the playlist, or the next pass of a hifz loop, on
+// the same element. Returns false when there is no playlist or the last ayah
+// just finished.
+async function advancePlaylist() {
+  const step = audioPlayer ? nextPlaylistStep(currentAudioState) : null;
+  if (!step) return false;
+  const next = currentAudioState.playlist[step.playlistIndex];
+  currentAudioState.playlistIndex = step.playlistIndex;
+  currentAudioState.hifz = step.hifz;
+  currentAudioState.ayahKey = next.verseKey;
+  audioPlayer.src = next.url;
+  try {
+    await audioPlayer.play();
+  } catch (error) {
+    console.error('Background: Failed to advance to next ayah:', error);
+    return false;
+  }
+  saveAudioState();
+  return true;
+}
+
 function pauseAudio() {
   if (audioPlayer && !audioPlayer.paused) {
     audioPlayer.pause();
@@ -368,9 +721,40 @@ function pauseAudio() {
     saveAudioState();
     console.log('Background: Audio paused');
   }
+  cancelFadeOut();
+}
+
+// Sleep timer fade: the element ramps down to silence, pauses, then gets its
+// volume back so the next play is not silent.
+const FADE_STEP_MS = 250;
+let fade = null;
+
+function fadeOutAndPause(durationMs) {
+  cancelFadeOut();
+  if (!audioPlayer || audioPlayer.paused) return;
+  const startedAt = Date.now();
+  fade = { player: audioPlayer, volume: audioPlayer.volume, interval: null };
+  const step = () => {
+    const factor = fadeVolumeFactor(Date.now() - startedAt, durationMs);
+    if (factor > 0) {
+      fade.player.volume = fade.volume * factor;
+    } else {
+      pauseAudio();
+    }
+  };
+  fade.interval = setInterval(step, FADE_STEP_MS);
+  step();
+}
+
+function cancelFadeOut() {
+  if (!fade) return;
+  clearInterval(fade.interval);
+  fade.player.volume = fade.volume;
+  fade = null;
 }
 
 function resumeAudio() {
+  cancelFadeOut();
   if (audioPlayer && audioPlayer.paused) {
     audioPlayer.play();
     currentAudioState.isPlaying = true;
@@ -378,8 +762,19 @@ function resumeAudio() {
   }
 }
 
+function setPlaybackRate(rate) {
+  const clamped = clampPlaybackRate(rate);
+  currentAudioState.playbackRate = clamped;
+  if (audioPlayer) {
+    audioPlayer.defaultPlaybackRate = clamped;
+    audioPlayer.playbackRate = clamped;
+    saveAudioState();
+  }
+}
+
 function seekAudio(time) {
   if (audioPlayer) {
+    if (isSeekAhead(audioPlayer.currentTime, time)) currentAudioState.seekedAhead = true;
     audioPlayer.currentTime = time;
     currentAudioState.currentTime = time;
     saveAudioState();
@@ -514,9 +909,76 @@ browser.alarms.onAlarm.addListener((alarm) => {
   } else if (alarm.name === COVERAGE_PROBE_ALARM) {
     console.log('Background: Coverage probe alarm triggered');
     runCoverageProbe();
+  } else if (alarm.name === SLEEP_TIMER_ALARM) {
+    console.log('Background: Sleep timer alarm triggered');
+    startSleepFade().catch((err) => console.error('Background: Sleep timer fade failed:', err));
   }
 });
 
+// Keyboard shortcuts declared under `commands` in the manifest. They run with
+// the popup closed, so everything goes through the same audio and dhikr paths
+// the popup uses instead of a popup round trip.
+const SEEK_STEP_SECONDS = 10;
+
+// handleAudioMessage answers through a callback; a command has nobody to
+// answer, so collect the response as a promise instead.
+function runAudioAction(message) {
+  return new Promise((resolve) => handleAudioMessage(message, resolve));
+}
+
+async function getCommandAudioState() {
+  const response = await runAudioAction({ action: 'getAudioState' });
+  if (response?.state?.audioUrl) return response.state;
+  // A freshly created audio host may not have read storage yet.
+  const { audioState } = await browser.storage.local.get('audioState');
+  return audioState?.audioUrl ? audioState : null;
+}
+
+async function handleCommand(command) {
+  if (command === 'next-dhikr') {
+    // The reminder style lives in storage; the in-memory copy resets whenever
+    // the background restarts.
+    const { dhikrSettings } = await browser.storage.local.get('dhikrSettings');
+    if (dhikrSettings?.mode) dhikrReminderMode = dhikrSettings.mode;
+    await showDhikrNotification(false);
+    return;
+  }
+
+  const state = await getCommandAudioState();
+  if (!state) return;
+
+  switch (command) {
+    case 'toggle-playback':
+      if (state.isPlaying) {
+        await cancelSleepTimer();
+        await runAudioAction({ action: 'pauseAudio' });
+      } else {
+        await runAudioAction({ action: 'resumeAudio' });
+      }
+      break;
+    case 'next-surah':
+    case 'previous-surah':
+      await playAdjacentSura(state.suraId, state.reciterKey, command === 'next-surah' ? 'next' : 'previous', state.sourceKey);
+      break;
+    case 'seek-forward':
+    case 'seek-backward': {
+      const delta = command === 'seek-forward' ? SEEK_STEP_SECONDS : -SEEK_STEP_SECONDS;
+      const limit = state.duration > 0 ? state.duration : Infinity;
+      const time = Math.min(Math.max((state.currentTime || 0) + delta, 0), limit);
+      await runAudioAction({ action: 'seekAudio', time });
+      break;
+    }
+    default:
+      console.warn('Background: Unknown command:', command);
+  }
+}
+
+browser.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch((error) => {
+    console.error('Background: Command failed:', command, error);
+  });
+});
+
 async function showDhikrNotification(isTest = false) {
   try {
     const dhikr = getRandomDhikr();
@@ -669,108 +1131,140 @@ browser.runtime.onInstalled.addListener(async () => {
   scheduleCoverageProbe();
 });
 
-// --- AUDIO MONITORING FOR AUTOPLAY ---
-
-let audioMonitoringInterval = null;
+// --- AUTOPLAY ---
 
-async function startAudioMonitoring() {
-  if (audioMonitoringInterval) {
-    clearInterval(audioMonitoringInterval);
+// The audio host reports the end of its last track with `trackEnded`. This is
+// the only place that decides whether to roll on to the next surah; the popup
+// just observes the result.
+async function handleTrackEnded({ suraId, reciterKey, sourceKey, mode }) {
+  if (!suraId || !reciterKey) return;
+  const { userSelections, [SLEEP_TIMER_KEY]: sleepTimer } = await browser.storage.local.get(['userSelections', SLEEP_TIMER_KEY]);
+  // Count the surah against a surah-based sleep timer even when playback
+  // stops here anyway, so it does not linger and cut a later surah short. A
+  // surah ending during the fade stops here as well.
+  const { timer, stop } = countSurahEnd(sleepTimer, Date.now());
+  if (timer !== sleepTimer) await browser.storage.local.set({ [SLEEP_TIMER_KEY]: timer });
+  if (stop) {
+    console.log('Background: Sleep timer reached, not starting the next surah');
+    return;
   }
-  
-  console.log('Background: Starting audio monitoring for autoplay');
-  
-  audioMonitoringInterval = setInterval(async () => {
-    try {
-      // Check if audio player exists
-      if (!audioPlayer || !currentAudioState.audioUrl) {
-        console.log('Background: No audio player, stopping audio monitoring');
-        stopAudioMonitoring();
-        return;
-      }
-      
-      // Update current state
-      updateCurrentTime();
-      const state = currentAudioState;
-      
-      // Check if audio finished (not playing, current time >= duration, and duration > 0)
-      if (!state.isPlaying && 
-          state.currentTime >= state.duration && 
-          state.duration > 0 && 
-          state.currentTime > 0) {
-        
-        console.log('Background: Audio finished, checking autoplay settings');
-        
-        // Get user settings to check if autoplay is enabled
-        const { userSelections } = await browser.storage.local.get('userSelections');
-        
-        if (userSelections?.autoplayEnabled) {
-          console.log('Background: Autoplay enabled, triggering next sura');
-          await handleAutoplayNext(state.suraId, state.reciterKey);
-        } else {
-          console.log('Background: Autoplay disabled, stopping monitoring');
-          stopAudioMonitoring();
-        }
-      }
-      
-    } catch (error) {
-      console.error('Background: Audio monitoring error:', error);
-      // Don't stop monitoring on errors, just log them
-    }
-  }, 2000); // Check every 2 seconds (less frequent than popup)
-}
-
-function stopAudioMonitoring() {
-  if (audioMonitoringInterval) {
-    clearInterval(audioMonitoringInterval);
-    audioMonitoringInterval = null;
-    console.log('Background: Stopped audio monitoring');
+  // A memorisation session ends where the user asked it to.
+  if (mode === 'hifz') return;
+  if (!userSelections?.autoplayEnabled) {
+    console.log('Background: Surah finished, autoplay is off');
+    return;
   }
+  await playAdjacentSura(suraId, reciterKey, 'next', sourceKey, { autoplay: true });
 }
 
-async function handleAutoplayNext(currentSuraId, reciterKey) {
+// Shared by autoplay (always 'next') and the media-key next/previous
+// handlers. shared/autoplay.js picks the surah: the active surah playlist or
+// the mushaf order, shaped by the user's autoplay mode. This page owns the
+// audio element, so it calls playAudio directly; runtime.sendMessage never
+// delivers to the sending page. Starts with the provider that served the
+// previous surah and fails over to the reciter's other keys.
+async function playAdjacentSura(currentSuraId, reciterKey, direction = 'next', sourceKey = null, { autoplay = false } = {}) {
   try {
-    console.log(`Background: Autoplay moving from Sura ${currentSuraId} to next`);
-    
-    // Calculate next sura ID
-    const currentId = parseInt(currentSuraId);
-    const nextSuraId = currentId >= 114 ? '1' : (currentId + 1).toString();
-    
-    console.log(`Background: Playing next sura: ${nextSuraId} with reciter: ${reciterKey}`);
+    const { userSelections: selections, [SURAH_PLAYLISTS_KEY]: playlists } =
+      await browser.storage.local.get(['userSelections', SURAH_PLAYLISTS_KEY]);
+    const playbackMode = selections?.playbackMode;
+    const autoplayMode = selections?.autoplayMode;
+    const cached = prefetchedPlayback;
+    prefetchedPlayback = null;
+    // Autoplay reuses the step the prefetch already took, so a shuffle plays
+    // the surah that was buffered.
+    const step = (autoplay && cached?.fromSuraId === String(currentSuraId) && cached.autoplayMode === autoplayMode)
+      ? cached.step
+      : getAutoplayStep(playlists, currentSuraId, { direction, mode: autoplayMode, manual: !autoplay });
+    if (!step.suraId) {
+      // A playlist that ran out is done; the stop modes and a previous
+      // before the first entry just leave playback where it is.
+      if (step.playlistFinished) {
+        await browser.storage.local.set({ [SURAH_PLAYLISTS_KEY]: activatePlaylist(playlists, null) });
+        console.log('Background: Surah playlist finished');
+      }
+      return;
+    }
+    const targetSuraId = step.suraId;
+    console.log(`Background: Moving from Sura ${currentSuraId} to ${targetSuraId} with reciter: ${reciterKey}`);
     
-    // Get the audio URL for the next sura
-    const audioUrl = await getNextSuraAudioUrl(reciterKey, nextSuraId);
+    // A downloaded copy wins over streaming, so its provider goes first.
+    const download = await loadOfflineDownload(reciterKey, targetSuraId);
+    const keys = getFailoverKeys(reciterKey, await loadAlternateKeys(reciterKey), download?.sourceKey || sourceKey);
     
-    // Play the next sura
-    const playResponse = await browser.runtime.sendMessage({
-      action: 'playAudio',
-      audioUrl: audioUrl,
-      suraId: nextSuraId,
-      reciterKey: reciterKey,
+    const { sourceKey: servedKey } = await playWithFailover(keys, async (key) => {
+      const { audioUrl, playlist } = (
+        cached?.suraId === targetSuraId && cached.sourceKey === key && cached.playbackMode === playbackMode
+      ) ? cached : await getNextSuraPlayback(key, targetSuraId, playbackMode, key === download?.sourceKey ? download : null);
+      await playAudio(audioUrl, targetSuraId, reciterKey, { playlist, sourceKey: key });
     });
+    if (step.index !== null) {
+      // Re-read so edits made in the popup while the surah loaded survive.
+      const { [SURAH_PLAYLISTS_KEY]: latest } = await browser.storage.local.get(SURAH_PLAYLISTS_KEY);
+      await browser.storage.local.set({ [SURAH_PLAYLISTS_KEY]: setActiveIndex(latest, step.index) });
+    }
+    prefetchNextSura(targetSuraId, reciterKey, servedKey, playbackMode)
+      .catch((error) => console.error('Background: Prefetch failed:', error));
     
-    if (playResponse?.success) {
-      // Update user selections to reflect the new sura
-      const { userSelections } = await browser.storage.local.get('userSelections');
-      if (userSelections) {
-        userSelections.suraId = nextSuraId;
-        userSelections.timestamp = Date.now();
-        await browser.storage.local.set({ userSelections });
-        console.log('Background: Updated user selections for autoplay');
-      }
-      
-      console.log('Background: Autoplay successful, continuing monitoring');
-    } else {
-      console.error('Background: Autoplay failed:', playResponse?.error);
-      stopAudioMonitoring();
+    // Update user selections to reflect the new sura
+    const { userSelections } = await browser.storage.local.get('userSelections');
+    if (userSelections) {
+      userSelections.suraId = targetSuraId;
+      userSelections.timestamp = Date.now();
+      await browser.storage.local.set({ userSelections });
+      console.log('Background: Updated user selections for the new sura');
     }
     
+    console.log('Background: Sura change successful via', servedKey);
   } catch (error) {
-    console.error('Background: Autoplay error:', error);
-    stopAudioMonitoring();
+    console.error('Background: Sura change error:', error);
   }
 }
 
+async function loadOfflineDownload(reciterKey, suraId) {
+  const { [OFFLINE_INDEX_KEY]: index } = await browser.storage.local.get(OFFLINE_INDEX_KEY);
+  return findOfflineDownload(index, reciterKey, suraId);
+}
+
+// The popup caches the deduplicated catalogue; that is where a reciter's
+// other provider keys live.
+async function loadAlternateKeys(reciterKey) {
+  const { reciterCache } = await browser.storage.local.get('reciterCache');
+  return getAlternateKeys(findReciterEntry(reciterCache?.reciters, reciterKey), reciterKey);
+}
+
+// Playback for the surah autoplay will move to, resolved while the current
+// one plays so the switch needs no lookups. sourceKey is the provider key
+// that is serving the current surah.
+let prefetchedPlayback = null;
+
+async function prefetchNextSura(suraId, reciterKey, sourceKey, mode) {
+  prefetchedPlayback = null;
+  setPrefetchUrl(null);
+  if (!suraId || !sourceKey || mode === 'hifz') return;
+  const { userSelections, [SURAH_PLAYLISTS_KEY]: playlists } = await browser.storage.local.get(['userSelections', SURAH_PLAYLISTS_KEY]);
+  if (!userSelections?.autoplayEnabled) return;
+  const { playbackMode, autoplayMode } = userSelections;
+  const step = getAutoplayStep(playlists, suraId, { mode: autoplayMode });
+  if (!step.suraId) return;
+  const nextSuraId = step.suraId;
+  const download = await loadOfflineDownload(reciterKey, nextSuraId);
+  const nextKey = download?.sourceKey || sourceKey;
+  const playback = await getNextSuraPlayback(nextKey, nextSuraId, playbackMode, download);
+  prefetchedPlayback = {
+    ...playback,
+    suraId: nextSuraId,
+    sourceKey: nextKey,
+    playbackMode,
+    fromSuraId: String(suraId),
+    autoplayMode,
+    step
+  };
+  // A downloaded surah loads from Cache Storage at once; nothing to buffer.
+  if (playback.fromOffline) return;
+  setPrefetchUrl(firstTrackUrl(playback));
+}
+
 // Cache for MP3Quran catalogue lookups to avoid hitting the API repeatedly.
 const mp3quranCache = {};
 
@@ -788,12 +1282,58 @@ async function getMp3QuranReciterById(id) {
   }
 }
 
-async function getNextSuraAudioUrl(reciterKey, suraId) {
-  return getSuraAudioUrlShared(reciterKey, suraId, {
+async function getNextSuraPlayback(reciterKey, suraId, mode = 'surah', offline = null) {
+  const { [AUDIO_QUALITY_KEY]: preference } = await browser.storage.local.get(AUDIO_QUALITY_KEY);
+  return resolveSuraPlayback(reciterKey, suraId, {
+    mode,
+    offline,
+    quality: resolveAudioQuality(preference, navigator.connection),
     resolveMp3Reciter: async (_key, rawId) => getMp3QuranReciterById(rawId)
   });
 }
 
+// --- OFFLINE DOWNLOADS ---
+
+// Downloads one surah file into Cache Storage, failing over across the
+// reciter's providers like playback does, and records it in the index.
+async function downloadSura({ suraId, reciterKey, reciterName }) {
+  if (!suraId || !reciterKey) throw new Error('Choose a surah and a reciter first');
+  const existing = await loadOfflineDownload(reciterKey, suraId);
+  if (existing) return existing;
+  const keys = getFailoverKeys(reciterKey, await loadAlternateKeys(reciterKey));
+  const { sourceKey, result } = await playWithFailover(keys, async (key) => {
+    const { audioUrl } = await getNextSuraPlayback(key, suraId, 'surah');
+    const bytes = await saveOfflineAudio(audioUrl);
+    return { url: audioUrl, bytes };
+  });
+  const entry = {
+    reciterKey,
+    sourceKey,
+    reciterName: reciterName || null,
+    suraId: String(suraId),
+    url: result.url,
+    bytes: result.bytes,
+    savedAt: Date.now()
+  };
+  // Re-read the index: other downloads may have finished in the meantime.
+  const { [OFFLINE_INDEX_KEY]: index } = await browser.storage.local.get(OFFLINE_INDEX_KEY);
+  await browser.storage.local.set({ [OFFLINE_INDEX_KEY]: addOfflineDownload(index, entry) });
+  return entry;
+}
+
+async function removeDownload({ suraId, reciterKey }) {
+  const { [OFFLINE_INDEX_KEY]: index } = await browser.storage.local.get(OFFLINE_INDEX_KEY);
+  const entry = findOfflineDownload(index, reciterKey, suraId);
+  if (!entry) return;
+  const remaining = removeOfflineDownload(index, reciterKey, suraId);
+  // Alt keys of one reciter can point at the same file; keep it while any
+  // entry still uses it.
+  if (!Object.values(remaining).some((other) => other.url === entry.url)) {
+    await deleteOfflineAudio(entry.url);
+  }
+  await browser.storage.local.set({ [OFFLINE_INDEX_KEY]: remaining });
+}
+
 // Add new function to handle setTimeout-based notifications
 function scheduleNextDhikrTimeout() {
   if (!dhikrNotificationsActive) {
@@ -0,0 +1,26 @@
+// Push channel from the audio host (Chrome offscreen document, Firefox
+// background page) to every open popup, over runtime.connect. Replaces the
+// popup's once-a-second getAudioState poll.
+//
+// Messages are { event, state }. 'state' is sent once on connect; 'play',
+// 'pause', 'ended' and 'error' carry the full audio state; 'timeupdate'
+// fires several times a second and carries only the fields that move.
+
+export const AUDIO_EVENTS_PORT = 'audio-events';
+
+const TIMEUPDATE_FIELDS = ['currentTime', 'duration', 'isPlaying', 'playlistIndex', 'ayahKey'];
+
+export function buildAudioEvent(event, state, extra = {}) {
+  if (event === 'timeupdate') {
+    const partial = {};
+    for (const key of TIMEUPDATE_FIELDS) partial[key] = state[key];
+    return { event, state: partial };
+  }
+  return { event, state: { ...state }, ...extra };
+}
+
+// Folds an incoming message into the popup's copy of the host state.
+export function applyAudioEvent(previous, message) {
+  if (message.event === 'timeupdate') return { ...previous, ...message.state };
+  return { ...message.state };
+}
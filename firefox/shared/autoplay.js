@@ -0,0 +1,82 @@
+// Where playback goes next: when a surah ends with autoplay on, and for the
+// next/previous media keys and commands. Both backgrounds call
+// getAutoplayStep; the popup never advances on its own.
+
+import { SURAH_COUNT, getAyahCount } from './quran-meta.js';
+import { getNextSuraId, getPreviousSuraId } from './audio-urls.js';
+import { getJuz, getHizb } from './quran-divisions.js';
+import { normalisePlaylists, getActivePlaylist } from './surah-playlists.js';
+
+// 'next' is mushaf order. 'reverse' runs 114 down to 1, the usual order for
+// memorising Juz Amma. The stop modes end autoplay once the next surah
+// starts in another juz or hizb than the one the finished surah ended in.
+export const AUTOPLAY_MODES = ['next', 'repeat-one', 'shuffle', 'reverse', 'stop-juz', 'stop-hizb'];
+export const DEFAULT_AUTOPLAY_MODE = 'next';
+
+export function normaliseAutoplayMode(mode) {
+  return AUTOPLAY_MODES.includes(mode) ? mode : DEFAULT_AUTOPLAY_MODE;
+}
+
+// A random index below count other than exclude, unless there is only one.
+function pickOther(count, exclude, random) {
+  if (count <= 1) return 0;
+  const pick = Math.floor(random() * (count - 1));
+  return pick >= exclude ? pick + 1 : pick;
+}
+
+// Going forward the finished surah's last ayah meets the next one's first;
+// going backwards its first ayah meets the previous surah's last.
+function crossesBoundary(mode, fromSuraId, toSuraId, backwards) {
+  const getDivision = mode === 'stop-juz' ? getJuz : mode === 'stop-hizb' ? getHizb : null;
+  if (!getDivision) return false;
+  const [leaving, entering] = backwards
+    ? [getDivision(fromSuraId), getDivision(toSuraId, getAyahCount(toSuraId))]
+    : [getDivision(fromSuraId, getAyahCount(fromSuraId)), getDivision(toSuraId)];
+  return leaving !== entering;
+}
+
+// Returns { suraId, index, playlistFinished }. `index` is the position in the
+// active surah playlist, or null when moving in mushaf order because none is
+// active or the surah is not in it. A null suraId means stop; then
+// playlistFinished says whether the playlist ran out going forward, so the
+// caller can clear it. A skip the user asked for (`manual`) still follows
+// shuffle and reverse, but does not repeat and is not stopped at a boundary.
+export function getAutoplayStep(store, currentSuraId, {
+  direction = 'next',
+  mode = DEFAULT_AUTOPLAY_MODE,
+  manual = false,
+  random = Math.random
+} = {}) {
+  const current = String(currentSuraId);
+  const requested = normaliseAutoplayMode(mode);
+  const autoplayMode = manual && (requested === 'repeat-one' || requested.startsWith('stop-'))
+    ? DEFAULT_AUTOPLAY_MODE
+    : requested;
+  const list = getActivePlaylist(store);
+  const { activeIndex } = normalisePlaylists(store);
+  const position = !list ? -1 : (list.suraIds[activeIndex] === current ? activeIndex : list.suraIds.indexOf(current));
+  const stop = (playlistFinished = false) => ({ suraId: null, index: null, playlistFinished });
+
+  if (autoplayMode === 'repeat-one') {
+    return { suraId: current, index: position === -1 ? null : position, playlistFinished: false };
+  }
+
+  const backwards = (direction === 'previous') !== (autoplayMode === 'reverse');
+  let suraId;
+  let index = null;
+  if (position === -1) {
+    if (autoplayMode === 'shuffle') {
+      suraId = String(pickOther(SURAH_COUNT, Number(current) - 1, random) + 1);
+    } else {
+      suraId = backwards ? getPreviousSuraId(current) : getNextSuraId(current);
+    }
+  } else {
+    index = autoplayMode === 'shuffle'
+      ? pickOther(list.suraIds.length, position, random)
+      : position + (backwards ? -1 : 1);
+    if (index < 0 || index >= list.suraIds.length) return stop(direction === 'next');
+    suraId = list.suraIds[index];
+  }
+
+  return crossesBoundary(autoplayMode, current, suraId, backwards) ? stop() : { suraId, index, playlistFinished: false };
+}
@@ -0,0 +1,59 @@
+// Ayah of the Day. The ayah follows from the calendar date alone, so every
+// device shows the same one that day. Its text is fetched once and kept for
+// the day, so the card still works offline after the first load.
+
+import { TOTAL_AYAHS, fromGlobalAyah } from './quran-meta.js';
+import { stripTranslationMarkup } from './quran-text.js';
+
+export const AYAH_OF_THE_DAY_KEY = 'ayahOfTheDay';
+
+const QURAN_COM_API = 'https://api.quran.com/api/v4';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Coprime with 6236, so consecutive days walk through every ayah before any
+// repeats, and neighbouring days land far apart in the mushaf.
+const DAY_STRIDE = 2719;
+
+// '2:255' for a YYYY-MM-DD date key. The date is read as a calendar day, not
+// an instant, so the time zone does not shift it.
+export function ayahForDate(dateKey) {
+  const [year, month, day] = String(dateKey).split('-').map(Number);
+  const dayNumber = Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+  if (!Number.isFinite(dayNumber)) throw new Error(`Invalid date: ${dateKey}`);
+  const index = ((dayNumber * DAY_STRIDE) % TOTAL_AYAHS + TOTAL_AYAHS) % TOTAL_AYAHS;
+  const { suraId, ayah } = fromGlobalAyah(index + 1);
+  return `${suraId}:${ayah}`;
+}
+
+// { text, translation } for one ayah; translation is null without an edition.
+export async function fetchAyah(verseKey, editionId = null, fetchImpl = fetch) {
+  const params = new URLSearchParams({ fields: 'text_uthmani' });
+  if (editionId) params.set('translations', String(editionId));
+  const response = await fetchImpl(`${QURAN_COM_API}/verses/by_key/${verseKey}?${params}`);
+  if (!response.ok) {
+    throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+  }
+  const { verse } = await response.json();
+  if (!verse?.text_uthmani) throw new Error('No verse found in API response.');
+  const translation = verse.translations?.[0]?.text;
+  return { text: verse.text_uthmani, translation: translation ? stripTranslationMarkup(translation) : null };
+}
+
+// The day's entry, { date, verseKey, text, translations: { [editionId]: text } },
+// from `ayahOfTheDay` when it already covers today and the edition. A new day
+// or a new edition costs one request.
+export async function getAyahOfTheDay(storage, { dateKey, editionId = null }, fetchImpl = fetch) {
+  const { [AYAH_OF_THE_DAY_KEY]: cached } = await storage.get(AYAH_OF_THE_DAY_KEY);
+  const verseKey = ayahForDate(dateKey);
+  const today = cached?.date === dateKey && cached.verseKey === verseKey ? cached : null;
+  if (today?.text && (!editionId || today.translations?.[editionId])) return today;
+
+  const { text, translation } = await fetchAyah(verseKey, editionId, fetchImpl);
+  const entry = {
+    date: dateKey,
+    verseKey,
+    text,
+    translations: { ...today?.translations, ...(translation ? { [editionId]: translation } : {}) }
+  };
+  await storage.set({ [AYAH_OF_THE_DAY_KEY]: entry });
+  return entry;
+}
@@ -49,7 +49,7 @@ export const I18N = {
     paused: "Paused",
     resumeFailed: "Failed to resume audio",
     audioConnectionLost: "Audio connection lost. Try refreshing if playback stops working.",
-    searchSura: "Search a surah by name or number",
+    searchSura: "Search a surah, or type a reference like 2:255",
     continueAffordance: "Continue {name} from {time}",
     stopPlaying: "Stop playing",
     playingBannerLabel: "Stop playing: {surah} · {reciter}",
@@ -60,7 +60,107 @@ export const I18N = {
     sleepTimer15: "15 minutes",
     sleepTimer30: "30 minutes",
     sleepTimer45: "45 minutes",
-    sleepTimer60: "60 minutes"
+    sleepTimer60: "60 minutes",
+    playbackModeLabel: "Playback",
+    playbackModeSurah: "Whole surah",
+    playbackModeAyah: "Verse by verse",
+    statusAyahModeUnavailable: "Verse by verse is not available for this reciter. Playing the whole surah.",
+    ayahIndicator: "Ayah {key}",
+    playbackModeHifz: "Memorisation",
+    hifzStartLabel: "From ayah",
+    hifzEndLabel: "To ayah",
+    hifzAyahRepeatLabel: "Repeat each ayah",
+    hifzRangeRepeatLabel: "Repeat the range",
+    hifzProgress: "Ayah {key} · {ayahPass}/{ayahRepeat} · round {rangePass}/{rangeRepeat}",
+    statusHifzUnavailable: "Memorisation needs a reciter with verse-by-verse audio.",
+    playbackRateLabel: "Speed",
+    ratePerReciter: "Remember speed for this reciter",
+    statusPlayingFrom: "Playing from {provider}...",
+    downloadSura: "Download for offline",
+    removeDownloadSura: "Remove offline copy",
+    downloadingSura: "Downloading...",
+    downloadsTitle: "Offline downloads",
+    downloadsUsage: "{count} surahs, {size} used",
+    downloadsEmpty: "No surahs downloaded yet.",
+    removeDownload: "Remove download",
+    statusDownloadFailed: "Download failed. Check your connection and try again.",
+    statusPlayingOffline: "Playing the offline copy...",
+    historyTitle: "Listening history",
+    historyEmpty: "Nothing recorded yet. Sessions appear here once you listen.",
+    historyMinutesPerDay: "Minutes per day",
+    historyTopSurahs: "Most played surahs",
+    historyTopReciters: "Most used reciters",
+    historyMinutes: "{minutes} min",
+    khatmahTitle: "Khatmah",
+    khatmahStatus: "Khatmah {number} · started {date} · {done}/114 surahs",
+    khatmahEmpty: "Listen to a surah to the end to start your khatmah.",
+    khatmahHistory: "Completed khatmahs",
+    khatmahNumber: "Khatmah {number}",
+    bookmarkButton: "Bookmark",
+    addBookmark: "Bookmark this position",
+    bookmarkLabel: "Bookmark label",
+    bookmarkLabelPlaceholder: "Label (optional)",
+    bookmarksTitle: "Bookmarks",
+    bookmarksEmpty: "No bookmarks yet. Use Bookmark while a surah plays to save your place.",
+    removeBookmark: "Remove bookmark",
+    recentSessions: "Recent",
+    playlistsTitle: "Playlists",
+    playlistsEmpty: "No playlists yet. Name one below and list its surahs.",
+    playlistNamePlaceholder: "New playlist name",
+    playlistSurasPlaceholder: "Surahs, e.g. 18, 67 or 78-114",
+    createPlaylist: "Create playlist",
+    editPlaylist: "Edit playlist",
+    renamePlaylist: "Rename",
+    playPlaylist: "Play playlist",
+    deletePlaylist: "Delete playlist",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    removeFromPlaylist: "Remove from playlist",
+    addSelectedSura: "Add selected surah",
+    playlistCount: "{count} surahs",
+    playlistFollowing: "Autoplay follows {name} ({position})",
+    stopFollowingPlaylist: "Stop following",
+    playlistNeedsReciter: "Choose a reciter to play this playlist.",
+    autoplayModeLabel: "Autoplay order",
+    autoplayModeNext: "Next surah",
+    autoplayModeRepeatOne: "Repeat this surah",
+    autoplayModeShuffle: "Shuffle",
+    autoplayModeReverse: "Reverse (114 to 1)",
+    autoplayModeStopJuz: "Stop at the end of the juz",
+    autoplayModeStopHizb: "Stop at the end of the hizb",
+    sleepTimerEndOfSurah: "End of this surah",
+    sleepTimerSurahs: "After {count} surahs",
+    sleepCountdown: "Pausing in {time}",
+    sleepAtSurahEnd: "Stopping at the end of this surah",
+    sleepAfterSurahs: "Stopping after {count} more surahs",
+    sleepExtend: "Extend sleep timer",
+    sleepExtendMinutes: "+{minutes} min",
+    sleepExtendSurah: "+1 surah",
+    volumeLabel: "Volume",
+    normaliseLoudness: "Even out loudness across reciters",
+    audioQualityLabel: "Audio quality",
+    audioQualityAuto: "Automatic (low on metered data)",
+    audioQualityLow: "Low (data saver)",
+    audioQualityStandard: "Standard",
+    audioQualityHigh: "High",
+    quranTextTitle: "Qur'an text",
+    quranTextEmpty: "Choose a surah to read along.",
+    quranTextUnavailable: "The text could not be loaded.",
+    translationLabel: "Translation",
+    ayahOfTheDayTitle: "Ayah of the Day",
+    ayahOfTheDayPlay: "Play ayah",
+    ayahOfTheDayUnavailable: "Today's ayah could not be loaded. It will appear once you are online.",
+    ayahOfTheDayPickReciter: "Choose a reciter in the Qur'an card to play this ayah.",
+    ayahOfTheDayNoAyahAudio: "This reciter has no verse-by-verse audio. Choose another to play this ayah.",
+    jumpToAyah: "Play {name} {ref}",
+    statusAyahTimingUnavailable: "No ayah timing for this recitation. Playing from the start of the surah.",
+    browseLabel: "Browse by",
+    browseSurahs: "Surahs",
+    browseJuz: "Juz",
+    browseHizb: "Hizb",
+    browseJuzItem: "Juz {n}",
+    browseHizbItem: "Hizb {n}",
+    surahFallback: "Surah {id}"
   },
   fr: {
     appTitle: "Compagnon du Coran et de la Sunnah",
@@ -106,7 +206,7 @@ export const I18N = {
     paused: "En pause",
     resumeFailed: "Échec de la reprise audio",
     audioConnectionLost: "Connexion audio perdue. Essayez de rafraîchir si la lecture s'arrête.",
-    searchSura: "Rechercher une sourate par nom ou numéro",
+    searchSura: "Rechercher une sourate, ou taper une référence comme 2:255",
     continueAffordance: "Reprendre {name} à {time}",
     stopPlaying: "Arrêter la lecture",
     playingBannerLabel: "Arrêter la lecture : {surah} · {reciter}",
@@ -117,7 +217,107 @@ export const I18N = {
     sleepTimer15: "15 minutes",
     sleepTimer30: "30 minutes",
     sleepTimer45: "45 minutes",
-    sleepTimer60: "60 minutes"
+    sleepTimer60: "60 minutes",
+    playbackModeLabel: "Lecture",
+    playbackModeSurah: "Sourate entière",
+    playbackModeAyah: "Verset par verset",
+    statusAyahModeUnavailable: "Lecture verset par verset indisponible pour ce récitateur. Lecture de la sourate entière.",
+    ayahIndicator: "Verset {key}",
+    playbackModeHifz: "Mémorisation",
+    hifzStartLabel: "Du verset",
+    hifzEndLabel: "Au verset",
+    hifzAyahRepeatLabel: "Répéter chaque verset",
+    hifzRangeRepeatLabel: "Répéter la plage",
+    hifzProgress: "Verset {key} · {ayahPass}/{ayahRepeat} · tour {rangePass}/{rangeRepeat}",
+    statusHifzUnavailable: "La mémorisation nécessite un récitateur avec audio verset par verset.",
+    playbackRateLabel: "Vitesse",
+    ratePerReciter: "Mémoriser la vitesse pour ce récitateur",
+    statusPlayingFrom: "Lecture depuis {provider}...",
+    downloadSura: "Télécharger pour écouter hors ligne",
+    removeDownloadSura: "Supprimer la copie hors ligne",
+    downloadingSura: "Téléchargement...",
+    downloadsTitle: "Téléchargements hors ligne",
+    downloadsUsage: "{count} sourates, {size} utilisés",
+    downloadsEmpty: "Aucune sourate téléchargée pour l'instant.",
+    removeDownload: "Supprimer le téléchargement",
+    statusDownloadFailed: "Échec du téléchargement. Vérifiez votre connexion et réessayez.",
+    statusPlayingOffline: "Lecture de la copie hors ligne...",
+    historyTitle: "Historique d'écoute",
+    historyEmpty: "Rien pour l'instant. Les séances apparaissent ici dès que vous écoutez.",
+    historyMinutesPerDay: "Minutes par jour",
+    historyTopSurahs: "Sourates les plus écoutées",
+    historyTopReciters: "Récitateurs les plus écoutés",
+    historyMinutes: "{minutes} min",
+    khatmahTitle: "Khatma",
+    khatmahStatus: "Khatma {number} · commencée le {date} · {done}/114 sourates",
+    khatmahEmpty: "Écoutez une sourate jusqu'à la fin pour commencer votre khatma.",
+    khatmahHistory: "Khatmas terminées",
+    khatmahNumber: "Khatma {number}",
+    bookmarkButton: "Signet",
+    addBookmark: "Marquer cette position",
+    bookmarkLabel: "Nom du signet",
+    bookmarkLabelPlaceholder: "Nom (facultatif)",
+    bookmarksTitle: "Signets",
+    bookmarksEmpty: "Aucun signet pour l'instant. Utilisez Signet pendant la lecture d'une sourate pour garder votre place.",
+    removeBookmark: "Supprimer le signet",
+    recentSessions: "Récents",
+    playlistsTitle: "Listes de lecture",
+    playlistsEmpty: "Aucune liste pour l'instant. Nommez-en une ci-dessous et indiquez ses sourates.",
+    playlistNamePlaceholder: "Nom de la nouvelle liste",
+    playlistSurasPlaceholder: "Sourates, ex. 18, 67 ou 78-114",
+    createPlaylist: "Créer la liste",
+    editPlaylist: "Modifier la liste",
+    renamePlaylist: "Renommer",
+    playPlaylist: "Lire la liste",
+    deletePlaylist: "Supprimer la liste",
+    moveUp: "Monter",
+    moveDown: "Descendre",
+    removeFromPlaylist: "Retirer de la liste",
+    addSelectedSura: "Ajouter la sourate choisie",
+    playlistCount: "{count} sourates",
+    playlistFollowing: "La lecture automatique suit {name} ({position})",
+    stopFollowingPlaylist: "Ne plus suivre",
+    playlistNeedsReciter: "Choisissez un récitateur pour lire cette liste.",
+    autoplayModeLabel: "Ordre de lecture automatique",
+    autoplayModeNext: "Sourate suivante",
+    autoplayModeRepeatOne: "Répéter cette sourate",
+    autoplayModeShuffle: "Aléatoire",
+    autoplayModeReverse: "Inverse (114 à 1)",
+    autoplayModeStopJuz: "Arrêter à la fin du juz",
+    autoplayModeStopHizb: "Arrêter à la fin du hizb",
+    sleepTimerEndOfSurah: "Fin de cette sourate",
+    sleepTimerSurahs: "Après {count} sourates",
+    sleepCountdown: "Pause dans {time}",
+    sleepAtSurahEnd: "Arrêt à la fin de cette sourate",
+    sleepAfterSurahs: "Arrêt après {count} sourates de plus",
+    sleepExtend: "Prolonger le minuteur de veille",
+    sleepExtendMinutes: "+{minutes} min",
+    sleepExtendSurah: "+1 sourate",
+    volumeLabel: "Volume",
+    normaliseLoudness: "Harmoniser le volume entre récitateurs",
+    audioQualityLabel: "Qualité audio",
+    audioQualityAuto: "Automatique (basse sur connexion limitée)",
+    audioQualityLow: "Basse (économie de données)",
+    audioQualityStandard: "Standard",
+    audioQualityHigh: "Haute",
+    quranTextTitle: "Texte du Coran",
+    quranTextEmpty: "Choisissez une sourate pour suivre le texte.",
+    quranTextUnavailable: "Le texte n'a pas pu être chargé.",
+    translationLabel: "Traduction",
+    ayahOfTheDayTitle: "Verset du jour",
+    ayahOfTheDayPlay: "Écouter le verset",
+    ayahOfTheDayUnavailable: "Le verset du jour n'a pas pu être chargé. Il s'affichera une fois en ligne.",
+    ayahOfTheDayPickReciter: "Choisissez un récitateur dans la carte Coran pour écouter ce verset.",
+    ayahOfTheDayNoAyahAudio: "Ce récitateur n'a pas d'audio verset par verset. Choisissez-en un autre pour écouter ce verset.",
+    jumpToAyah: "Écouter {name} {ref}",
+    statusAyahTimingUnavailable: "Pas de minutage par verset pour cette récitation. Lecture depuis le début de la sourate.",
+    browseLabel: "Parcourir par",
+    browseSurahs: "Sourates",
+    browseJuz: "Juz",
+    browseHizb: "Hizb",
+    browseJuzItem: "Juz {n}",
+    browseHizbItem: "Hizb {n}",
+    surahFallback: "Sourate {id}"
   },
   ar: {
     appTitle: "رفيق القرآن والسنة",
@@ -163,7 +363,7 @@ export const I18N = {
     paused: "متوقف",
     resumeFailed: "فشل استئناف الصوت",
     audioConnectionLost: "انقطع اتصال الصوت. أعد التحميل إذا توقف التشغيل.",
-    searchSura: "ابحث عن سورة بالاسم أو الرقم",
+    searchSura: "ابحث عن سورة، أو اكتب مرجعًا مثل 2:255",
     continueAffordance: "متابعة {name} من {time}",
     stopPlaying: "إيقاف التشغيل",
     playingBannerLabel: "إيقاف التشغيل: {surah} · {reciter}",
@@ -174,7 +374,107 @@ export const I18N = {
     sleepTimer15: "15 دقيقة",
     sleepTimer30: "30 دقيقة",
     sleepTimer45: "45 دقيقة",
-    sleepTimer60: "60 دقيقة"
+    sleepTimer60: "60 دقيقة",
+    playbackModeLabel: "وضع التشغيل",
+    playbackModeSurah: "السورة كاملة",
+    playbackModeAyah: "آية بآية",
+    statusAyahModeUnavailable: "التشغيل آية بآية غير متاح لهذا القارئ. يتم تشغيل السورة كاملة.",
+    ayahIndicator: "الآية {key}",
+    playbackModeHifz: "الحفظ",
+    hifzStartLabel: "من الآية",
+    hifzEndLabel: "إلى الآية",
+    hifzAyahRepeatLabel: "تكرار كل آية",
+    hifzRangeRepeatLabel: "تكرار المقطع",
+    hifzProgress: "الآية {key} · {ayahPass}/{ayahRepeat} · الجولة {rangePass}/{rangeRepeat}",
+    statusHifzUnavailable: "يتطلب الحفظ قارئاً يدعم التشغيل آية بآية.",
+    playbackRateLabel: "السرعة",
+    ratePerReciter: "تذكّر السرعة لهذا القارئ",
+    statusPlayingFrom: "جارٍ التشغيل من {provider}...",
+    downloadSura: "تنزيل للاستماع دون اتصال",
+    removeDownloadSura: "حذف النسخة المحفوظة",
+    downloadingSura: "جارٍ التنزيل...",
+    downloadsTitle: "التنزيلات دون اتصال",
+    downloadsUsage: "{count} سور، المساحة المستخدمة {size}",
+    downloadsEmpty: "لم يتم تنزيل أي سورة بعد.",
+    removeDownload: "حذف التنزيل",
+    statusDownloadFailed: "فشل التنزيل. تحقق من الاتصال وحاول مرة أخرى.",
+    statusPlayingOffline: "جارٍ تشغيل النسخة المحفوظة...",
+    historyTitle: "سجل الاستماع",
+    historyEmpty: "لا يوجد شيء بعد. تظهر الجلسات هنا بعد الاستماع.",
+    historyMinutesPerDay: "الدقائق في اليوم",
+    historyTopSurahs: "أكثر السور استماعًا",
+    historyTopReciters: "أكثر القراء استماعًا",
+    historyMinutes: "{minutes} د",
+    khatmahTitle: "الختمة",
+    khatmahStatus: "الختمة {number} · بدأت في {date} · {done}/114 سورة",
+    khatmahEmpty: "استمع إلى سورة حتى نهايتها لتبدأ ختمتك.",
+    khatmahHistory: "الختمات المكتملة",
+    khatmahNumber: "الختمة {number}",
+    bookmarkButton: "علامة",
+    addBookmark: "ضع علامة عند هذا الموضع",
+    bookmarkLabel: "اسم العلامة",
+    bookmarkLabelPlaceholder: "الاسم (اختياري)",
+    bookmarksTitle: "العلامات",
+    bookmarksEmpty: "لا توجد علامات بعد. استخدم زر العلامة أثناء تشغيل سورة لحفظ موضعك.",
+    removeBookmark: "حذف العلامة",
+    recentSessions: "الأخيرة",
+    playlistsTitle: "قوائم التشغيل",
+    playlistsEmpty: "لا توجد قوائم بعد. سمِّ قائمة أدناه واذكر سورها.",
+    playlistNamePlaceholder: "اسم القائمة الجديدة",
+    playlistSurasPlaceholder: "السور، مثل 18، 67 أو 78-114",
+    createPlaylist: "إنشاء القائمة",
+    editPlaylist: "تعديل القائمة",
+    renamePlaylist: "إعادة التسمية",
+    playPlaylist: "تشغيل القائمة",
+    deletePlaylist: "حذف القائمة",
+    moveUp: "نقل لأعلى",
+    moveDown: "نقل لأسفل",
+    removeFromPlaylist: "إزالة من القائمة",
+    addSelectedSura: "إضافة السورة المختارة",
+    playlistCount: "{count} سورة",
+    playlistFollowing: "التشغيل التلقائي يتبع {name} ({position})",
+    stopFollowingPlaylist: "إيقاف المتابعة",
+    playlistNeedsReciter: "اختر قارئًا لتشغيل هذه القائمة.",
+    autoplayModeLabel: "ترتيب التشغيل التلقائي",
+    autoplayModeNext: "السورة التالية",
+    autoplayModeRepeatOne: "تكرار هذه السورة",
+    autoplayModeShuffle: "عشوائي",
+    autoplayModeReverse: "عكسي (من 114 إلى 1)",
+    autoplayModeStopJuz: "التوقف عند نهاية الجزء",
+    autoplayModeStopHizb: "التوقف عند نهاية الحزب",
+    sleepTimerEndOfSurah: "نهاية هذه السورة",
+    sleepTimerSurahs: "بعد {count} سور",
+    sleepCountdown: "إيقاف مؤقت بعد {time}",
+    sleepAtSurahEnd: "التوقف في نهاية هذه السورة",
+    sleepAfterSurahs: "التوقف بعد {count} سور أخرى",
+    sleepExtend: "تمديد مؤقت النوم",
+    sleepExtendMinutes: "+{minutes} دقيقة",
+    sleepExtendSurah: "+1 سورة",
+    volumeLabel: "مستوى الصوت",
+    normaliseLoudness: "توحيد مستوى الصوت بين القراء",
+    audioQualityLabel: "جودة الصوت",
+    audioQualityAuto: "تلقائية (منخفضة على الاتصال المحدود)",
+    audioQualityLow: "منخفضة (توفير البيانات)",
+    audioQualityStandard: "عادية",
+    audioQualityHigh: "عالية",
+    quranTextTitle: "نص القرآن",
+    quranTextEmpty: "اختر سورة لمتابعة النص.",
+    quranTextUnavailable: "تعذر تحميل النص.",
+    translationLabel: "الترجمة",
+    ayahOfTheDayTitle: "آية اليوم",
+    ayahOfTheDayPlay: "استمع إلى الآية",
+    ayahOfTheDayUnavailable: "تعذر تحميل آية اليوم. ستظهر عند الاتصال بالإنترنت.",
+    ayahOfTheDayPickReciter: "اختر قارئًا في بطاقة القرآن للاستماع إلى هذه الآية.",
+    ayahOfTheDayNoAyahAudio: "لا يتوفر لهذا القارئ تسجيل آية بآية. اختر قارئًا آخر للاستماع إلى هذه الآية.",
+    jumpToAyah: "استمع إلى {name} {ref}",
+    statusAyahTimingUnavailable: "لا يتوفر توقيت الآيات لهذه التلاوة. التشغيل من بداية السورة.",
+    browseLabel: "التصفح حسب",
+    browseSurahs: "السور",
+    browseJuz: "الأجزاء",
+    browseHizb: "الأحزاب",
+    browseJuzItem: "الجزء {n}",
+    browseHizbItem: "الحزب {n}",
+    surahFallback: "سورة {id}"
   }
 };
 
@@ -0,0 +1,62 @@
+// Khatmah tracker: counts surahs played to the end toward a full reading of
+// all 114. The audio host records completions from its final `ended`, so
+// autoplay with the popup closed counts too. Stored under KHATMAH_KEY as
+// { number, startedAt, completed: { [suraId]: timestamp }, history: [...] }.
+
+import { SURAH_COUNT, isValidSuraId } from './quran-meta.js';
+
+export const KHATMAH_KEY = 'khatmahProgress';
+// `ended` can fire a fraction of a second short of the reported duration.
+const END_TOLERANCE_SECONDS = 1;
+
+export function newKhatmah(number = 1, now = Date.now()) {
+  return { number, startedAt: now, completed: {}, history: [] };
+}
+
+// True when a seek from `from` to `to` jumps over audio. The audio host sets
+// audioState.seekedAhead from this so a surah skipped through is not counted.
+export function isSeekAhead(from, to) {
+  return to > (from || 0) + END_TOLERANCE_SECONDS;
+}
+
+// True when audioState describes a whole surah that played to its end. Hifz
+// ranges are practice, not recitation of the full surah. A verse-by-verse
+// playlist must also have started on its first ayah (`startIndex`), and no
+// seek may have skipped ahead.
+export function isSurahPlayedToEnd(state) {
+  if (!state || !isValidSuraId(state.suraId) || state.mode === 'hifz') return false;
+  if (!(state.duration > 0) || state.currentTime < state.duration - END_TOLERANCE_SECONDS) return false;
+  if (state.seekedAhead) return false;
+  if (Array.isArray(state.playlist) && state.playlist.length > 0) {
+    return state.startIndex === 0 && state.playlistIndex === state.playlist.length - 1;
+  }
+  return true;
+}
+
+// Marks suraId done. Finishing the last missing surah files the khatmah in
+// history and starts the next one.
+export function markSurahComplete(progress, suraId, now = Date.now()) {
+  const current = progress?.completed ? progress : newKhatmah(1, now);
+  const completed = { ...current.completed, [String(suraId)]: now };
+  if (Object.keys(completed).length < SURAH_COUNT) {
+    return { ...current, completed };
+  }
+  const finished = { number: current.number, startedAt: current.startedAt, finishedAt: now };
+  return { ...newKhatmah(current.number + 1, now), history: [...(current.history || []), finished] };
+}
+
+export function countCompleted(progress) {
+  return Object.keys(progress?.completed || {}).length;
+}
+
+// Called by the audio host on the final `ended`. `storage` is
+// chrome.storage.local or browser.storage.local.
+export async function recordSurahCompletion(storage, state, now = Date.now()) {
+  if (!isSurahPlayedToEnd(state)) return null;
+  // Read before awaiting: autoplay may load the next surah into state.
+  const { suraId } = state;
+  const { [KHATMAH_KEY]: progress } = await storage.get(KHATMAH_KEY);
+  const next = markSurahComplete(progress, suraId, now);
+  await storage.set({ [KHATMAH_KEY]: next });
+  return next;
+}
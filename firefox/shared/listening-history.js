@@ -0,0 +1,151 @@
+// Listening history. The audio host (offscreen document in Chrome,
+// background page in Firefox) records one session per surah played: who,
+// when, how many seconds were actually heard and whether it reached the end.
+// Sessions live in storage.local under LISTENING_HISTORY_KEY, newest last;
+// the popup only reads them to draw the statistics.
+
+import { isSurahPlayedToEnd } from './khatmah.js';
+
+export const LISTENING_HISTORY_KEY = 'listeningHistory';
+// About a year of daily listening; the oldest sessions drop off first.
+export const MAX_HISTORY_SESSIONS = 1000;
+// Position jumps larger than this between two timeupdates are seeks, not
+// listening. timeupdate fires every 250ms or so even at 2x speed.
+const MAX_TICK_SECONDS = 5;
+// Storage writes while a session is open; the end of a session always writes.
+const FLUSH_INTERVAL_MS = 30000;
+
+export function startSession({ suraId, reciterKey, reciterName }, now = Date.now()) {
+  return {
+    id: `${now}-${suraId}`,
+    suraId: String(suraId),
+    reciterKey,
+    reciterName: reciterName || null,
+    startedAt: now,
+    endedAt: now,
+    secondsHeard: 0,
+    completed: false
+  };
+}
+
+// Adds the media time between two timeupdates. A null previous position (just
+// started, resumed or moved to the next ayah) and seeks count as nothing.
+export function accumulateListening(session, previousTime, currentTime, now = Date.now()) {
+  const delta = currentTime - previousTime;
+  if (previousTime == null || !(delta > 0) || delta > MAX_TICK_SECONDS) {
+    return { ...session, endedAt: now };
+  }
+  return { ...session, secondsHeard: session.secondsHeard + delta, endedAt: now };
+}
+
+export function upsertSession(history, session, max = MAX_HISTORY_SESSIONS) {
+  const sessions = Array.isArray(history) ? history.filter((s) => s.id !== session.id) : [];
+  sessions.push(session);
+  return sessions.slice(-max);
+}
+
+// YYYY-MM-DD in the local time zone, so a late-night session counts for the
+// day the listener would expect.
+export function localDateKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function rankBy(sessions, keyOf, limit) {
+  const totals = new Map();
+  for (const session of sessions) {
+    const key = keyOf(session);
+    const entry = totals.get(key) || { key, seconds: 0, plays: 0, completed: 0, session };
+    entry.seconds += session.secondsHeard || 0;
+    entry.plays += 1;
+    if (session.completed) entry.completed += 1;
+    totals.set(key, entry);
+  }
+  return [...totals.values()]
+    .sort((a, b) => b.seconds - a.seconds || b.plays - a.plays)
+    .slice(0, limit);
+}
+
+// Minutes per day for the last `days` days (oldest first, empty days
+// included), plus the surahs and reciters with the most listening time.
+export function summariseHistory(history, { days = 7, limit = 5, now = Date.now() } = {}) {
+  const sessions = (Array.isArray(history) ? history : []).filter((s) => s.secondsHeard > 0);
+  const secondsByDay = new Map();
+  for (const session of sessions) {
+    const key = localDateKey(session.startedAt);
+    secondsByDay.set(key, (secondsByDay.get(key) || 0) + session.secondsHeard);
+  }
+  const perDay = [];
+  const today = new Date(now);
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+    const date = localDateKey(day.getTime());
+    perDay.push({ date, minutes: Math.round((secondsByDay.get(date) || 0) / 60) });
+  }
+  const topSurahs = rankBy(sessions, (s) => s.suraId, limit).map(({ key, seconds, plays, completed }) => ({
+    suraId: key,
+    minutes: Math.round(seconds / 60),
+    plays,
+    completed
+  }));
+  const topReciters = rankBy(sessions, (s) => s.reciterKey, limit).map(({ key, seconds, plays, session }) => ({
+    reciterKey: key,
+    reciterName: session.reciterName,
+    minutes: Math.round(seconds / 60),
+    plays
+  }));
+  return { perDay, topSurahs, topReciters };
+}
+
+// One tracker per audio host. `storage` is chrome.storage.local or
+// browser.storage.local. The host calls start() when a surah starts,
+// progress() from timeupdate, pause() on pause and end(audioState) on the
+// final ended. A session is completed by the same test the khatmah uses, so a
+// playlist started mid-surah or skipped through ends without it.
+export function createListeningTracker(storage, { now = () => Date.now() } = {}) {
+  let session = null;
+  let lastPosition = null;
+  let lastFlush = 0;
+
+  async function flush() {
+    if (!session) return;
+    lastFlush = now();
+    const snapshot = session;
+    try {
+      const { [LISTENING_HISTORY_KEY]: history } = await storage.get(LISTENING_HISTORY_KEY);
+      await storage.set({ [LISTENING_HISTORY_KEY]: upsertSession(history, snapshot) });
+    } catch (_) {
+      // History is best effort; playback must not fail because of it.
+    }
+  }
+
+  return {
+    // Starting the surah that is already open (resume after a reload, a
+    // second playAudio for the same track) keeps the same session.
+    start(state) {
+      lastPosition = null;
+      if (session && session.suraId === String(state.suraId) && session.reciterKey === state.reciterKey) return;
+      if (session) flush();
+      session = startSession(state, now());
+    },
+    progress(currentTime) {
+      if (!session) return;
+      session = accumulateListening(session, lastPosition, currentTime, now());
+      lastPosition = currentTime;
+      if (now() - lastFlush > FLUSH_INTERVAL_MS) flush();
+    },
+    pause() {
+      lastPosition = null;
+      return flush();
+    },
+    end(state) {
+      if (!session) return Promise.resolve();
+      session = { ...session, completed: isSurahPlayedToEnd(state), endedAt: now() };
+      const done = flush();
+      session = null;
+      lastPosition = null;
+      return done;
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// OS "now playing" integration for the audio hosts (Chrome offscreen
+// document, Firefox background page). Media keys and the system overlay talk
+// to whichever document owns the <audio> element, so the hosts bind their own
+// play / pause / seek / skip functions here.
+
+import { getSurahName } from './quran-meta.js';
+
+const ALBUM = "Qur'an & Sunnah Companion";
+
+function hasMediaSession() {
+  return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+}
+
+// Plain object so it can be tested without the MediaMetadata constructor.
+export function buildMediaMetadata({ suraId, reciterName, ayahKey }, artworkUrl) {
+  const name = getSurahName(suraId);
+  const title = name ? `${suraId}. ${name}` : `Surah ${suraId}`;
+  return {
+    title: ayahKey ? `${title} (${ayahKey})` : title,
+    artist: reciterName || '',
+    album: ALBUM,
+    artwork: artworkUrl ? [{ src: artworkUrl, sizes: '128x128', type: 'image/png' }] : []
+  };
+}
+
+export function bindMediaSessionHandlers({ play, pause, seekTo, next, previous }) {
+  if (!hasMediaSession()) return;
+  const handlers = {
+    play,
+    pause,
+    seekto: seekTo ? (details) => seekTo(details.seekTime) : null,
+    nexttrack: next,
+    previoustrack: previous
+  };
+  for (const [action, handler] of Object.entries(handlers)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler || null);
+    } catch (_) {
+      // Older engines throw for actions they do not know; skip those.
+    }
+  }
+}
+
+export function updateMediaSession(state, artworkUrl) {
+  if (!hasMediaSession() || !state?.suraId) return;
+  const session = navigator.mediaSession;
+  session.metadata = new MediaMetadata(buildMediaMetadata(state, artworkUrl));
+  session.playbackState = state.isPlaying ? 'playing' : 'paused';
+
+  // setPositionState rejects a NaN or zero duration, which is what a track
+  // reports before its metadata loads.
+  const { currentTime, duration, playbackRate } = state;
+  if (typeof session.setPositionState !== 'function' || !(duration > 0) || !Number.isFinite(duration)) return;
+  try {
+    session.setPositionState({
+      duration,
+      position: Math.min(Math.max(currentTime || 0, 0), duration),
+      playbackRate: playbackRate || 1
+    });
+  } catch (_) {
+    // Position is cosmetic; never let it break playback.
+  }
+}
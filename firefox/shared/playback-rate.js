@@ -0,0 +1,39 @@
+// Playback speed settings. Stored under `playbackSettings` as
+// { rate, perReciter, reciterRates: { [reciterKey]: rate } }; when perReciter
+// is on, each reciter keeps its own speed because murattal recitations vary a
+// lot in pace.
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 2;
+
+export const DEFAULT_PLAYBACK_SETTINGS = Object.freeze({
+  rate: 1,
+  perReciter: false,
+  reciterRates: {}
+});
+
+export function clampPlaybackRate(rate) {
+  const n = Number(rate);
+  if (!Number.isFinite(n) || n <= 0) return 1;
+  return Math.min(Math.max(n, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE);
+}
+
+export function rateForReciter(settings, reciterKey) {
+  const saved = settings?.perReciter && reciterKey ? settings.reciterRates?.[reciterKey] : null;
+  return clampPlaybackRate(saved ?? settings?.rate ?? 1);
+}
+
+// Returns a new settings object; the global rate always follows the latest
+// choice so reciters without a saved speed inherit it.
+export function rememberPlaybackRate(settings, reciterKey, rate) {
+  const clamped = clampPlaybackRate(rate);
+  const next = {
+    ...DEFAULT_PLAYBACK_SETTINGS,
+    ...settings,
+    rate: clamped,
+    reciterRates: { ...settings?.reciterRates }
+  };
+  if (next.perReciter && reciterKey) next.reciterRates[reciterKey] = clamped;
+  return next;
+}
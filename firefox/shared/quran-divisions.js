@@ -0,0 +1,52 @@
+// Juz and hizb boundaries of the Madani mushaf (Hafs), as the first ayah of
+// each division. There are 60 hizbs and every juz is two of them, so the juz
+// table is read off the odd hizbs.
+
+import { isValidSuraId } from './quran-meta.js';
+
+export const JUZ_COUNT = 30;
+export const HIZB_COUNT = 60;
+
+// [surah, ayah] where hizb n + 1 begins.
+export const HIZB_STARTS = [
+  [1, 1], [2, 75], [2, 142], [2, 203], [2, 253], [3, 15], [3, 93], [3, 171],
+  [4, 24], [4, 88], [4, 148], [5, 27], [5, 82], [6, 36], [6, 111], [7, 1],
+  [7, 88], [7, 171], [8, 41], [9, 34], [9, 93], [10, 26], [11, 6], [11, 84],
+  [12, 53], [13, 19], [15, 1], [16, 51], [17, 1], [17, 99], [18, 75], [20, 1],
+  [21, 1], [22, 1], [23, 1], [24, 21], [25, 21], [26, 111], [27, 56], [28, 51],
+  [29, 46], [31, 22], [33, 31], [34, 24], [36, 28], [37, 145], [39, 32], [40, 41],
+  [41, 47], [43, 24], [46, 1], [48, 18], [51, 31], [55, 1], [58, 1], [62, 1],
+  [67, 1], [72, 1], [78, 1], [87, 1]
+];
+
+export const JUZ_STARTS = HIZB_STARTS.filter((_, index) => index % 2 === 0);
+
+function findDivision(starts, suraId, ayah) {
+  const sura = Number(suraId);
+  let division = 1;
+  starts.forEach(([startSura, startAyah], index) => {
+    if (startSura < sura || (startSura === sura && startAyah <= ayah)) division = index + 1;
+  });
+  return division;
+}
+
+// 1-based juz holding suraId:ayah (ayah defaults to the first).
+export function getJuz(suraId, ayah = 1) {
+  return isValidSuraId(suraId) ? findDivision(JUZ_STARTS, suraId, ayah) : null;
+}
+
+export function getHizb(suraId, ayah = 1) {
+  return isValidSuraId(suraId) ? findDivision(HIZB_STARTS, suraId, ayah) : null;
+}
+
+// Every juz or hizb with where it starts, for browsing:
+// [{ number, suraId, ayah, verseKey }] in mushaf order.
+export function listDivisions(kind) {
+  const starts = kind === 'hizb' ? HIZB_STARTS : JUZ_STARTS;
+  return starts.map(([sura, ayah], index) => ({
+    number: index + 1,
+    suraId: String(sura),
+    ayah,
+    verseKey: `${sura}:${ayah}`
+  }));
+}
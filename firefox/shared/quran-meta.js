@@ -0,0 +1,88 @@
+// Static mushaf metadata bundled with the extension so ayah-level features
+// work without an extra API round trip. Counts follow the Hafs numbering used
+// by Quran.com and Al-Quran Cloud.
+
+export const SURAH_COUNT = 114;
+
+// Index 0 is surah 1.
+export const SURAH_AYAH_COUNTS = [
+  7, 286, 200, 176, 120, 165, 206, 75, 129, 109,
+  123, 111, 43, 52, 99, 128, 111, 110, 98, 135,
+  112, 78, 118, 64, 77, 227, 93, 88, 69, 60,
+  34, 30, 73, 54, 45, 83, 182, 88, 75, 85,
+  54, 53, 89, 59, 37, 35, 38, 29, 18, 45,
+  60, 49, 62, 55, 78, 96, 29, 22, 24, 13,
+  14, 11, 11, 18, 12, 12, 30, 52, 52, 44,
+  28, 28, 20, 56, 40, 31, 50, 40, 46, 42,
+  29, 19, 36, 25, 22, 17, 19, 26, 30, 20,
+  15, 21, 11, 8, 8, 19, 5, 8, 8, 11,
+  11, 8, 3, 9, 5, 4, 7, 3, 6, 3,
+  5, 4, 5, 6
+];
+
+// Transliterated names as Quran.com spells them (name_simple), so the audio
+// hosts can label a surah without fetching the chapters list.
+export const SURAH_NAMES = [
+  'Al-Fatihah', 'Al-Baqarah', "Ali 'Imran", 'An-Nisa', "Al-Ma'idah",
+  "Al-An'am", "Al-A'raf", 'Al-Anfal', 'At-Tawbah', 'Yunus',
+  'Hud', 'Yusuf', "Ar-Ra'd", 'Ibrahim', 'Al-Hijr',
+  'An-Nahl', 'Al-Isra', 'Al-Kahf', 'Maryam', 'Taha',
+  'Al-Anbya', 'Al-Hajj', "Al-Mu'minun", 'An-Nur', 'Al-Furqan',
+  "Ash-Shu'ara", 'An-Naml', 'Al-Qasas', "Al-'Ankabut", 'Ar-Rum',
+  'Luqman', 'As-Sajdah', 'Al-Ahzab', 'Saba', 'Fatir',
+  'Ya-Sin', 'As-Saffat', 'Sad', 'Az-Zumar', 'Ghafir',
+  'Fussilat', 'Ash-Shuraa', 'Az-Zukhruf', 'Ad-Dukhan', 'Al-Jathiyah',
+  'Al-Ahqaf', 'Muhammad', 'Al-Fath', 'Al-Hujurat', 'Qaf',
+  'Adh-Dhariyat', 'At-Tur', 'An-Najm', 'Al-Qamar', 'Ar-Rahman',
+  "Al-Waqi'ah", 'Al-Hadid', 'Al-Mujadila', 'Al-Hashr', 'Al-Mumtahanah',
+  'As-Saf', "Al-Jumu'ah", 'Al-Munafiqun', 'At-Taghabun', 'At-Talaq',
+  'At-Tahrim', 'Al-Mulk', 'Al-Qalam', 'Al-Haqqah', "Al-Ma'arij",
+  'Nuh', 'Al-Jinn', 'Al-Muzzammil', 'Al-Muddaththir', 'Al-Qiyamah',
+  'Al-Insan', 'Al-Mursalat', 'An-Naba', "An-Nazi'at", "'Abasa",
+  'At-Takwir', 'Al-Infitar', 'Al-Mutaffifin', 'Al-Inshiqaq', 'Al-Buruj',
+  'At-Tariq', "Al-A'la", 'Al-Ghashiyah', 'Al-Fajr', 'Al-Balad',
+  'Ash-Shams', 'Al-Layl', 'Ad-Duhaa', 'Ash-Sharh', 'At-Tin',
+  "Al-'Alaq", 'Al-Qadr', 'Al-Bayyinah', 'Az-Zalzalah', "Al-'Adiyat",
+  "Al-Qari'ah", 'At-Takathur', "Al-'Asr", 'Al-Humazah', 'Al-Fil',
+  'Quraysh', "Al-Ma'un", 'Al-Kawthar', 'Al-Kafirun', 'An-Nasr',
+  'Al-Masad', 'Al-Ikhlas', 'Al-Falaq', 'An-Nas'
+];
+
+export const TOTAL_AYAHS = SURAH_AYAH_COUNTS.reduce((sum, n) => sum + n, 0);
+
+// Global number of each surah's first ayah, counting from 1 across the whole
+// mushaf (2:1 is 8). cdn.islamic.network names its ayah files this way.
+export const SURAH_FIRST_GLOBAL_AYAH = SURAH_AYAH_COUNTS.reduce((starts, count, i) => {
+  starts.push(i === 0 ? 1 : starts[i - 1] + SURAH_AYAH_COUNTS[i - 1]);
+  return starts;
+}, []);
+
+export function isValidSuraId(suraId) {
+  const id = Number(suraId);
+  return Number.isInteger(id) && id >= 1 && id <= SURAH_COUNT;
+}
+
+// Returns 0 for anything that is not a surah number.
+export function getAyahCount(suraId) {
+  return isValidSuraId(suraId) ? SURAH_AYAH_COUNTS[Number(suraId) - 1] : 0;
+}
+
+// Returns 0 for an ayah outside the surah.
+export function toGlobalAyah(suraId, ayah) {
+  const n = Number(ayah);
+  if (!Number.isInteger(n) || n < 1 || n > getAyahCount(suraId)) return 0;
+  return SURAH_FIRST_GLOBAL_AYAH[Number(suraId) - 1] + n - 1;
+}
+
+// The inverse of toGlobalAyah: { suraId, ayah }, or null outside 1..6236.
+export function fromGlobalAyah(globalAyah) {
+  const n = Number(globalAyah);
+  if (!Number.isInteger(n) || n < 1 || n > TOTAL_AYAHS) return null;
+  let index = SURAH_COUNT - 1;
+  while (SURAH_FIRST_GLOBAL_AYAH[index] > n) index--;
+  return { suraId: String(index + 1), ayah: n - SURAH_FIRST_GLOBAL_AYAH[index] + 1 };
+}
+
+export function getSurahName(suraId) {
+  return isValidSuraId(suraId) ? SURAH_NAMES[Number(suraId) - 1] : '';
+}
@@ -1,7 +1,8 @@
 // Reciter catalogue across four providers. The orchestrator returns a single
 // deduplicated, sorted list. Caller is responsible for caching the result if
 // desired (the popup writes to chrome.storage.local; the background fetches
-// fresh as needed).
+// fresh as needed). No entry carries a bitrate: see shared/audio-quality.js
+// for what each provider actually serves.
 
 export async function fetchQuranComReciters() {
   const url = 'https://api.quran.com/api/v4/resources/recitations?per_page=500';
@@ -13,8 +14,7 @@ export async function fetchQuranComReciters() {
     reciter_name: r.reciter_name,
     style: r.style || 'Default',
     source: 'qurancom',
-    qurancomId: r.id,
-    bitrate: 128
+    qurancomId: r.id
   }));
 }
 
@@ -32,7 +32,6 @@ export async function fetchMp3QuranReciters() {
       style: r.rewaya || 'Default',
       source: 'mp3quran',
       server: r.Server.endsWith('/') ? r.Server : r.Server + '/',
-      bitrate: 128,
       mp3quranId: r.id
     }));
   } catch (err) {
@@ -59,8 +58,7 @@ export async function fetchAlquranCloudReciters() {
         style: e.type === 'translation' ? 'Translation' : 'Default',
         source: 'alquran-cloud',
         slug: e.identifier,
-        language: e.language || 'ar',
-        bitrate: 128
+        language: e.language || 'ar'
       }));
   } catch (_) {
     return [];
@@ -77,13 +75,17 @@ export async function fetchReciters() {
   ]);
   const combined = settled.flatMap((r) => (r.status === 'fulfilled' ? r.value : []));
 
+  // altServers keeps the MP3Quran server of folded-in mp3 entries so provider
+  // failover can build their URLs from the cached catalogue alone.
   const dedupedMap = new Map();
   combined.forEach((r) => {
     const key = `${r.reciter_name.toLowerCase()}|${(r.style || '').toLowerCase()}`;
     if (!dedupedMap.has(key)) {
-      dedupedMap.set(key, { ...r, altIds: [] });
+      dedupedMap.set(key, { ...r, altIds: [], altServers: {} });
     } else {
-      dedupedMap.get(key).altIds.push(r.id);
+      const entry = dedupedMap.get(key);
+      entry.altIds.push(r.id);
+      if (r.server) entry.altServers[r.id] = r.server;
     }
   });
 
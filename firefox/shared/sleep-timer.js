@@ -0,0 +1,73 @@
+// Sleep timer state, shared by both backgrounds and the popup. A timer either
+// runs to a wall-clock deadline or counts surahs down to zero; "end of this
+// surah" is the one-surah case. The backgrounds keep it in storage and wake
+// on an alarm, so a restarted service worker still knows when to stop.
+//
+// Stored under SLEEP_TIMER_KEY as { choice, deadline } or
+// { choice, surahsLeft }, or null when off. `choice` is the option the user
+// picked, for the popup's select.
+
+export const SLEEP_TIMER_KEY = 'sleepTimer';
+export const SLEEP_TIMER_ALARM = 'sleep-timer';
+// The volume ramps down over this long before the pause.
+export const SLEEP_FADE_MS = 30_000;
+export const SLEEP_EXTEND_MINUTES = 10;
+
+// '15' is minutes; 'surahs:2' stops after the current surah and one more.
+export function createSleepTimer(choice, now = Date.now()) {
+  const value = String(choice ?? '0');
+  const surahs = value.match(/^surahs:(\d+)$/);
+  if (surahs) {
+    const count = Number(surahs[1]);
+    return count > 0 ? { choice: value, surahsLeft: count } : null;
+  }
+  const minutes = Number(value);
+  return minutes > 0 ? { choice: value, deadline: now + minutes * 60_000 } : null;
+}
+
+export function isSleepTimerActive(timer, now = Date.now()) {
+  if (!timer) return false;
+  if (typeof timer.surahsLeft === 'number') return timer.surahsLeft > 0;
+  return typeof timer.deadline === 'number' && timer.deadline > now;
+}
+
+// Milliseconds until a deadline timer fires, or null for a surah-count timer.
+export function sleepRemainingMs(timer, now = Date.now()) {
+  if (!isSleepTimerActive(timer, now) || typeof timer.deadline !== 'number') return null;
+  return timer.deadline - now;
+}
+
+// The countdown's extend button: more minutes, or one more surah.
+export function extendSleepTimer(timer, now = Date.now(), minutes = SLEEP_EXTEND_MINUTES) {
+  if (!isSleepTimerActive(timer, now)) return null;
+  if (typeof timer.surahsLeft === 'number') return { ...timer, surahsLeft: timer.surahsLeft + 1 };
+  return { ...timer, deadline: timer.deadline + minutes * 60_000 };
+}
+
+// Called when a surah ends. `stop` means autoplay must not start the next
+// one; the returned timer is what to store. A deadline timer whose fade has
+// begun stops too: the next surah's playAudio would cancel the fade, and the
+// alarm that started it has already fired. Past the deadline the timer has
+// done its job (the user resumed after it), so it is only cleared.
+export function countSurahEnd(timer, now = Date.now()) {
+  if (typeof timer?.deadline === 'number') {
+    if (now >= timer.deadline) return { timer: null, stop: false };
+    return now >= sleepFadeStart(timer) ? { timer: null, stop: true } : { timer, stop: false };
+  }
+  if (typeof timer?.surahsLeft !== 'number') return { timer, stop: false };
+  const surahsLeft = timer.surahsLeft - 1;
+  return surahsLeft > 0
+    ? { timer: { ...timer, surahsLeft }, stop: false }
+    : { timer: null, stop: true };
+}
+
+// When the alarm should wake the background to start the fade.
+export function sleepFadeStart(timer, fadeMs = SLEEP_FADE_MS) {
+  return typeof timer?.deadline === 'number' ? timer.deadline - fadeMs : null;
+}
+
+// Volume multiplier partway through a fade, from 1 down to 0.
+export function fadeVolumeFactor(elapsedMs, durationMs) {
+  if (!(durationMs > 0)) return 0;
+  return Math.min(1, Math.max(0, 1 - elapsedMs / durationMs));
+}
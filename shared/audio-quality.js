@@ -0,0 +1,148 @@
+// Audio quality preference and the bitrates the providers really serve.
+//
+// Only cdn.islamic.network offers a choice: each edition is published at a
+// fixed set of bitrates, listed below from the CDN's edition info. Its ayah
+// files (/quran/audio/) and surah files (/quran/audio-surah/) are separate
+// collections with their own lists, so each has a table. Quran.com
+// and MP3Quran serve one file per surah and do not publish its bitrate, so
+// the audio host measures it from the file size the first time a reciter
+// plays, and the picker shows that instead of a guess.
+//
+// `audioQuality` in storage is 'auto' | 'low' | 'standard' | 'high'; 'auto'
+// is low on a metered or data-saver connection and standard otherwise.
+
+export const AUDIO_QUALITY_KEY = 'audioQuality';
+export const MEASURED_BITRATES_KEY = 'measuredBitrates';
+export const AUDIO_QUALITIES = ['auto', 'low', 'standard', 'high'];
+
+const QUALITY_TARGET_KBPS = { low: 64, standard: 128, high: 192 };
+
+// Ayah files, from the CDN's ayah audio edition list.
+const ISLAMIC_NETWORK_AYAH_BITRATES = {
+  'ar.abdulbasitmurattal': [192, 64],
+  'ar.abdullahbasfar': [192, 64, 32],
+  'ar.abdurrahmaansudais': [192, 64],
+  'ar.abdulsamad': [64],
+  'ar.ahmedajamy': [128, 64],
+  'ar.alafasy': [128, 64],
+  'ar.aymanswoaid': [64],
+  'ar.hanirifai': [192, 64],
+  'ar.hudhaify': [128, 64, 32],
+  'ar.husary': [128, 64],
+  'ar.husarymujawwad': [128, 64],
+  'ar.ibrahimakhbar': [32],
+  'ar.mahermuaiqly': [128, 64],
+  'ar.minshawi': [128],
+  'ar.minshawimujawwad': [64],
+  'ar.muhammadayyoub': [128],
+  'ar.muhammadjibreel': [128],
+  'ar.saoodshuraym': [64],
+  'ar.shaatree': [128, 64],
+  'ar.parhizgar': [48],
+  'en.walk': [192],
+  'fa.hedayatfarfooladvand': [40],
+  'fr.leclerc': [128],
+  'ur.khan': [64],
+  'zh.chinese': [128]
+};
+// Surah files, from the CDN's surah audio edition list: one bitrate each,
+// and only the Arabic recitations.
+const ISLAMIC_NETWORK_SURAH_BITRATES = {
+  'ar.abdulbasitmurattal': [192],
+  'ar.abdullahbasfar': [192],
+  'ar.abdurrahmaansudais': [192],
+  'ar.abdulsamad': [64],
+  'ar.ahmedajamy': [128],
+  'ar.alafasy': [128],
+  'ar.aymanswoaid': [64],
+  'ar.hanirifai': [192],
+  'ar.hudhaify': [128],
+  'ar.husary': [128],
+  'ar.husarymujawwad': [128],
+  'ar.ibrahimakhbar': [32],
+  'ar.mahermuaiqly': [128],
+  'ar.minshawi': [128],
+  'ar.minshawimujawwad': [64],
+  'ar.muhammadayyoub': [128],
+  'ar.muhammadjibreel': [128],
+  'ar.saoodshuraym': [64],
+  'ar.shaatree': [128],
+  'ar.parhizgar': [48]
+};
+// Editions added to the CDN after the lists above were taken.
+const DEFAULT_ISLAMIC_NETWORK_BITRATES = [128];
+
+// Standard MP3 bitrates; a measurement is snapped to the nearest.
+const MP3_BITRATES = [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+
+// `kind` is 'surah' for /quran/audio-surah/ or 'ayah' for /quran/audio/.
+export function islamicNetworkBitrates(slug, kind = 'surah') {
+  const table = kind === 'ayah' ? ISLAMIC_NETWORK_AYAH_BITRATES : ISLAMIC_NETWORK_SURAH_BITRATES;
+  return table[slug] || DEFAULT_ISLAMIC_NETWORK_BITRATES;
+}
+
+export function normaliseAudioQuality(value) {
+  return AUDIO_QUALITIES.includes(value) ? value : 'auto';
+}
+
+// The Network Information API is Chromium-only; elsewhere nothing counts as
+// metered and 'auto' means standard.
+export function isMeteredConnection(connection) {
+  if (!connection) return false;
+  if (connection.saveData) return true;
+  if (connection.type === 'cellular') return true;
+  return ['slow-2g', '2g', '3g'].includes(connection.effectiveType);
+}
+
+// 'low' | 'standard' | 'high' for a stored preference.
+export function resolveAudioQuality(preference, connection) {
+  const quality = normaliseAudioQuality(preference);
+  if (quality !== 'auto') return quality;
+  return isMeteredConnection(connection) ? 'low' : 'standard';
+}
+
+// Closest available bitrate to the quality's target. On a tie, low takes the
+// smaller one and the others the larger.
+export function pickBitrate(available, quality = 'standard') {
+  if (!available?.length) return null;
+  const target = QUALITY_TARGET_KBPS[quality] || QUALITY_TARGET_KBPS.standard;
+  return available.reduce((best, kbps) => {
+    const diff = Math.abs(kbps - target) - Math.abs(best - target);
+    if (diff < 0) return kbps;
+    if (diff > 0) return best;
+    return quality === 'low' ? Math.min(best, kbps) : Math.max(best, kbps);
+  });
+}
+
+// The bitrate the picker shows for a catalogue entry, or null while a
+// single-file provider has not been measured yet. `kind` is the file kind
+// the playback mode streams ('surah' or 'ayah').
+export function reciterBitrate(reciter, quality, measured, kind = 'surah') {
+  if (!reciter) return null;
+  if (reciter.slug && String(reciter.id).startsWith('islamic:')) {
+    return pickBitrate(islamicNetworkBitrates(reciter.slug, kind), quality);
+  }
+  return measured?.[reciter.id] || null;
+}
+
+export function estimateBitrateKbps(bytes, durationSeconds) {
+  if (!(bytes > 0) || !(durationSeconds > 0) || !Number.isFinite(durationSeconds)) return null;
+  const kbps = (bytes * 8) / durationSeconds / 1000;
+  return MP3_BITRATES.reduce((best, rate) => (Math.abs(rate - kbps) < Math.abs(best - kbps) ? rate : best));
+}
+
+// Called by the audio host once a network surah file has loaded: one HEAD
+// request per source key, ever. Ayah playlists and downloaded copies are not
+// whole network files and are skipped by the caller.
+export async function recordMeasuredBitrate(storage, { sourceKey, url, duration }, fetchImpl = fetch) {
+  if (!sourceKey || String(sourceKey).startsWith('islamic:')) return null;
+  if (!/^https:/.test(url || '') || !(duration > 0) || !Number.isFinite(duration)) return null;
+  const { [MEASURED_BITRATES_KEY]: measured = {} } = await storage.get(MEASURED_BITRATES_KEY);
+  if (measured[sourceKey]) return measured[sourceKey];
+  const response = await fetchImpl(url, { method: 'HEAD' });
+  if (!response.ok) return null;
+  const kbps = estimateBitrateKbps(Number(response.headers.get('content-length')), duration);
+  if (!kbps) return null;
+  await storage.set({ [MEASURED_BITRATES_KEY]: { ...measured, [sourceKey]: kbps } });
+  return kbps;
+}
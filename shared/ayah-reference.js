@@ -0,0 +1,72 @@
+// Ayah references typed into the surah picker: "2:255", "Al-Kahf 10", "Kahf:10"
+// or "الكهف 10", and where such a reference starts once the audio for its
+// surah is resolved.
+
+import { SURAH_NAMES, getAyahCount } from './quran-meta.js';
+import { fetchAyahTimings } from './quran-text.js';
+
+const DEFAULT_SURAHS = SURAH_NAMES.map((name, index) => ({ id: String(index + 1), names: [name] }));
+
+// Letters and digits only, without case, Latin diacritics, tashkeel or
+// tatweel, so "Al-Kahf", "al kahf" and "Alkahf" compare equal.
+function normaliseName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u064b-\u0652\u0670\u0640]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// "Al-Kahf" also answers to "Kahf", and "الكهف" to "كهف".
+function nameVariants(name) {
+  const variants = [normaliseName(name)];
+  const withoutArticle = String(name || '').match(/^a[a-z]{1,2}-(.+)$/i)?.[1];
+  if (withoutArticle) variants.push(normaliseName(withoutArticle));
+  if (variants[0].startsWith('ال')) variants.push(variants[0].slice(2));
+  return variants.filter(Boolean);
+}
+
+function findSurahByName(name, surahs) {
+  const wanted = normaliseName(name);
+  if (!wanted) return null;
+  const match = surahs.find((surah) => surah.names.some((n) => nameVariants(n).includes(wanted)));
+  return match ? String(match.id) : null;
+}
+
+// { suraId, ayah, verseKey } or null. `surahs` lists [{ id, names }]; the
+// bundled transliterations are used when the caller has nothing better. A
+// picker label such as "18. Al-Kahf" followed by an ayah number also counts.
+export function parseAyahReference(query, surahs = DEFAULT_SURAHS) {
+  const text = String(query || '').trim();
+  let suraId = null;
+  let ayahText = null;
+  const numeric = text.match(/^(\d{1,3})\s*:\s*(\d{1,3})$/);
+  if (numeric) {
+    [, suraId, ayahText] = numeric;
+  } else {
+    const named = text.match(/^(.*\p{L}.*?)[\s:]+(\d{1,3})$/u);
+    if (!named) return null;
+    ayahText = named[2];
+    suraId = named[1].match(/^(\d{1,3})\.\s/)?.[1] || findSurahByName(named[1], surahs);
+  }
+  const ayah = Number(ayahText);
+  if (!suraId || !(ayah >= 1 && ayah <= getAyahCount(suraId))) return null;
+  const id = String(Number(suraId));
+  return { suraId: id, ayah, verseKey: `${id}:${ayah}` };
+}
+
+// Where a reference starts in a resolved playback: { startIndex, time, exact }.
+// An ayah playlist starts on its entry. A surah file seeks to the ayah's
+// Quran.com timestamp; without one it starts from the top and `exact` is
+// false.
+export async function ayahStartPoint(verseKey, { sourceKey, suraId, playlist }, fetchImpl = fetch) {
+  if (Array.isArray(playlist) && playlist.length > 0) {
+    const index = playlist.findIndex((entry) => entry.verseKey === verseKey);
+    return index === -1 ? { startIndex: 0, time: 0, exact: false } : { startIndex: index, time: 0, exact: true };
+  }
+  const timings = await fetchAyahTimings(sourceKey, suraId, fetchImpl).catch(() => null);
+  const timing = timings?.find((entry) => entry.verseKey === verseKey);
+  return timing
+    ? { startIndex: 0, time: timing.from / 1000, exact: true }
+    : { startIndex: 0, time: 0, exact: false };
+}
@@ -0,0 +1,63 @@
+// Timestamp bookmarks inside surahs. Each one remembers where to start again:
+// the surah, the reciter and provider that were playing, and the position.
+// In verse-by-verse playback `currentTime` is inside `ayahKey`'s file, so the
+// jump reloads that playlist at the ayah before seeking.
+
+export const BOOKMARKS_KEY = 'audioBookmarks';
+export const MAX_BOOKMARKS = 200;
+export const MAX_BOOKMARK_LABEL_LENGTH = 60;
+
+// Returns null when nothing is loaded to bookmark. Hifz ranges are saved as
+// verse-by-verse positions; the repeat counts do not belong to the passage.
+export function createBookmark(state, label = '', now = Date.now()) {
+  if (!state?.suraId || !state.reciterKey) return null;
+  const ayahKey = state.playlist && state.ayahKey ? state.ayahKey : null;
+  return {
+    id: `bm-${now.toString(36)}-${state.suraId}`,
+    suraId: String(state.suraId),
+    reciterKey: state.reciterKey,
+    sourceKey: state.sourceKey || state.reciterKey,
+    reciterName: state.reciterName || null,
+    mode: ayahKey ? 'ayah' : 'surah',
+    ayahKey,
+    currentTime: Math.max(0, Math.floor(Number(state.currentTime) || 0)),
+    label: String(label || '').trim().slice(0, MAX_BOOKMARK_LABEL_LENGTH),
+    createdAt: now
+  };
+}
+
+// The oldest bookmarks go first once the cap is reached.
+export function addBookmark(bookmarks, bookmark, max = MAX_BOOKMARKS) {
+  if (!bookmark) return bookmarks || [];
+  return [...(bookmarks || []), bookmark].slice(-max);
+}
+
+export function removeBookmark(bookmarks, id) {
+  return (bookmarks || []).filter((bookmark) => bookmark.id !== id);
+}
+
+function ayahNumber(ayahKey) {
+  return ayahKey ? Number(ayahKey.split(':')[1]) || 0 : 0;
+}
+
+// Display order: mushaf order of surah, then ayah, then position.
+export function sortBookmarks(bookmarks) {
+  return (bookmarks || []).slice().sort((a, b) => (
+    Number(a.suraId) - Number(b.suraId) ||
+    ayahNumber(a.ayahKey) - ayahNumber(b.ayahKey) ||
+    a.currentTime - b.currentTime
+  ));
+}
+
+// Where to resume a bookmark in a freshly resolved playback. A verse-by-verse
+// position only means something inside that ayah's file; when the provider
+// served the whole surah instead, start the surah from the top.
+export function bookmarkStartPoint(bookmark, playlist) {
+  if (!bookmark?.ayahKey) return { startIndex: 0, time: bookmark?.currentTime || 0 };
+  const index = Array.isArray(playlist)
+    ? playlist.findIndex((entry) => entry.verseKey === bookmark.ayahKey)
+    : -1;
+  return index === -1
+    ? { startIndex: 0, time: 0 }
+    : { startIndex: index, time: bookmark.currentTime };
+}
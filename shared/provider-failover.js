@@ -0,0 +1,68 @@
+// Provider failover. fetchReciters folds the same reciter from several
+// providers into one catalogue entry and keeps the other keys in altIds. When
+// one provider cannot serve a surah, playback retries on the next key; the
+// key that actually played travels as `sourceKey` next to the user's
+// `reciterKey`.
+
+import { getReciterProvider } from './audio-urls.js';
+
+export const PROVIDER_LABELS = {
+  qc: 'Quran.com',
+  mp3: 'MP3Quran',
+  islamic: 'Islamic.network'
+};
+
+export function getProviderLabel(reciterKey) {
+  if (!reciterKey) return '';
+  return PROVIDER_LABELS[getReciterProvider(reciterKey)] || '';
+}
+
+// The catalogue entry that owns reciterKey, as its primary id or an alt id.
+export function findReciterEntry(reciters, reciterKey) {
+  if (!Array.isArray(reciters) || !reciterKey) return null;
+  return reciters.find((r) => r.id === reciterKey || (r.altIds || []).includes(reciterKey)) || null;
+}
+
+// Every other key of the entry, primary id included when reciterKey is an
+// alt id saved under an older catalogue.
+export function getAlternateKeys(entry, reciterKey) {
+  if (!entry) return [];
+  return [entry.id, ...(entry.altIds || [])].filter((key) => key && key !== reciterKey);
+}
+
+// Try order: the key that last worked, then the user's key, then the rest.
+export function getFailoverKeys(reciterKey, alternateKeys = [], preferredKey = null) {
+  const keys = [preferredKey, reciterKey, ...alternateKeys].filter(Boolean);
+  return [...new Set(keys)];
+}
+
+// Failures another provider could fix: unreachable hosts, missing files and
+// catalogue gaps. Autoplay-policy and similar errors would fail the same way
+// everywhere, so they are not retried.
+const PROVIDER_FAILURE_PATTERNS = [
+  /failed to fetch|networkerror|network error|MEDIA_ERR_NETWORK/i,
+  /status (404|410|5\d\d)|not accessible/i,
+  /Audio failed to load|Audio load timeout|MEDIA_ERR_SRC_NOT_SUPPORTED|not suitable/i,
+  /Audio source unavailable|Reciter not found|missing server URL|No audio (files )?found|Audio URL not found/i
+];
+
+export function isProviderFailure(error) {
+  const message = String(error?.message ?? error ?? '');
+  return PROVIDER_FAILURE_PATTERNS.some((pattern) => pattern.test(message));
+}
+
+// Runs attempt(key) for each key until one succeeds. Resolves with the key
+// that worked and attempt's result; rethrows the first error that is not a
+// provider failure, or the last error once every key has failed.
+export async function playWithFailover(keys, attempt) {
+  let lastError = null;
+  for (const key of keys) {
+    try {
+      return { sourceKey: key, result: await attempt(key) };
+    } catch (error) {
+      if (!isProviderFailure(error)) throw error;
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('Audio source unavailable for this combination');
+}
@@ -3,7 +3,7 @@
 // reciters are skipped — that catalogue is curated upstream and probing each
 // one would require a per-surah API GET, which we are not paying.
 
-import { ensureAllowedAudioHost } from './audio-urls.js';
+import { ensureAllowedAudioHost, islamicNetworkSurahUrl } from './audio-urls.js';
 
 const SAMPLE_SURAS = [1, 50, 87, 114];
 const MIN_PASSES = 2; // 2-or-more of 4 = complete; 1 or 0 = limited
@@ -15,7 +15,7 @@ function buildProbeUrls(reciter) {
     return SAMPLE_SURAS.map((n) => `${server}${String(n).padStart(3, '0')}.mp3`);
   }
   if ((source === 'islamic' || source === 'alquran-cloud') && slug) {
-    return SAMPLE_SURAS.map((n) => `https://cdn.islamic.network/quran/audio/128/${slug}/${n}.mp3`);
+    return SAMPLE_SURAS.map((n) => islamicNetworkSurahUrl(slug, n));
   }
   return null; // qurancom and unknown sources are flagged complete by default
 }
@@ -0,0 +1,63 @@
+// Recent sessions: the last position reached in each (surah, reciter) pair, so
+// starting another surah does not lose the place in the previous one.
+// `audioState` still holds the live session; this list is what it leaves
+// behind. Entries have the same shape the bookmark jump takes.
+
+import { isSurahPlayedToEnd } from './khatmah.js';
+
+export const RESUME_POINTS_KEY = 'resumePoints';
+export const MAX_RESUME_POINTS = 10;
+// Matches the Continue affordance: a few seconds in is not worth resuming.
+export const MIN_RESUME_SECONDS = 5;
+
+function samePair(point, suraId, reciterKey) {
+  return point.suraId === String(suraId) && point.reciterKey === reciterKey;
+}
+
+// Returns null for states with no position worth keeping. In verse-by-verse
+// playback any ayah past the first counts as progress.
+export function toResumePoint(state, now = Date.now()) {
+  if (!state?.suraId || !state.reciterKey) return null;
+  const ayahKey = state.playlist && state.ayahKey ? state.ayahKey : null;
+  const currentTime = Math.max(0, Math.floor(Number(state.currentTime) || 0));
+  if (currentTime < MIN_RESUME_SECONDS && !(ayahKey && state.playlistIndex > 0)) return null;
+  return {
+    suraId: String(state.suraId),
+    reciterKey: state.reciterKey,
+    sourceKey: state.sourceKey || state.reciterKey,
+    reciterName: state.reciterName || null,
+    mode: ayahKey ? 'ayah' : 'surah',
+    ayahKey,
+    currentTime,
+    updatedAt: now
+  };
+}
+
+// Newest first. A surah played to the end drops out; a state too early to
+// resume leaves the list alone, so restarting a surah from the top does not
+// erase where it was left. Returns the same array when nothing changed.
+export function upsertResumePoint(points, state, now = Date.now(), max = MAX_RESUME_POINTS) {
+  const list = points || [];
+  if (!state?.suraId || !state.reciterKey) return list;
+  const others = list.filter((point) => !samePair(point, state.suraId, state.reciterKey));
+  if (isSurahPlayedToEnd(state)) return others.length === list.length ? list : others;
+  const point = toResumePoint(state, now);
+  return point ? [point, ...others].slice(0, max) : list;
+}
+
+// The Recent list leaves out the live session, which Continue already offers.
+export function listRecentSessions(points, current = null, limit = MAX_RESUME_POINTS) {
+  return (points || [])
+    .filter((point) => !current?.suraId || !samePair(point, current.suraId, current.reciterKey))
+    .slice(0, limit);
+}
+
+// Called by the audio host whenever it saves audioState and just before it
+// replaces the session. `storage` is chrome.storage.local or
+// browser.storage.local.
+export async function recordResumePoint(storage, state, now = Date.now()) {
+  const snapshot = { ...state };
+  const { [RESUME_POINTS_KEY]: points = [] } = await storage.get(RESUME_POINTS_KEY);
+  const next = upsertResumePoint(points, snapshot, now);
+  if (next !== points) await storage.set({ [RESUME_POINTS_KEY]: next });
+}
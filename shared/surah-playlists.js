@@ -0,0 +1,114 @@
+// User-defined surah playlists ("Juz Amma", "Friday: Al-Kahf + Al-Mulk", any
+// hand-picked order). Not to be confused with audioState.playlist, which is
+// the ayah files of one surah. Stored under SURAH_PLAYLISTS_KEY as
+// { lists: [{ id, name, suraIds }], activeId, activeIndex }; activeIndex is
+// the position autoplay reached, so a surah listed twice is stepped past
+// correctly. The popup edits the lists and the background advances through
+// the active one.
+
+import { isValidSuraId } from './quran-meta.js';
+
+export const SURAH_PLAYLISTS_KEY = 'surahPlaylists';
+export const MAX_PLAYLIST_NAME_LENGTH = 40;
+
+export function normalisePlaylists(store) {
+  const lists = Array.isArray(store?.lists) ? store.lists : [];
+  const activeId = lists.some((list) => list.id === store?.activeId) ? store.activeId : null;
+  const activeIndex = activeId && Number.isInteger(store.activeIndex) && store.activeIndex >= 0 ? store.activeIndex : 0;
+  return { lists, activeId, activeIndex };
+}
+
+function cleanName(name) {
+  return String(name || '').trim().slice(0, MAX_PLAYLIST_NAME_LENGTH);
+}
+
+function updateList(store, id, change) {
+  const current = normalisePlaylists(store);
+  return {
+    ...current,
+    lists: current.lists.map((list) => (list.id === id ? { ...list, ...change(list) } : list))
+  };
+}
+
+// "18, 67" and "78-114" both work; a range written high to low plays in that
+// order. Anything that is not a surah number is skipped.
+export function parseSuraList(text) {
+  const ids = [];
+  String(text || '').split(/[,\s]+/).filter(Boolean).forEach((part) => {
+    const range = part.match(/^(\d+)-(\d+)$/);
+    if (!range) {
+      if (isValidSuraId(part)) ids.push(String(Number(part)));
+      return;
+    }
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    if (!isValidSuraId(from) || !isValidSuraId(to)) return;
+    const step = from <= to ? 1 : -1;
+    for (let id = from; id !== to + step; id += step) ids.push(String(id));
+  });
+  return ids;
+}
+
+// Returns the new store and the id it gave the playlist. An empty name is
+// rejected so every list can be told apart in the popup.
+export function createPlaylist(store, name, suraIds = [], now = Date.now()) {
+  const current = normalisePlaylists(store);
+  const cleaned = cleanName(name);
+  if (!cleaned) return { store: current, id: null };
+  const id = `pl-${now.toString(36)}`;
+  const list = { id, name: cleaned, suraIds: suraIds.filter(isValidSuraId).map((suraId) => String(Number(suraId))) };
+  return { store: { ...current, lists: [...current.lists, list] }, id };
+}
+
+export function renamePlaylist(store, id, name) {
+  const cleaned = cleanName(name);
+  return cleaned ? updateList(store, id, () => ({ name: cleaned })) : normalisePlaylists(store);
+}
+
+export function deletePlaylist(store, id) {
+  const current = normalisePlaylists(store);
+  const lists = current.lists.filter((list) => list.id !== id);
+  return current.activeId === id
+    ? { lists, activeId: null, activeIndex: 0 }
+    : { ...current, lists };
+}
+
+export function addSuraToPlaylist(store, id, suraId) {
+  if (!isValidSuraId(suraId)) return normalisePlaylists(store);
+  return updateList(store, id, (list) => ({ suraIds: [...list.suraIds, String(Number(suraId))] }));
+}
+
+export function removeSuraAt(store, id, index) {
+  return updateList(store, id, (list) => ({ suraIds: list.suraIds.filter((_, i) => i !== index) }));
+}
+
+// Moves one entry; out-of-range targets are clamped to the ends.
+export function moveSura(store, id, from, to) {
+  return updateList(store, id, (list) => {
+    if (from < 0 || from >= list.suraIds.length) return {};
+    const suraIds = list.suraIds.slice();
+    const [moved] = suraIds.splice(from, 1);
+    suraIds.splice(Math.min(Math.max(0, to), suraIds.length), 0, moved);
+    return { suraIds };
+  });
+}
+
+// Pass a null id to stop following playlists.
+export function activatePlaylist(store, id, index = 0) {
+  const current = normalisePlaylists(store);
+  if (!id || !current.lists.some((list) => list.id === id)) {
+    return { ...current, activeId: null, activeIndex: 0 };
+  }
+  return { ...current, activeId: id, activeIndex: index };
+}
+
+export function getActivePlaylist(store) {
+  const current = normalisePlaylists(store);
+  return current.lists.find((list) => list.id === current.activeId) || null;
+}
+
+// Records how far autoplay got without touching which playlist is active, so
+// a stop the user made in the meantime stands.
+export function setActiveIndex(store, index) {
+  const current = normalisePlaylists(store);
+  return current.activeId ? { ...current, activeIndex: index } : current;
+}
@@ -0,0 +1,140 @@
+// Volume and loudness normalisation. Stored under `volumeSettings` as
+// { volume, normalise }. The volume is the element's own volume. The
+// normaliser is a Web Audio gain stage that the audio host puts after every
+// element. The providers master at very different levels, so a jump of
+// 10 dB or more between reciters is common.
+
+export const VOLUME_SETTINGS_KEY = 'volumeSettings';
+
+export const DEFAULT_VOLUME_SETTINGS = Object.freeze({
+  volume: 1,
+  normalise: false
+});
+
+// Recitation sits well below full scale; aiming at -20 dBFS RMS leaves room
+// for the limiter to catch peaks after a boost.
+export const NORMALISE_TARGET_DB = -20;
+export const NORMALISE_MAX_BOOST_DB = 12;
+export const NORMALISE_MAX_CUT_DB = 12;
+// Pauses between ayat read as near-silence and must not pump the gain up.
+export const NORMALISE_SILENCE_DB = -50;
+// How far the gain may move per measurement. Slow enough not to ride the
+// dynamics of a single ayah, fast enough to settle within a few seconds of a
+// provider change.
+export const NORMALISE_STEP_DB = 1.5;
+
+export function clampVolume(volume) {
+  const n = Number(volume);
+  if (!Number.isFinite(n)) return DEFAULT_VOLUME_SETTINGS.volume;
+  return Math.min(Math.max(n, 0), 1);
+}
+
+export function normaliseVolumeSettings(raw) {
+  return {
+    volume: clampVolume(raw?.volume ?? DEFAULT_VOLUME_SETTINGS.volume),
+    normalise: Boolean(raw?.normalise)
+  };
+}
+
+// RMS level of a block of time-domain samples in dBFS; -Infinity for silence.
+export function rmsDb(samples) {
+  if (!samples?.length) return -Infinity;
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+// One step of the normaliser: moves the gain (in dB) towards the level that
+// would put the measured block on target, bounded per step and overall.
+export function nextNormaliserGain(currentDb, measuredDb, {
+  target = NORMALISE_TARGET_DB,
+  maxBoost = NORMALISE_MAX_BOOST_DB,
+  maxCut = NORMALISE_MAX_CUT_DB,
+  silence = NORMALISE_SILENCE_DB,
+  step = NORMALISE_STEP_DB
+} = {}) {
+  if (!Number.isFinite(measuredDb) || measuredDb < silence) return currentDb;
+  const wanted = Math.min(Math.max(target - measuredDb, -maxCut), maxBoost);
+  const delta = Math.min(Math.max(wanted - currentDb, -step), step);
+  return currentDb + delta;
+}
+
+// Web Audio graph for the audio host: element -> gain -> limiter -> output,
+// with an analyser reading the element before the gain. An element can only
+// ever have one source node and, once it has one, is heard only through the
+// graph; so the graph is built the first time normalisation is turned on and
+// every element played afterwards is attached, with the gain held at unity
+// while normalisation is off.
+export function createLoudnessNormaliser({
+  createContext = () => new AudioContext(),
+  intervalMs = 500
+} = {}) {
+  const sources = new WeakMap();
+  let context = null;
+  let analyser = null;
+  let gain = null;
+  let samples = null;
+  let current = null;
+  let gainDb = 0;
+  let enabled = false;
+  let timer = null;
+
+  function buildGraph() {
+    context = createContext();
+    analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    samples = new Float32Array(analyser.fftSize);
+    gain = context.createGain();
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = -3;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.003;
+    limiter.release.value = 0.25;
+    gain.connect(limiter);
+    limiter.connect(context.destination);
+  }
+
+  function measure() {
+    if (!current || current.paused) return;
+    analyser.getFloatTimeDomainData(samples);
+    gainDb = nextNormaliserGain(gainDb, rmsDb(samples));
+    gain.gain.setTargetAtTime(dbToGain(gainDb), context.currentTime, 0.5);
+  }
+
+  function attach(element) {
+    if (!element || (!context && !enabled)) return;
+    if (!context) buildGraph();
+    if (element === current) return;
+    if (current) sources.get(current)?.disconnect();
+    let source = sources.get(element);
+    if (!source) {
+      source = context.createMediaElementSource(element);
+      sources.set(element, source);
+    }
+    source.connect(analyser);
+    source.connect(gain);
+    current = element;
+    if (context.state === 'suspended') context.resume().catch(() => {});
+  }
+
+  function setEnabled(on, element = current) {
+    enabled = Boolean(on);
+    if (enabled) {
+      attach(element);
+      if (!timer) timer = setInterval(measure, intervalMs);
+      return;
+    }
+    clearInterval(timer);
+    timer = null;
+    gainDb = 0;
+    if (gain) gain.gain.setTargetAtTime(1, context.currentTime, 0.1);
+  }
+
+  return { attach, setEnabled, isEnabled: () => enabled, usesGraph: () => context !== null };
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAudioEvent, applyAudioEvent } from '../shared/audio-events.js';
+
+const state = {
+  audioUrl: 'https://verses.quran.com/Alafasy/mp3/001001.mp3',
+  suraId: '1',
+  reciterKey: 'qc:7',
+  isPlaying: true,
+  currentTime: 3.5,
+  duration: 6,
+  playlist: [{ verseKey: '1:1' }, { verseKey: '1:2' }],
+  playlistIndex: 0,
+  ayahKey: '1:1'
+};
+
+test('timeupdate events carry only the moving fields', () => {
+  const message = buildAudioEvent('timeupdate', state);
+  assert.deepEqual(message, {
+    event: 'timeupdate',
+    state: { currentTime: 3.5, duration: 6, isPlaying: true, playlistIndex: 0, ayahKey: '1:1' }
+  });
+});
+
+test('other events carry a copy of the full state and any extras', () => {
+  const message = buildAudioEvent('error', state, { error: 'Network error' });
+  assert.equal(message.error, 'Network error');
+  assert.deepEqual(message.state, state);
+  assert.notEqual(message.state, state);
+});
+
+test('applyAudioEvent merges timeupdates and replaces on full events', () => {
+  const base = applyAudioEvent(null, buildAudioEvent('state', state));
+  const moved = applyAudioEvent(base, buildAudioEvent('timeupdate', { ...state, currentTime: 5 }));
+  assert.equal(moved.currentTime, 5);
+  assert.equal(moved.reciterKey, 'qc:7');
+
+  const next = applyAudioEvent(moved, buildAudioEvent('play', { suraId: '2' }));
+  assert.deepEqual(next, { suraId: '2' });
+});
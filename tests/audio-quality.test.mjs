@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  islamicNetworkBitrates,
+  normaliseAudioQuality,
+  isMeteredConnection,
+  resolveAudioQuality,
+  pickBitrate,
+  reciterBitrate,
+  estimateBitrateKbps,
+  recordMeasuredBitrate,
+  MEASURED_BITRATES_KEY
+} from '../shared/audio-quality.js';
+import { memoryStorage } from './helpers/storage.mjs';
+
+test('resolveAudioQuality goes low on metered connections only when automatic', () => {
+  assert.equal(resolveAudioQuality('auto', { saveData: true }), 'low');
+  assert.equal(resolveAudioQuality(undefined, { type: 'cellular' }), 'low');
+  assert.equal(resolveAudioQuality('auto', { effectiveType: '3g' }), 'low');
+  assert.equal(resolveAudioQuality('auto', { effectiveType: '4g', type: 'wifi' }), 'standard');
+  assert.equal(resolveAudioQuality('auto', undefined), 'standard');
+  assert.equal(resolveAudioQuality('high', { saveData: true }), 'high');
+  assert.equal(normaliseAudioQuality('ultra'), 'auto');
+  assert.equal(isMeteredConnection(null), false);
+});
+
+test('pickBitrate takes the closest bitrate an edition serves', () => {
+  assert.equal(pickBitrate([128, 64], 'low'), 64);
+  assert.equal(pickBitrate([128, 64], 'standard'), 128);
+  assert.equal(pickBitrate([128, 64], 'high'), 128);
+  assert.equal(pickBitrate([192, 64], 'standard'), 192);
+  assert.equal(pickBitrate([192, 64, 32], 'low'), 64);
+  assert.equal(pickBitrate([48], 'high'), 48);
+  assert.equal(pickBitrate([], 'low'), null);
+});
+
+test('surah and ayah files have their own bitrate lists', () => {
+  assert.deepEqual(islamicNetworkBitrates('ar.alafasy'), [128]);
+  assert.deepEqual(islamicNetworkBitrates('ar.alafasy', 'ayah'), [128, 64]);
+  assert.deepEqual(islamicNetworkBitrates('en.walk', 'ayah'), [192]);
+});
+
+test('unknown editions fall back to 128 kbps', () => {
+  assert.deepEqual(islamicNetworkBitrates('xx.unknown'), [128]);
+  assert.deepEqual(islamicNetworkBitrates('xx.unknown', 'ayah'), [128]);
+});
+
+test('reciterBitrate uses the edition table or a measurement, never a guess', () => {
+  const islamic = { id: 'islamic:ar.abdulbasitmurattal', slug: 'ar.abdulbasitmurattal' };
+  assert.equal(reciterBitrate(islamic, 'low', {}), 192);
+  assert.equal(reciterBitrate(islamic, 'low', {}, 'ayah'), 64);
+  assert.equal(reciterBitrate(islamic, 'high', {}, 'ayah'), 192);
+  assert.equal(reciterBitrate({ id: 'mp3:5' }, 'low', { 'mp3:5': 96 }), 96);
+  assert.equal(reciterBitrate({ id: 'qc:7' }, 'standard', {}), null);
+});
+
+test('estimateBitrateKbps snaps to a standard MP3 bitrate', () => {
+  // 60 s at 128 kbps is 960000 bytes; a little container overhead is fine.
+  assert.equal(estimateBitrateKbps(975000, 60), 128);
+  assert.equal(estimateBitrateKbps(480000, 60), 64);
+  assert.equal(estimateBitrateKbps(0, 60), null);
+  assert.equal(estimateBitrateKbps(480000, Infinity), null);
+});
+
+test('recordMeasuredBitrate measures each source key once', async () => {
+  const storage = memoryStorage();
+  let requests = 0;
+  const fetchImpl = async () => {
+    requests++;
+    return { ok: true, headers: { get: () => '1440000' } };
+  };
+  const state = { sourceKey: 'mp3:5', url: 'https://server8.mp3quran.net/afs/001.mp3', duration: 60 };
+  assert.equal(await recordMeasuredBitrate(storage, state, fetchImpl), 192);
+  assert.equal(await recordMeasuredBitrate(storage, state, fetchImpl), 192);
+  assert.equal(requests, 1);
+  assert.deepEqual(storage.data[MEASURED_BITRATES_KEY], { 'mp3:5': 192 });
+});
+
+test('recordMeasuredBitrate skips downloads and Islamic.network', async () => {
+  const storage = memoryStorage();
+  const fetchImpl = async () => assert.fail('no request expected');
+  assert.equal(await recordMeasuredBitrate(storage, { sourceKey: 'mp3:5', url: 'blob:abc', duration: 60 }, fetchImpl), null);
+  assert.equal(await recordMeasuredBitrate(storage, { sourceKey: 'islamic:ar.alafasy', url: 'https://cdn.islamic.network/x.mp3', duration: 60 }, fetchImpl), null);
+});
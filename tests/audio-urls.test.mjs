@@ -1,6 +1,28 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { isAllowedAudioHost, ensureAllowedAudioHost, getNextSuraId } from '../shared/audio-urls.js';
+import {
+  isAllowedAudioHost,
+  ensureAllowedAudioHost,
+  getNextSuraId,
+  getPreviousSuraId,
+  supportsAyahPlayback,
+  getAyahPlaylist,
+  getSuraAudioUrl,
+  resolveSuraPlayback
+} from '../shared/audio-urls.js';
+
+// Minimal fetch stub: maps a URL substring to the JSON body it returns.
+function stubFetch(routes) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(url);
+    const match = Object.keys(routes).find((k) => url.includes(k));
+    if (!match) return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => routes[match] };
+  };
+  return { calls, restore: () => { globalThis.fetch = original; } };
+}
 
 test('isAllowedAudioHost accepts every host enumerated in the manifest media-src', () => {
   assert.equal(isAllowedAudioHost('https://verses.quran.com/Alafasy/mp3/001.mp3'), true);
@@ -50,3 +72,93 @@ test('getNextSuraId increments by one', () => {
   assert.equal(getNextSuraId('66'), '67');
   assert.equal(getNextSuraId('113'), '114');
 });
+
+test('getPreviousSuraId wraps from 1 to 114', () => {
+  assert.equal(getPreviousSuraId('1'), '114');
+  assert.equal(getPreviousSuraId(67), '66');
+});
+
+test('supportsAyahPlayback is true for Quran.com and Islamic.network reciters', () => {
+  assert.equal(supportsAyahPlayback('qc:7'), true);
+  assert.equal(supportsAyahPlayback('7'), true);
+  assert.equal(supportsAyahPlayback('mp3:228'), false);
+  assert.equal(supportsAyahPlayback('islamic:ar.alafasy'), true);
+  assert.equal(supportsAyahPlayback(''), false);
+});
+
+test('getAyahPlaylist walks every page and returns ayahs in order', async () => {
+  const stub = stubFetch({
+    'page=1': {
+      audio_files: [
+        { verse_key: '2:2', url: 'Alafasy/mp3/002002.mp3' },
+        { verse_key: '2:1', url: '//verses.quran.com/Alafasy/mp3/002001.mp3' }
+      ],
+      pagination: { next_page: 2 }
+    },
+    'page=2': {
+      audio_files: [{ verse_key: '2:3', url: 'https://verses.quran.com/Alafasy/mp3/002003.mp3' }],
+      pagination: { next_page: null }
+    }
+  });
+  try {
+    const playlist = await getAyahPlaylist('qc:7', '2');
+    assert.deepEqual(playlist.map((p) => p.verseKey), ['2:1', '2:2', '2:3']);
+    assert.equal(playlist[0].url, 'https://verses.quran.com/Alafasy/mp3/002001.mp3');
+    assert.equal(playlist[1].url, 'https://verses.quran.com/Alafasy/mp3/002002.mp3');
+    assert.equal(stub.calls.length, 2);
+  } finally {
+    stub.restore();
+  }
+});
+
+test('getAyahPlaylist maps Islamic.network ayahs to global numbers without fetching', async () => {
+  const stub = stubFetch({});
+  try {
+    const playlist = await getAyahPlaylist('islamic:ar.alafasy', '2', { quality: 'low' });
+    assert.equal(playlist.length, 286);
+    assert.deepEqual(playlist[0], { verseKey: '2:1', url: 'https://cdn.islamic.network/quran/audio/64/ar.alafasy/8.mp3' });
+    assert.equal(playlist[254].url, 'https://cdn.islamic.network/quran/audio/64/ar.alafasy/262.mp3');
+    assert.equal(stub.calls.length, 0);
+  } finally {
+    stub.restore();
+  }
+});
+
+test('getAyahPlaylist rejects providers without ayah audio', async () => {
+  await assert.rejects(() => getAyahPlaylist('mp3:228', '1'), /not available/);
+});
+
+test('getSuraAudioUrl builds Islamic.network surah URLs from the surah bitrate list', async () => {
+  assert.equal(await getSuraAudioUrl('islamic:ar.alafasy', '18'),
+    'https://cdn.islamic.network/quran/audio-surah/128/ar.alafasy/18.mp3');
+  // Alafasy's ayah files come at 64 kbps too; his surah files only at 128.
+  assert.equal(await getSuraAudioUrl('islamic:ar.alafasy', '18', { quality: 'low' }),
+    'https://cdn.islamic.network/quran/audio-surah/128/ar.alafasy/18.mp3');
+  assert.equal(await getSuraAudioUrl('islamic:ar.abdulbasitmurattal', '1', { quality: 'high' }),
+    'https://cdn.islamic.network/quran/audio-surah/192/ar.abdulbasitmurattal/1.mp3');
+});
+
+test('resolveSuraPlayback uses an offline download without any API call', async () => {
+  const stub = stubFetch({});
+  try {
+    const offline = { url: 'https://verses.quran.com/Alafasy/mp3/018.mp3' };
+    const result = await resolveSuraPlayback('qc:7', '18', { offline });
+    assert.deepEqual(result, { audioUrl: offline.url, playlist: null, fromOffline: true });
+    assert.equal(stub.calls.length, 0);
+  } finally {
+    stub.restore();
+  }
+});
+
+test('resolveSuraPlayback plays the offline surah in ayah mode without fetching the playlist', async () => {
+  const stub = stubFetch({});
+  try {
+    const offline = { url: 'https://verses.quran.com/Alafasy/mp3/018.mp3' };
+    const result = await resolveSuraPlayback('qc:7', '18', { mode: 'ayah', offline });
+    assert.deepEqual(result, { audioUrl: offline.url, playlist: null, fromOffline: true });
+    assert.equal(stub.calls.length, 0);
+    await assert.rejects(resolveSuraPlayback('qc:7', '18', { mode: 'ayah' }), /status 404/);
+  } finally {
+    stub.restore();
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAutoplayStep, normaliseAutoplayMode } from '../shared/autoplay.js';
+import { createPlaylist, activatePlaylist } from '../shared/surah-playlists.js';
+
+function playlistStore(suraIds, activeIndex = 0) {
+  const { store, id } = createPlaylist(undefined, 'Test', suraIds, 1);
+  return activatePlaylist(store, id, activeIndex);
+}
+
+const step = (suraId, index = null) => ({ suraId, index, playlistFinished: false });
+
+test('normaliseAutoplayMode falls back to mushaf order', () => {
+  assert.equal(normaliseAutoplayMode('shuffle'), 'shuffle');
+  assert.equal(normaliseAutoplayMode('sideways'), 'next');
+  assert.equal(normaliseAutoplayMode(undefined), 'next');
+});
+
+test('mushaf order wraps at both ends', () => {
+  assert.deepEqual(getAutoplayStep(undefined, '114'), step('1'));
+  assert.deepEqual(getAutoplayStep(undefined, '1', { direction: 'previous' }), step('114'));
+});
+
+test('reverse runs down the mushaf and flips previous', () => {
+  assert.deepEqual(getAutoplayStep(undefined, '114', { mode: 'reverse' }), step('113'));
+  assert.deepEqual(getAutoplayStep(undefined, '1', { mode: 'reverse' }), step('114'));
+  assert.deepEqual(getAutoplayStep(undefined, '50', { mode: 'reverse', direction: 'previous' }), step('51'));
+});
+
+test('repeat-one stays on the surah for autoplay but not for a skip', () => {
+  assert.deepEqual(getAutoplayStep(undefined, '36', { mode: 'repeat-one' }), step('36'));
+  assert.deepEqual(getAutoplayStep(undefined, '36', { mode: 'repeat-one', manual: true }), step('37'));
+  assert.deepEqual(getAutoplayStep(playlistStore(['18', '67'], 1), '67', { mode: 'repeat-one' }), step('67', 1));
+});
+
+test('shuffle never repeats the current surah', () => {
+  assert.deepEqual(getAutoplayStep(undefined, '1', { mode: 'shuffle', random: () => 0 }), step('2'));
+  assert.deepEqual(getAutoplayStep(undefined, '5', { mode: 'shuffle', random: () => 0.999 }), step('114'));
+  assert.deepEqual(getAutoplayStep(undefined, '114', { mode: 'shuffle', random: () => 0.999 }), step('113'));
+  const store = playlistStore(['18', '67', '36']);
+  assert.deepEqual(getAutoplayStep(store, '18', { mode: 'shuffle', random: () => 0 }), step('67', 1));
+});
+
+test('stop-juz ends autoplay when the next surah starts another juz', () => {
+  assert.deepEqual(getAutoplayStep(undefined, '77', { mode: 'stop-juz' }), { suraId: null, index: null, playlistFinished: false });
+  assert.deepEqual(getAutoplayStep(undefined, '78', { mode: 'stop-juz' }), step('79'));
+  // Al-Baqarah ends in juz 3, where Ali 'Imran starts.
+  assert.deepEqual(getAutoplayStep(undefined, '2', { mode: 'stop-juz' }), step('3'));
+  // Wrapping from An-Nas back to Al-Fatiha leaves juz 30 for juz 1.
+  assert.equal(getAutoplayStep(undefined, '114', { mode: 'stop-juz' }).suraId, null);
+  assert.deepEqual(getAutoplayStep(undefined, '77', { mode: 'stop-juz', manual: true }), step('78'));
+});
+
+test('stop modes going backwards compare the surah start with the previous surah end', () => {
+  const back = (suraId, mode) => getAutoplayStep(undefined, suraId, { direction: 'previous', mode }).suraId;
+  // An-Naba starts juz 30; Al-Mursalat ends in juz 29.
+  assert.equal(back('78', 'stop-juz'), null);
+  assert.equal(back('79', 'stop-juz'), '78');
+  assert.equal(back('3', 'stop-juz'), '2');
+  assert.equal(back('87', 'stop-hizb'), null);
+  assert.equal(back('1', 'stop-juz'), null);
+});
+
+test('stop-hizb uses the finer division', () => {
+  // An-Naba to Al-A'la: hizb 59 ends where hizb 60 starts at surah 87.
+  assert.deepEqual(getAutoplayStep(undefined, '85', { mode: 'stop-hizb' }), step('86'));
+  assert.equal(getAutoplayStep(undefined, '86', { mode: 'stop-hizb' }).suraId, null);
+  assert.deepEqual(getAutoplayStep(undefined, '86', { mode: 'stop-juz' }), step('87'));
+});
+
+test('the active playlist is followed and reports when it runs out', () => {
+  const store = playlistStore(['18', '67']);
+  assert.deepEqual(getAutoplayStep(store, '18'), step('67', 1));
+  assert.deepEqual(getAutoplayStep(playlistStore(['18', '67'], 1), '67'), { suraId: null, index: null, playlistFinished: true });
+  assert.deepEqual(getAutoplayStep(store, '18', { direction: 'previous' }), { suraId: null, index: null, playlistFinished: false });
+  assert.deepEqual(getAutoplayStep(store, '2'), step('3'));
+});
+
+test('reverse walks a playlist backwards and finishes at its start', () => {
+  const store = playlistStore(['112', '113', '114'], 2);
+  assert.deepEqual(getAutoplayStep(store, '114', { mode: 'reverse' }), step('113', 1));
+  assert.equal(getAutoplayStep(playlistStore(['112', '113'], 0), '112', { mode: 'reverse' }).playlistFinished, true);
+});
+
+test('a surah listed twice is passed using the saved position', () => {
+  assert.deepEqual(getAutoplayStep(playlistStore(['1', '2', '1', '3'], 2), '1'), step('3', 3));
+  assert.deepEqual(getAutoplayStep(playlistStore(['1', '2', '1', '3'], 0), '1'), step('2', 1));
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AYAH_OF_THE_DAY_KEY,
+  ayahForDate,
+  fetchAyah,
+  getAyahOfTheDay
+} from '../shared/ayah-of-the-day.js';
+import { memoryStorage } from './helpers/storage.mjs';
+
+function verseFetch(calls = []) {
+  return async (url) => {
+    calls.push(url);
+    const withTranslation = /translations=/.test(url);
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        verse: {
+          text_uthmani: 'ٱللَّهُ لَآ إِلَٰهَ إِلَّا هُوَ',
+          translations: withTranslation ? [{ text: 'Allah<sup foot_note=1>1</sup> - there is no deity except Him' }] : []
+        }
+      })
+    };
+  };
+}
+
+test('ayahForDate is stable for a date and differs between days', () => {
+  assert.equal(ayahForDate('2026-10-19'), ayahForDate('2026-10-19'));
+  assert.notEqual(ayahForDate('2026-10-19'), ayahForDate('2026-10-20'));
+  assert.match(ayahForDate('1970-01-01'), /^\d+:\d+$/);
+  assert.throws(() => ayahForDate('not a date'), /Invalid date/);
+});
+
+test('ayahForDate visits every ayah once in 6236 days', () => {
+  const seen = new Set();
+  const start = Date.UTC(2026, 0, 1);
+  for (let day = 0; day < 6236; day++) {
+    seen.add(ayahForDate(new Date(start + day * 86400000).toISOString().slice(0, 10)));
+  }
+  assert.equal(seen.size, 6236);
+});
+
+test('fetchAyah asks for the text and an optional translation', async () => {
+  const calls = [];
+  const ayah = await fetchAyah('2:255', 20, verseFetch(calls));
+  assert.match(calls[0], /verses\/by_key\/2:255\?fields=text_uthmani&translations=20$/);
+  assert.equal(ayah.translation, 'Allah - there is no deity except Him');
+  assert.equal((await fetchAyah('2:255', null, verseFetch())).translation, null);
+});
+
+test('getAyahOfTheDay caches the day and adds editions as needed', async () => {
+  const storage = memoryStorage();
+  const calls = [];
+  const fetchImpl = verseFetch(calls);
+  const first = await getAyahOfTheDay(storage, { dateKey: '2026-10-19', editionId: 131 }, fetchImpl);
+  assert.equal(first.verseKey, ayahForDate('2026-10-19'));
+  await getAyahOfTheDay(storage, { dateKey: '2026-10-19', editionId: 131 }, fetchImpl);
+  assert.equal(calls.length, 1);
+
+  const both = await getAyahOfTheDay(storage, { dateKey: '2026-10-19', editionId: 31 }, fetchImpl);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(Object.keys(both.translations).sort(), ['131', '31']);
+
+  await getAyahOfTheDay(storage, { dateKey: '2026-10-20', editionId: 131 }, fetchImpl);
+  assert.equal(calls.length, 3);
+  assert.equal(storage.data[AYAH_OF_THE_DAY_KEY].date, '2026-10-20');
+});
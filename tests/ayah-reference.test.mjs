@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAyahReference, ayahStartPoint } from '../shared/ayah-reference.js';
+
+test('parseAyahReference reads surah:ayah numbers', () => {
+  assert.deepEqual(parseAyahReference('2:255'), { suraId: '2', ayah: 255, verseKey: '2:255' });
+  assert.deepEqual(parseAyahReference(' 18 : 10 '), { suraId: '18', ayah: 10, verseKey: '18:10' });
+  assert.equal(parseAyahReference('2:287'), null);
+  assert.equal(parseAyahReference('115:1'), null);
+  assert.equal(parseAyahReference('2'), null);
+  assert.equal(parseAyahReference(''), null);
+});
+
+test('parseAyahReference reads surah names with or without the article', () => {
+  assert.equal(parseAyahReference('Al-Kahf 10')?.verseKey, '18:10');
+  assert.equal(parseAyahReference('al kahf:10')?.verseKey, '18:10');
+  assert.equal(parseAyahReference('Kahf 10')?.verseKey, '18:10');
+  assert.equal(parseAyahReference('18. Al-Kahf 10')?.verseKey, '18:10');
+  assert.equal(parseAyahReference("Ali 'Imran 7")?.verseKey, '3:7');
+  assert.equal(parseAyahReference('Al-Kahf'), null);
+  assert.equal(parseAyahReference('Nowhere 3'), null);
+});
+
+test('parseAyahReference uses the names the caller supplies', () => {
+  const surahs = [{ id: 18, names: ['Al-Kahf', 'الكهف'] }];
+  assert.equal(parseAyahReference('الكهف 10', surahs)?.verseKey, '18:10');
+  assert.equal(parseAyahReference('كهف 10', surahs)?.verseKey, '18:10');
+});
+
+test('ayahStartPoint starts an ayah playlist on the entry', async () => {
+  const playlist = [{ verseKey: '18:9' }, { verseKey: '18:10' }];
+  const noFetch = async () => assert.fail('no request expected');
+  assert.deepEqual(
+    await ayahStartPoint('18:10', { sourceKey: 'qc:7', suraId: '18', playlist }, noFetch),
+    { startIndex: 1, time: 0, exact: true }
+  );
+});
+
+test('ayahStartPoint seeks a Quran.com surah file to the timestamp', async () => {
+  const fetchImpl = async () => ({
+    ok: true,
+    json: async () => ({
+      audio_file: { timestamps: [{ verse_key: '18:10', timestamp_from: 61500, timestamp_to: 70000 }] }
+    })
+  });
+  assert.deepEqual(
+    await ayahStartPoint('18:10', { sourceKey: 'qc:7', suraId: '18', playlist: null }, fetchImpl),
+    { startIndex: 0, time: 61.5, exact: true }
+  );
+});
+
+test('ayahStartPoint starts from the top without timing', async () => {
+  const failing = async () => { throw new Error('offline'); };
+  assert.deepEqual(
+    await ayahStartPoint('18:10', { sourceKey: 'qc:7', suraId: '18', playlist: null }, failing),
+    { startIndex: 0, time: 0, exact: false }
+  );
+  assert.deepEqual(
+    await ayahStartPoint('18:10', { sourceKey: 'mp3:5', suraId: '18', playlist: null }, failing),
+    { startIndex: 0, time: 0, exact: false }
+  );
+});
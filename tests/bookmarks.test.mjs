@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createBookmark,
+  addBookmark,
+  removeBookmark,
+  sortBookmarks,
+  bookmarkStartPoint,
+  MAX_BOOKMARK_LABEL_LENGTH
+} from '../shared/bookmarks.js';
+
+const playlist = [{ verseKey: '2:1', url: 'a' }, { verseKey: '2:2', url: 'b' }, { verseKey: '2:3', url: 'c' }];
+
+test('createBookmark keeps surah, reciter, provider and position', () => {
+  const bookmark = createBookmark({
+    suraId: '2', reciterKey: 'qc_7', sourceKey: 'mp3_5', reciterName: 'Mishary', currentTime: 1234.8
+  }, '  Ayat al-Kursi ', 99);
+  assert.equal(bookmark.suraId, '2');
+  assert.equal(bookmark.reciterKey, 'qc_7');
+  assert.equal(bookmark.sourceKey, 'mp3_5');
+  assert.equal(bookmark.mode, 'surah');
+  assert.equal(bookmark.ayahKey, null);
+  assert.equal(bookmark.currentTime, 1234);
+  assert.equal(bookmark.label, 'Ayat al-Kursi');
+  assert.equal(bookmark.createdAt, 99);
+});
+
+test('createBookmark records the ayah in verse-by-verse playback', () => {
+  const bookmark = createBookmark({ suraId: '2', reciterKey: 'qc_7', playlist, ayahKey: '2:2', currentTime: 4 });
+  assert.equal(bookmark.mode, 'ayah');
+  assert.equal(bookmark.ayahKey, '2:2');
+  assert.equal(bookmark.sourceKey, 'qc_7');
+});
+
+test('createBookmark needs a loaded surah and trims long labels', () => {
+  assert.equal(createBookmark({ suraId: null, reciterKey: 'qc_7' }), null);
+  const long = createBookmark({ suraId: '1', reciterKey: 'qc_7' }, 'x'.repeat(100));
+  assert.equal(long.label.length, MAX_BOOKMARK_LABEL_LENGTH);
+});
+
+test('addBookmark drops the oldest past the cap and removeBookmark filters by id', () => {
+  let list = [];
+  for (let i = 0; i < 4; i++) list = addBookmark(list, { id: `b${i}` }, 3);
+  assert.deepEqual(list.map((b) => b.id), ['b1', 'b2', 'b3']);
+  assert.deepEqual(removeBookmark(list, 'b2').map((b) => b.id), ['b1', 'b3']);
+  assert.equal(addBookmark(list, null), list);
+});
+
+test('sortBookmarks orders by surah, ayah, then time', () => {
+  const sorted = sortBookmarks([
+    { id: 'c', suraId: '18', ayahKey: null, currentTime: 5 },
+    { id: 'b', suraId: '2', ayahKey: '2:255', currentTime: 0 },
+    { id: 'a', suraId: '2', ayahKey: '2:10', currentTime: 30 },
+    { id: 'd', suraId: '18', ayahKey: null, currentTime: 1 }
+  ]);
+  assert.deepEqual(sorted.map((b) => b.id), ['a', 'b', 'd', 'c']);
+});
+
+test('bookmarkStartPoint finds the ayah or falls back to the top of the surah', () => {
+  assert.deepEqual(bookmarkStartPoint({ ayahKey: null, currentTime: 300 }, null), { startIndex: 0, time: 300 });
+  assert.deepEqual(bookmarkStartPoint({ ayahKey: '2:3', currentTime: 4 }, playlist), { startIndex: 2, time: 4 });
+  assert.deepEqual(bookmarkStartPoint({ ayahKey: '2:3', currentTime: 4 }, null), { startIndex: 0, time: 0 });
+});
@@ -0,0 +1,20 @@
+// In-memory stand-in for chrome.storage.local / browser.storage.local. get()
+// takes one key or a list of keys and leaves missing keys out of the result,
+// as the real API does. `writes` records every set() for tests that count
+// them.
+export function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  const writes = [];
+  return {
+    data,
+    writes,
+    async get(keys) {
+      const wanted = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(wanted.filter((key) => key in data).map((key) => [key, data[key]]));
+    },
+    async set(items) {
+      writes.push(items);
+      Object.assign(data, items);
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normaliseHifzSettings, selectHifzRange, nextPlaylistStep, MAX_REPEAT } from '../shared/hifz.js';
+
+const fatiha = Array.from({ length: 7 }, (_, i) => ({
+  verseKey: `1:${i + 1}`,
+  url: `https://verses.quran.com/Alafasy/mp3/00100${i + 1}.mp3`
+}));
+
+test('normaliseHifzSettings clamps to the surah and swaps a reversed range', () => {
+  assert.deepEqual(
+    normaliseHifzSettings({ startAyah: 9, endAyah: 3, ayahRepeat: 0, rangeRepeat: 99 }, '1'),
+    { startAyah: 3, endAyah: 7, ayahRepeat: 1, rangeRepeat: MAX_REPEAT }
+  );
+});
+
+test('normaliseHifzSettings defaults to the whole surah once', () => {
+  assert.deepEqual(normaliseHifzSettings({}, 112), { startAyah: 1, endAyah: 4, ayahRepeat: 1, rangeRepeat: 1 });
+});
+
+test('normaliseHifzSettings rejects unknown surahs', () => {
+  assert.throws(() => normaliseHifzSettings({}, 0), /Unknown surah/);
+});
+
+test('selectHifzRange keeps each ayah of the range once', () => {
+  const range = selectHifzRange(fatiha, { startAyah: 2, endAyah: 3, ayahRepeat: 20, rangeRepeat: 20 });
+  assert.deepEqual(range.map((e) => e.verseKey), ['1:2', '1:3']);
+});
+
+test('selectHifzRange throws when the range has no audio', () => {
+  assert.throws(() => selectHifzRange([], { startAyah: 1, endAyah: 2 }), /No audio/);
+});
+
+test('nextPlaylistStep repeats each ayah, then the whole range', () => {
+  const playlist = selectHifzRange(fatiha, { startAyah: 2, endAyah: 3 });
+  let state = {
+    playlist,
+    playlistIndex: 0,
+    mode: 'hifz',
+    hifz: { startAyah: 2, endAyah: 3, ayahRepeat: 2, rangeRepeat: 2, ayahPass: 1, rangePass: 1 }
+  };
+  const heard = [];
+  while (state) {
+    heard.push(`${playlist[state.playlistIndex].verseKey}#${state.hifz.ayahPass}/${state.hifz.rangePass}`);
+    const step = nextPlaylistStep(state);
+    state = step && { ...state, ...step };
+  }
+  assert.deepEqual(heard, ['1:2#1/1', '1:2#2/1', '1:3#1/1', '1:3#2/1', '1:2#1/2', '1:2#2/2', '1:3#1/2', '1:3#2/2']);
+});
+
+test('nextPlaylistStep walks a verse-by-verse playlist once', () => {
+  assert.deepEqual(nextPlaylistStep({ playlist: fatiha, playlistIndex: 5, mode: 'ayah', hifz: null }), { playlistIndex: 6, hifz: null });
+  assert.equal(nextPlaylistStep({ playlist: fatiha, playlistIndex: 6, mode: 'ayah', hifz: null }), null);
+  assert.equal(nextPlaylistStep({ playlist: null, playlistIndex: 0, mode: 'surah' }), null);
+});
@@ -35,6 +35,12 @@ test('playingBannerLabel preserves substitution placeholders in every locale', (
   }
 });
 
+test('statusPlayingFrom preserves the provider placeholder in every locale', () => {
+  for (const lang of ['en', 'fr', 'ar']) {
+    assert.ok(I18N[lang].statusPlayingFrom.includes('{provider}'), `${lang} statusPlayingFrom missing {provider}`);
+  }
+});
+
 test('continueAffordance preserves substitution placeholders in every locale', () => {
   for (const lang of ['en', 'fr', 'ar']) {
     const v = I18N[lang].continueAffordance;
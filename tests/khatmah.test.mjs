@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  KHATMAH_KEY,
+  newKhatmah,
+  isSurahPlayedToEnd,
+  isSeekAhead,
+  markSurahComplete,
+  countCompleted,
+  recordSurahCompletion
+} from '../shared/khatmah.js';
+import { memoryStorage } from './helpers/storage.mjs';
+
+test('isSurahPlayedToEnd requires the position at the reported duration', () => {
+  assert.equal(isSurahPlayedToEnd({ suraId: '1', mode: 'surah', currentTime: 60, duration: 60.4 }), true);
+  assert.equal(isSurahPlayedToEnd({ suraId: '1', mode: 'surah', currentTime: 30, duration: 60 }), false);
+  assert.equal(isSurahPlayedToEnd({ suraId: '1', mode: 'surah', currentTime: 0, duration: 0 }), false);
+  assert.equal(isSurahPlayedToEnd({ suraId: '115', mode: 'surah', currentTime: 60, duration: 60 }), false);
+});
+
+test('isSurahPlayedToEnd ignores hifz ranges and unfinished ayah playlists', () => {
+  const base = { suraId: '1', currentTime: 5, duration: 5, playlist: ['a', 'b', 'c'], startIndex: 0 };
+  assert.equal(isSurahPlayedToEnd({ ...base, mode: 'ayah', playlistIndex: 2 }), true);
+  assert.equal(isSurahPlayedToEnd({ ...base, mode: 'ayah', playlistIndex: 1 }), false);
+  assert.equal(isSurahPlayedToEnd({ ...base, mode: 'hifz', playlistIndex: 2 }), false);
+});
+
+test('isSurahPlayedToEnd needs an ayah playlist heard from its first ayah', () => {
+  const base = { suraId: '1', mode: 'ayah', currentTime: 5, duration: 5, playlist: ['a', 'b', 'c'], playlistIndex: 2 };
+  assert.equal(isSurahPlayedToEnd({ ...base, startIndex: 0 }), true);
+  assert.equal(isSurahPlayedToEnd({ ...base, startIndex: 1 }), false);
+  assert.equal(isSurahPlayedToEnd(base), false);
+});
+
+test('isSurahPlayedToEnd ignores playback that skipped ahead', () => {
+  assert.equal(isSurahPlayedToEnd({ suraId: '1', mode: 'surah', currentTime: 60, duration: 60, seekedAhead: true }), false);
+  assert.equal(isSurahPlayedToEnd({
+    suraId: '1', mode: 'ayah', currentTime: 5, duration: 5, playlist: ['a', 'b'], playlistIndex: 1, startIndex: 0, seekedAhead: true
+  }), false);
+});
+
+test('isSeekAhead allows going back and tiny forward nudges', () => {
+  assert.equal(isSeekAhead(10, 40), true);
+  assert.equal(isSeekAhead(10, 10.5), false);
+  assert.equal(isSeekAhead(40, 10), false);
+  assert.equal(isSeekAhead(undefined, 30), true);
+});
+
+test('markSurahComplete starts a khatmah when none is stored', () => {
+  const progress = markSurahComplete(undefined, '18', 1000);
+  assert.equal(progress.number, 1);
+  assert.equal(progress.startedAt, 1000);
+  assert.deepEqual(progress.completed, { 18: 1000 });
+  assert.equal(countCompleted(progress), 1);
+});
+
+test('finishing the last surah files the khatmah and starts the next', () => {
+  const progress = newKhatmah(1, 100);
+  for (let id = 1; id <= 113; id++) progress.completed[id] = 200;
+  const next = markSurahComplete(progress, 114, 500);
+  assert.equal(next.number, 2);
+  assert.equal(next.startedAt, 500);
+  assert.equal(countCompleted(next), 0);
+  assert.deepEqual(next.history, [{ number: 1, startedAt: 100, finishedAt: 500 }]);
+});
+
+test('replaying a completed surah does not advance the count', () => {
+  const once = markSurahComplete(newKhatmah(1, 0), 2, 10);
+  assert.equal(countCompleted(markSurahComplete(once, '2', 20)), 1);
+});
+
+test('recordSurahCompletion writes only finished surahs', async () => {
+  const storage = memoryStorage();
+  assert.equal(await recordSurahCompletion(storage, { suraId: '1', mode: 'surah', currentTime: 3, duration: 60 }), null);
+  assert.equal(storage.data[KHATMAH_KEY], undefined);
+
+  const state = { suraId: '1', mode: 'surah', currentTime: 60, duration: 60 };
+  const pending = recordSurahCompletion(storage, state, 42);
+  state.suraId = '2';
+  await pending;
+  assert.deepEqual(storage.data[KHATMAH_KEY].completed, { 1: 42 });
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LISTENING_HISTORY_KEY,
+  accumulateListening,
+  createListeningTracker,
+  localDateKey,
+  startSession,
+  summariseHistory,
+  upsertSession
+} from '../shared/listening-history.js';
+import { memoryStorage } from './helpers/storage.mjs';
+
+test('accumulateListening counts small forward steps only', () => {
+  let session = startSession({ suraId: 18, reciterKey: 'qc:7' }, 1000);
+  session = accumulateListening(session, null, 0.25, 1100);
+  session = accumulateListening(session, 0.25, 0.75, 1600);
+  session = accumulateListening(session, 0.75, 120, 1800);
+  session = accumulateListening(session, 120, 3, 2000);
+  assert.equal(session.suraId, '18');
+  assert.equal(session.secondsHeard, 0.5);
+  assert.equal(session.endedAt, 2000);
+});
+
+test('upsertSession replaces by id and trims the oldest', () => {
+  const a = { id: 'a', secondsHeard: 1 };
+  const b = { id: 'b', secondsHeard: 1 };
+  let history = upsertSession(undefined, a);
+  history = upsertSession(history, b);
+  history = upsertSession(history, { ...a, secondsHeard: 5 });
+  assert.deepEqual(history.map((s) => s.id), ['b', 'a']);
+  assert.equal(history[1].secondsHeard, 5);
+  assert.deepEqual(upsertSession(history, { id: 'c' }, 2).map((s) => s.id), ['a', 'c']);
+});
+
+test('summariseHistory totals minutes per day and ranks surahs and reciters', () => {
+  const now = new Date(2026, 9, 19, 12).getTime();
+  const yesterday = new Date(2026, 9, 18, 23, 30).getTime();
+  const history = [
+    { id: '1', suraId: '18', reciterKey: 'qc:7', reciterName: 'Alafasy', startedAt: now, secondsHeard: 600, completed: true },
+    { id: '2', suraId: '1', reciterKey: 'mp3:1', reciterName: 'Basit', startedAt: yesterday, secondsHeard: 60, completed: true },
+    { id: '3', suraId: '18', reciterKey: 'mp3:1', reciterName: 'Basit', startedAt: yesterday, secondsHeard: 120, completed: false },
+    { id: '4', suraId: '2', reciterKey: 'qc:7', startedAt: now, secondsHeard: 0 }
+  ];
+  const { perDay, topSurahs, topReciters } = summariseHistory(history, { days: 3, now });
+  assert.deepEqual(perDay, [
+    { date: '2026-10-17', minutes: 0 },
+    { date: '2026-10-18', minutes: 3 },
+    { date: '2026-10-19', minutes: 10 }
+  ]);
+  assert.deepEqual(topSurahs[0], { suraId: '18', minutes: 12, plays: 2, completed: 1 });
+  assert.equal(topSurahs.length, 2);
+  assert.deepEqual(topReciters.map((r) => r.reciterKey), ['qc:7', 'mp3:1']);
+  assert.equal(topReciters[1].reciterName, 'Basit');
+});
+
+test('localDateKey uses the local calendar day', () => {
+  assert.equal(localDateKey(new Date(2026, 0, 5, 23, 59).getTime()), '2026-01-05');
+});
+
+test('the tracker writes one session per surah and marks completion', async () => {
+  const storage = memoryStorage();
+  let clock = 0;
+  const tracker = createListeningTracker(storage, { now: () => clock });
+  tracker.start({ suraId: '1', reciterKey: 'qc:7', reciterName: 'Alafasy' });
+  for (let t = 0; t <= 4; t += 0.25) {
+    clock += 250;
+    tracker.progress(t);
+  }
+  tracker.start({ suraId: '1', reciterKey: 'qc:7' });
+  await tracker.end({ suraId: '1', mode: 'surah', currentTime: 4, duration: 4 });
+  const [session] = storage.data[LISTENING_HISTORY_KEY];
+  assert.equal(storage.data[LISTENING_HISTORY_KEY].length, 1);
+  assert.equal(session.secondsHeard, 4);
+  assert.equal(session.completed, true);
+  assert.equal(session.reciterName, 'Alafasy');
+});
+
+test('the tracker leaves hifz ranges and surahs stopped short uncompleted', async () => {
+  const storage = memoryStorage();
+  let clock = 0;
+  const tracker = createListeningTracker(storage, { now: () => clock });
+  const ended = { mode: 'surah', currentTime: 60, duration: 60 };
+  for (const [suraId, state] of [['1', { ...ended, mode: 'hifz' }], ['2', { ...ended, currentTime: 30 }], ['3', ended]]) {
+    clock += 1000;
+    tracker.start({ suraId, reciterKey: 'qc:7' });
+    await tracker.end({ ...state, suraId });
+  }
+  assert.deepEqual(storage.data[LISTENING_HISTORY_KEY].map((s) => s.completed), [false, false, true]);
+});
+
+test('the tracker leaves partial playlists and skipped surahs uncompleted', async () => {
+  const storage = memoryStorage();
+  let clock = 0;
+  const tracker = createListeningTracker(storage, { now: () => clock });
+  const ended = { suraId: '1', currentTime: 5, duration: 5, playlist: ['a', 'b', 'c'], playlistIndex: 2 };
+  tracker.start({ suraId: '1', reciterKey: 'qc:7' });
+  await tracker.end({ ...ended, mode: 'ayah', startIndex: 1 });
+  clock += 1000;
+  tracker.start({ suraId: '2', reciterKey: 'qc:7' });
+  await tracker.end({ ...ended, suraId: '2', mode: 'ayah', startIndex: 0, seekedAhead: true });
+  clock += 1000;
+  tracker.start({ suraId: '3', reciterKey: 'qc:7' });
+  await tracker.end({ ...ended, suraId: '3', mode: 'ayah', startIndex: 0 });
+  assert.deepEqual(storage.data[LISTENING_HISTORY_KEY].map((s) => s.completed), [false, false, true]);
+});
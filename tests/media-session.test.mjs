@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMediaMetadata, updateMediaSession, bindMediaSessionHandlers } from '../shared/media-session.js';
+
+test('buildMediaMetadata names the surah, ayah and reciter', () => {
+  const meta = buildMediaMetadata(
+    { suraId: '18', reciterName: 'Mishari Rashid al-`Afasy', ayahKey: '18:10' },
+    'chrome-extension://id/assets/icon128.png'
+  );
+  assert.equal(meta.title, '18. Al-Kahf (18:10)');
+  assert.equal(meta.artist, 'Mishari Rashid al-`Afasy');
+  assert.deepEqual(meta.artwork, [
+    { src: 'chrome-extension://id/assets/icon128.png', sizes: '128x128', type: 'image/png' }
+  ]);
+});
+
+test('buildMediaMetadata tolerates missing reciter and artwork', () => {
+  const meta = buildMediaMetadata({ suraId: 1 });
+  assert.equal(meta.title, '1. Al-Fatihah');
+  assert.equal(meta.artist, '');
+  assert.deepEqual(meta.artwork, []);
+});
+
+test('session helpers are no-ops without navigator.mediaSession', () => {
+  assert.doesNotThrow(() => updateMediaSession({ suraId: '1', isPlaying: true }));
+  assert.doesNotThrow(() => bindMediaSessionHandlers({ play: () => {} }));
+});
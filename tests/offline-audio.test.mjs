@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addOfflineDownload,
+  findOfflineDownload,
+  formatBytes,
+  getOfflineAudio,
+  listOfflineDownloads,
+  removeOfflineDownload,
+  saveOfflineAudio,
+  deleteOfflineAudio,
+  totalOfflineBytes
+} from '../shared/offline-audio.js';
+
+function fakeCacheStorage() {
+  const entries = new Map();
+  const cache = {
+    put: async (url, response) => { entries.set(url, response); },
+    match: async (url) => entries.get(url)?.clone(),
+    delete: async (url) => entries.delete(url)
+  };
+  return { open: async () => cache, entries };
+}
+
+const kahf = { reciterKey: 'qc:7', sourceKey: 'qc:7', reciterName: 'Alafasy', suraId: '18', url: 'https://x/18.mp3', bytes: 3 * 1024 * 1024 };
+const fatiha = { reciterKey: 'mp3:1', sourceKey: 'mp3:1', reciterName: 'Basit', suraId: '1', url: 'https://x/001.mp3', bytes: 512 * 1024 };
+
+test('the download index adds, finds and removes by reciter and surah', () => {
+  let index = addOfflineDownload({}, kahf);
+  index = addOfflineDownload(index, fatiha);
+  assert.equal(findOfflineDownload(index, 'qc:7', '18'), kahf);
+  assert.equal(findOfflineDownload(index, 'qc:7', '1'), null);
+  index = removeOfflineDownload(index, 'qc:7', '18');
+  assert.equal(findOfflineDownload(index, 'qc:7', '18'), null);
+  assert.equal(findOfflineDownload(undefined, 'qc:7', '18'), null);
+});
+
+test('listOfflineDownloads sorts in mushaf order and totals the bytes', () => {
+  const index = addOfflineDownload(addOfflineDownload({}, kahf), fatiha);
+  assert.deepEqual(listOfflineDownloads(index).map((e) => e.suraId), ['1', '18']);
+  assert.equal(totalOfflineBytes(index), kahf.bytes + fatiha.bytes);
+  assert.equal(totalOfflineBytes(null), 0);
+});
+
+test('formatBytes picks KB or MB', () => {
+  assert.equal(formatBytes(0), '0 MB');
+  assert.equal(formatBytes(300 * 1024), '300 KB');
+  assert.equal(formatBytes(3.25 * 1024 * 1024), '3.3 MB');
+});
+
+test('saveOfflineAudio caches the body under its URL', async () => {
+  const cacheStorage = fakeCacheStorage();
+  const fetchImpl = async () => new Response(new Blob(['abc'], { type: 'audio/mpeg' }));
+  const size = await saveOfflineAudio('https://x/18.mp3', { cacheStorage, fetchImpl });
+  assert.equal(size, 3);
+  const blob = await getOfflineAudio('https://x/18.mp3', { cacheStorage });
+  assert.equal(await blob.text(), 'abc');
+  assert.equal(await deleteOfflineAudio('https://x/18.mp3', { cacheStorage }), true);
+  assert.equal(await getOfflineAudio('https://x/18.mp3', { cacheStorage }), null);
+});
+
+test('saveOfflineAudio rejects a failed response', async () => {
+  const cacheStorage = fakeCacheStorage();
+  const fetchImpl = async () => new Response('', { status: 404, statusText: 'Not Found' });
+  await assert.rejects(saveOfflineAudio('https://x/1.mp3', { cacheStorage, fetchImpl }), /status 404/);
+  assert.equal(cacheStorage.entries.size, 0);
+});
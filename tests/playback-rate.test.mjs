@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clampPlaybackRate,
+  rateForReciter,
+  rememberPlaybackRate,
+  DEFAULT_PLAYBACK_SETTINGS
+} from '../shared/playback-rate.js';
+
+test('clampPlaybackRate keeps rates within 0.5x-2x', () => {
+  assert.equal(clampPlaybackRate(0.25), 0.5);
+  assert.equal(clampPlaybackRate('1.5'), 1.5);
+  assert.equal(clampPlaybackRate(3), 2);
+  assert.equal(clampPlaybackRate('fast'), 1);
+  assert.equal(clampPlaybackRate(0), 1);
+});
+
+test('rateForReciter uses the global rate unless perReciter is on', () => {
+  const settings = { rate: 1.25, perReciter: false, reciterRates: { 'qc:7': 0.75 } };
+  assert.equal(rateForReciter(settings, 'qc:7'), 1.25);
+  assert.equal(rateForReciter({ ...settings, perReciter: true }, 'qc:7'), 0.75);
+  assert.equal(rateForReciter({ ...settings, perReciter: true }, 'qc:9'), 1.25);
+  assert.equal(rateForReciter(undefined, 'qc:7'), 1);
+});
+
+test('rememberPlaybackRate stores a per-reciter rate only when enabled', () => {
+  const off = rememberPlaybackRate(DEFAULT_PLAYBACK_SETTINGS, 'qc:7', 1.5);
+  assert.equal(off.rate, 1.5);
+  assert.deepEqual(off.reciterRates, {});
+
+  const on = rememberPlaybackRate({ ...off, perReciter: true }, 'qc:7', 0.75);
+  assert.equal(on.rate, 0.75);
+  assert.deepEqual(on.reciterRates, { 'qc:7': 0.75 });
+  assert.deepEqual(off.reciterRates, {}, 'input is not mutated');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstTrackUrl, shouldStartPrefetch, changesNextSurah, PREFETCH_LEAD_SECONDS } from '../shared/prefetch.js';
+
+test('firstTrackUrl prefers the first playlist entry', () => {
+  assert.equal(firstTrackUrl({ audioUrl: 'a.mp3', playlist: null }), 'a.mp3');
+  assert.equal(firstTrackUrl({ audioUrl: 'a.mp3', playlist: [{ url: 'b.mp3' }, { url: 'c.mp3' }] }), 'b.mp3');
+});
+
+test('shouldStartPrefetch waits for the lead window of the last track', () => {
+  assert.equal(shouldStartPrefetch({ currentTime: 10, duration: 600 }), false);
+  assert.equal(shouldStartPrefetch({ currentTime: 600 - PREFETCH_LEAD_SECONDS, duration: 600 }), true);
+  assert.equal(shouldStartPrefetch({ currentTime: 0, duration: NaN }), false);
+});
+
+test('shouldStartPrefetch ignores ayahs before the last one', () => {
+  const playlist = [{ url: '1' }, { url: '2' }, { url: '3' }];
+  assert.equal(shouldStartPrefetch({ playlist, playlistIndex: 1, currentTime: 4, duration: 5 }), false);
+  assert.equal(shouldStartPrefetch({ playlist, playlistIndex: 2, currentTime: 0, duration: 5 }), true);
+});
+
+test('changesNextSurah watches the autoplay settings and the active playlist', () => {
+  const selections = (oldValue, newValue) => ({ userSelections: { oldValue, newValue } });
+  assert.equal(changesNextSurah(selections({ suraId: '1', autoplayEnabled: true }, { suraId: '2', autoplayEnabled: true })), false);
+  assert.equal(changesNextSurah(selections({ autoplayEnabled: true }, { autoplayEnabled: false })), true);
+  assert.equal(changesNextSurah(selections({ autoplayMode: 'next' }, { autoplayMode: 'shuffle' })), true);
+
+  const lists = [{ id: 'a', name: 'A', suraIds: ['1', '2'] }];
+  const playlists = (oldValue, newValue) => ({ surahPlaylists: { oldValue, newValue } });
+  assert.equal(changesNextSurah(playlists({ lists, activeId: 'a', activeIndex: 0 }, { lists, activeId: 'a', activeIndex: 1 })), false);
+  assert.equal(changesNextSurah(playlists({ lists, activeId: 'a' }, { lists, activeId: null })), true);
+  assert.equal(changesNextSurah(playlists({ lists, activeId: 'a' }, { lists: [{ ...lists[0], suraIds: ['2'] }], activeId: 'a' })), true);
+  assert.equal(changesNextSurah({ audioState: { oldValue: {}, newValue: {} } }), false);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findReciterEntry,
+  getAlternateKeys,
+  getFailoverKeys,
+  getProviderLabel,
+  isProviderFailure,
+  playWithFailover
+} from '../shared/provider-failover.js';
+
+const reciters = [
+  { id: 'qc:7', altIds: ['mp3:123', 'islamic:ar.alafasy'] },
+  { id: 'mp3:9', altIds: [] }
+];
+
+test('findReciterEntry matches primary and alt ids', () => {
+  assert.equal(findReciterEntry(reciters, 'qc:7'), reciters[0]);
+  assert.equal(findReciterEntry(reciters, 'islamic:ar.alafasy'), reciters[0]);
+  assert.equal(findReciterEntry(reciters, 'qc:1'), null);
+});
+
+test('getAlternateKeys includes the primary for a saved alt id', () => {
+  assert.deepEqual(getAlternateKeys(reciters[0], 'qc:7'), ['mp3:123', 'islamic:ar.alafasy']);
+  assert.deepEqual(getAlternateKeys(reciters[0], 'mp3:123'), ['qc:7', 'islamic:ar.alafasy']);
+  assert.deepEqual(getAlternateKeys(null, 'qc:7'), []);
+});
+
+test('getFailoverKeys puts the preferred key first without duplicates', () => {
+  assert.deepEqual(getFailoverKeys('qc:7', ['mp3:123']), ['qc:7', 'mp3:123']);
+  assert.deepEqual(getFailoverKeys('qc:7', ['mp3:123'], 'mp3:123'), ['mp3:123', 'qc:7']);
+});
+
+test('getProviderLabel names the provider of a key', () => {
+  assert.equal(getProviderLabel('qc:7'), 'Quran.com');
+  assert.equal(getProviderLabel('7'), 'Quran.com');
+  assert.equal(getProviderLabel('mp3:123'), 'MP3Quran');
+  assert.equal(getProviderLabel('islamic:ar.alafasy'), 'Islamic.network');
+  assert.equal(getProviderLabel(null), '');
+});
+
+test('isProviderFailure retries network and missing-file errors only', () => {
+  assert.equal(isProviderFailure(new TypeError('Failed to fetch')), true);
+  assert.equal(isProviderFailure(new Error('API request failed with status 404: Not Found')), true);
+  assert.equal(isProviderFailure('Audio failed to load: MEDIA_ERR_SRC_NOT_SUPPORTED: Audio format not supported'), true);
+  assert.equal(isProviderFailure(new Error('Audio playback blocked by browser autoplay policy')), false);
+});
+
+test('playWithFailover moves on after provider failures', async () => {
+  const tried = [];
+  const outcome = await playWithFailover(['qc:7', 'mp3:123'], async (key) => {
+    tried.push(key);
+    if (key === 'qc:7') throw new Error('Audio load timeout after 15 seconds');
+    return 'ok';
+  });
+  assert.deepEqual(tried, ['qc:7', 'mp3:123']);
+  assert.deepEqual(outcome, { sourceKey: 'mp3:123', result: 'ok' });
+});
+
+test('playWithFailover stops on other errors and reports the last failure', async () => {
+  const blocked = new Error('Audio playback blocked by browser autoplay policy');
+  await assert.rejects(playWithFailover(['a', 'b'], async () => { throw blocked; }), blocked);
+  await assert.rejects(
+    playWithFailover(['a', 'b'], async (key) => { throw new Error(`Failed to fetch ${key}`); }),
+    /Failed to fetch b/
+  );
+});
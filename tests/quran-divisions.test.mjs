@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HIZB_STARTS, JUZ_STARTS, HIZB_COUNT, JUZ_COUNT, getJuz, getHizb, listDivisions } from '../shared/quran-divisions.js';
+import { getAyahCount } from '../shared/quran-meta.js';
+
+test('division tables have one start per division, in mushaf order', () => {
+  assert.equal(HIZB_STARTS.length, HIZB_COUNT);
+  assert.equal(JUZ_STARTS.length, JUZ_COUNT);
+  HIZB_STARTS.forEach(([sura, ayah], index) => {
+    assert.ok(ayah >= 1 && ayah <= getAyahCount(sura), `hizb ${index + 1} starts at a real ayah`);
+    if (index === 0) return;
+    const [prevSura, prevAyah] = HIZB_STARTS[index - 1];
+    assert.ok(sura > prevSura || (sura === prevSura && ayah > prevAyah), `hizb ${index + 1} follows hizb ${index}`);
+  });
+});
+
+test('getJuz places well-known ayahs', () => {
+  assert.equal(getJuz(1), 1);
+  assert.equal(getJuz(2, 141), 1);
+  assert.equal(getJuz(2, 142), 2);
+  assert.equal(getJuz(2, 255), 3);
+  assert.equal(getJuz(18, 74), 15);
+  assert.equal(getJuz(18, 75), 16);
+  assert.equal(getJuz(67), 29);
+  assert.equal(getJuz(78), 30);
+  assert.equal(getJuz(114, 6), 30);
+  assert.equal(getJuz(115), null);
+});
+
+test('getHizb places well-known ayahs', () => {
+  assert.equal(getHizb(2, 74), 1);
+  assert.equal(getHizb(2, 75), 2);
+  assert.equal(getHizb(36, 28), 45);
+  assert.equal(getHizb(86), 59);
+  assert.equal(getHizb(87), 60);
+});
+
+test('listDivisions gives each juz and hizb its start reference', () => {
+  const juz = listDivisions('juz');
+  assert.equal(juz.length, JUZ_COUNT);
+  assert.deepEqual(juz[15], { number: 16, suraId: '18', ayah: 75, verseKey: '18:75' });
+  const hizb = listDivisions('hizb');
+  assert.equal(hizb.length, HIZB_COUNT);
+  assert.equal(hizb[59].verseKey, '87:1');
+  hizb.forEach(({ number, suraId, ayah }) => assert.equal(getHizb(suraId, ayah), number));
+});
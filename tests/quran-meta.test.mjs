@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SURAH_AYAH_COUNTS,
+  SURAH_NAMES,
+  TOTAL_AYAHS,
+  getAyahCount,
+  getSurahName,
+  isValidSuraId,
+  toGlobalAyah,
+  fromGlobalAyah
+} from '../shared/quran-meta.js';
+
+test('the ayah table covers 114 surahs and 6236 ayahs', () => {
+  assert.equal(SURAH_AYAH_COUNTS.length, 114);
+  assert.equal(TOTAL_AYAHS, 6236);
+});
+
+test('getAyahCount resolves string and numeric ids', () => {
+  assert.equal(getAyahCount(1), 7);
+  assert.equal(getAyahCount('2'), 286);
+  assert.equal(getAyahCount('114'), 6);
+});
+
+test('getAyahCount returns 0 outside 1-114', () => {
+  assert.equal(getAyahCount(0), 0);
+  assert.equal(getAyahCount(115), 0);
+  assert.equal(getAyahCount('abc'), 0);
+  assert.equal(isValidSuraId('1.5'), false);
+});
+
+test('getSurahName returns the transliterated name', () => {
+  assert.equal(SURAH_NAMES.length, 114);
+  assert.equal(getSurahName('67'), 'Al-Mulk');
+  assert.equal(getSurahName(114), 'An-Nas');
+  assert.equal(getSurahName(0), '');
+});
+
+test('toGlobalAyah numbers ayahs across the whole mushaf', () => {
+  assert.equal(toGlobalAyah(1, 1), 1);
+  assert.equal(toGlobalAyah('2', 1), 8);
+  assert.equal(toGlobalAyah(2, 255), 262);
+  assert.equal(toGlobalAyah(114, 6), 6236);
+  assert.equal(toGlobalAyah(1, 8), 0);
+  assert.equal(toGlobalAyah(115, 1), 0);
+});
+
+test('fromGlobalAyah reverses toGlobalAyah', () => {
+  assert.deepEqual(fromGlobalAyah(1), { suraId: '1', ayah: 1 });
+  assert.deepEqual(fromGlobalAyah(8), { suraId: '2', ayah: 1 });
+  assert.deepEqual(fromGlobalAyah(262), { suraId: '2', ayah: 255 });
+  assert.deepEqual(fromGlobalAyah(6236), { suraId: '114', ayah: 6 });
+  assert.equal(fromGlobalAyah(0), null);
+  assert.equal(fromGlobalAyah(6237), null);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchUthmaniText,
+  fetchAyahTimings,
+  findAyahAt,
+  pickTranslationEdition,
+  stripTranslationMarkup,
+  fetchTranslation,
+  getCachedTranslation,
+  TRANSLATION_CACHE_KEY,
+  TRANSLATION_CACHE_LIMIT
+} from '../shared/quran-text.js';
+import { memoryStorage } from './helpers/storage.mjs';
+
+function jsonFetch(body, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return { ok: true, status: 200, json: async () => body };
+  };
+}
+
+test('fetchUthmaniText returns the verses in order', async () => {
+  const calls = [];
+  const verses = await fetchUthmaniText('112', jsonFetch({
+    verses: [{ verse_key: '112:1', text_uthmani: 'قُلْ هُوَ ٱللَّهُ أَحَدٌ' }]
+  }, calls));
+  assert.deepEqual(verses, [{ verseKey: '112:1', text: 'قُلْ هُوَ ٱللَّهُ أَحَدٌ' }]);
+  assert.match(calls[0], /quran\/verses\/uthmani\?chapter_number=112$/);
+});
+
+test('fetchUthmaniText rejects an empty answer', async () => {
+  await assert.rejects(fetchUthmaniText('1', jsonFetch({ verses: [] })), /No verses/);
+});
+
+test('fetchAyahTimings reads Quran.com timestamps', async () => {
+  const calls = [];
+  const timings = await fetchAyahTimings('qc:7', '1', jsonFetch({
+    audio_file: {
+      timestamps: [
+        { verse_key: '1:2', timestamp_from: 6000, timestamp_to: 11000 },
+        { verse_key: '1:1', timestamp_from: 0, timestamp_to: 6000 }
+      ]
+    }
+  }, calls));
+  assert.deepEqual(timings.map((t) => t.verseKey), ['1:1', '1:2']);
+  assert.match(calls[0], /chapter_recitations\/7\/1\?segments=true$/);
+});
+
+test('fetchAyahTimings is null for other providers and missing data', async () => {
+  const noFetch = async () => assert.fail('no request expected');
+  assert.equal(await fetchAyahTimings('mp3:5', '1', noFetch), null);
+  assert.equal(await fetchAyahTimings('islamic:ar.alafasy', '1', noFetch), null);
+  assert.equal(await fetchAyahTimings('qc:7', '1', jsonFetch({ audio_file: {} })), null);
+  assert.equal(await fetchAyahTimings('qc:7', '1', async () => ({ ok: false })), null);
+});
+
+test('findAyahAt finds the ayah containing a position', () => {
+  const timings = [
+    { verseKey: '1:1', from: 4000 },
+    { verseKey: '1:2', from: 9000 },
+    { verseKey: '1:3', from: 15000 }
+  ];
+  assert.equal(findAyahAt(timings, 0), null);
+  assert.equal(findAyahAt(timings, 4000), '1:1');
+  assert.equal(findAyahAt(timings, 12000), '1:2');
+  assert.equal(findAyahAt(timings, 99000), '1:3');
+  assert.equal(findAyahAt(null, 5000), null);
+});
+
+test('pickTranslationEdition keeps a valid choice per language', () => {
+  assert.equal(pickTranslationEdition('en', {}), 131);
+  assert.equal(pickTranslationEdition('en', { en: 20 }), 20);
+  assert.equal(pickTranslationEdition('fr', { en: 20 }), 31);
+  assert.equal(pickTranslationEdition('fr', { fr: 9999 }), 31);
+  assert.equal(pickTranslationEdition('ar', { ar: 20 }), null);
+});
+
+test('stripTranslationMarkup drops footnotes and tags', () => {
+  assert.equal(
+    stripTranslationMarkup('All praise is for Allah<sup foot_note=77>1</sup>—Lord of <i>all</i>  worlds,'),
+    'All praise is for Allah—Lord of all worlds,'
+  );
+});
+
+test('fetchTranslation keys the ayat of a surah', async () => {
+  const calls = [];
+  const verses = await fetchTranslation(20, '112', jsonFetch({
+    translations: [{ text: 'Say, "He is Allah, [who is] One,' }, { text: 'Allah, the Eternal Refuge.' }]
+  }, calls));
+  assert.deepEqual(verses, { '112:1': 'Say, "He is Allah, [who is] One,', '112:2': 'Allah, the Eternal Refuge.' });
+  assert.match(calls[0], /quran\/translations\/20\?chapter_number=112$/);
+});
+
+test('getCachedTranslation fetches once per edition and surah', async () => {
+  const storage = memoryStorage();
+  const calls = [];
+  const fetchImpl = jsonFetch({ translations: [{ text: 'In the Name of Allah' }] }, calls);
+  await getCachedTranslation(storage, 131, '1', fetchImpl);
+  const verses = await getCachedTranslation(storage, 131, '1', fetchImpl);
+  assert.deepEqual(verses, { '1:1': 'In the Name of Allah' });
+  assert.equal(calls.length, 1);
+  await getCachedTranslation(storage, 20, '1', fetchImpl);
+  assert.equal(calls.length, 2);
+});
+
+test('getCachedTranslation drops the oldest surahs past the limit', async () => {
+  const cache = {};
+  for (let sura = 1; sura <= TRANSLATION_CACHE_LIMIT; sura++) {
+    cache[`131|${sura}`] = { verses: {}, savedAt: sura };
+  }
+  const storage = memoryStorage({ [TRANSLATION_CACHE_KEY]: cache });
+  await getCachedTranslation(storage, 131, '114', jsonFetch({ translations: [{ text: 'Say' }] }), 1000);
+  const stored = storage.data[TRANSLATION_CACHE_KEY];
+  assert.equal(Object.keys(stored).length, TRANSLATION_CACHE_LIMIT);
+  assert.ok(stored['131|114']);
+  assert.equal(stored['131|1'], undefined);
+});
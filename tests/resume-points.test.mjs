@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RESUME_POINTS_KEY,
+  toResumePoint,
+  upsertResumePoint,
+  listRecentSessions,
+  recordResumePoint
+} from '../shared/resume-points.js';
+import { memoryStorage } from './helpers/storage.mjs';
+
+const baqarah = { suraId: '2', reciterKey: 'qc_7', sourceKey: 'mp3_5', currentTime: 900.6, duration: 7000, mode: 'surah' };
+
+test('toResumePoint keeps the position and provider', () => {
+  assert.deepEqual(toResumePoint(baqarah, 10), {
+    suraId: '2', reciterKey: 'qc_7', sourceKey: 'mp3_5', reciterName: null,
+    mode: 'surah', ayahKey: null, currentTime: 900, updatedAt: 10
+  });
+});
+
+test('toResumePoint skips the first few seconds unless an ayah has passed', () => {
+  assert.equal(toResumePoint({ ...baqarah, currentTime: 3 }), null);
+  const playlist = [{ verseKey: '2:1' }, { verseKey: '2:2' }];
+  const point = toResumePoint({ ...baqarah, currentTime: 1, playlist, playlistIndex: 1, ayahKey: '2:2' });
+  assert.equal(point.mode, 'ayah');
+  assert.equal(point.ayahKey, '2:2');
+});
+
+test('upsertResumePoint keeps one entry per surah and reciter, newest first', () => {
+  let points = upsertResumePoint([], baqarah, 1);
+  points = upsertResumePoint(points, { ...baqarah, suraId: '18', currentTime: 60 }, 2);
+  points = upsertResumePoint(points, { ...baqarah, currentTime: 1200 }, 3);
+  assert.deepEqual(points.map((p) => [p.suraId, p.currentTime]), [['2', 1200], ['18', 60]]);
+  points = upsertResumePoint(points, { ...baqarah, reciterKey: 'qc_2' }, 4);
+  assert.equal(points.length, 3);
+});
+
+test('upsertResumePoint caps the list and drops finished surahs', () => {
+  let points = [];
+  for (let id = 1; id <= 4; id++) points = upsertResumePoint(points, { ...baqarah, suraId: String(id) }, id, 3);
+  assert.deepEqual(points.map((p) => p.suraId), ['4', '3', '2']);
+  points = upsertResumePoint(points, { ...baqarah, suraId: '3', currentTime: 7000 }, 9, 3);
+  assert.deepEqual(points.map((p) => p.suraId), ['4', '2']);
+});
+
+test('upsertResumePoint leaves the list alone for a restart from the top', () => {
+  const points = upsertResumePoint([], baqarah, 1);
+  assert.equal(upsertResumePoint(points, { ...baqarah, currentTime: 0 }, 2), points);
+});
+
+test('listRecentSessions leaves out the live session', () => {
+  const points = [{ suraId: '2', reciterKey: 'qc_7' }, { suraId: '18', reciterKey: 'qc_7' }];
+  assert.deepEqual(listRecentSessions(points, { suraId: '2', reciterKey: 'qc_7' }).map((p) => p.suraId), ['18']);
+  assert.equal(listRecentSessions(points, null, 1).length, 1);
+});
+
+test('recordResumePoint writes only when the list changes', async () => {
+  const storage = memoryStorage();
+  const { writes, data } = storage;
+  await recordResumePoint(storage, { ...baqarah, currentTime: 1 });
+  assert.equal(writes.length, 0);
+  await recordResumePoint(storage, baqarah, 5);
+  assert.equal(data[RESUME_POINTS_KEY][0].currentTime, 900);
+});
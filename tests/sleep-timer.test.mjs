@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSleepTimer,
+  isSleepTimerActive,
+  sleepRemainingMs,
+  extendSleepTimer,
+  countSurahEnd,
+  sleepFadeStart,
+  fadeVolumeFactor,
+  SLEEP_FADE_MS
+} from '../shared/sleep-timer.js';
+
+test('createSleepTimer reads minute and surah choices', () => {
+  assert.deepEqual(createSleepTimer('15', 1000), { choice: '15', deadline: 1000 + 15 * 60_000 });
+  assert.deepEqual(createSleepTimer('surahs:1'), { choice: 'surahs:1', surahsLeft: 1 });
+  assert.equal(createSleepTimer('0'), null);
+  assert.equal(createSleepTimer('surahs:0'), null);
+  assert.equal(createSleepTimer(undefined), null);
+  assert.equal(createSleepTimer('soon'), null);
+});
+
+test('a deadline timer counts down and expires', () => {
+  const timer = createSleepTimer('30', 0);
+  assert.equal(isSleepTimerActive(timer, 60_000), true);
+  assert.equal(sleepRemainingMs(timer, 60_000), 29 * 60_000);
+  assert.equal(isSleepTimerActive(timer, 30 * 60_000), false);
+  assert.equal(sleepRemainingMs(timer, 30 * 60_000), null);
+  assert.equal(sleepRemainingMs(createSleepTimer('surahs:2')), null);
+});
+
+test('extendSleepTimer adds minutes or a surah to a live timer only', () => {
+  assert.equal(extendSleepTimer(createSleepTimer('15', 0), 60_000).deadline, 25 * 60_000);
+  assert.equal(extendSleepTimer(createSleepTimer('surahs:1')).surahsLeft, 2);
+  assert.equal(extendSleepTimer(createSleepTimer('15', 0), 16 * 60_000), null);
+  assert.equal(extendSleepTimer(null), null);
+});
+
+test('countSurahEnd stops when the last counted surah ends', () => {
+  const first = countSurahEnd(createSleepTimer('surahs:2'));
+  assert.deepEqual(first, { timer: { choice: 'surahs:2', surahsLeft: 1 }, stop: false });
+  assert.deepEqual(countSurahEnd(first.timer), { timer: null, stop: true });
+  const minutes = createSleepTimer('15', 0);
+  assert.deepEqual(countSurahEnd(minutes, 60_000), { timer: minutes, stop: false });
+  assert.deepEqual(countSurahEnd(null), { timer: null, stop: false });
+});
+
+test('countSurahEnd stops once the fade of a deadline timer has begun', () => {
+  const minutes = createSleepTimer('15', 0);
+  const fadeStart = 15 * 60_000 - SLEEP_FADE_MS;
+  assert.deepEqual(countSurahEnd(minutes, fadeStart - 1), { timer: minutes, stop: false });
+  assert.deepEqual(countSurahEnd(minutes, fadeStart), { timer: null, stop: true });
+  assert.deepEqual(countSurahEnd(minutes, 15 * 60_000 - 1), { timer: null, stop: true });
+});
+
+test('countSurahEnd clears an expired deadline timer without stopping', () => {
+  assert.deepEqual(countSurahEnd(createSleepTimer('15', 0), 20 * 60_000), { timer: null, stop: false });
+});
+
+test('the fade starts ahead of the deadline and ramps to silence', () => {
+  assert.equal(sleepFadeStart(createSleepTimer('15', 0)), 15 * 60_000 - SLEEP_FADE_MS);
+  assert.equal(sleepFadeStart(createSleepTimer('surahs:1')), null);
+  assert.equal(fadeVolumeFactor(0, 1000), 1);
+  assert.equal(fadeVolumeFactor(250, 1000), 0.75);
+  assert.equal(fadeVolumeFactor(2000, 1000), 0);
+  assert.equal(fadeVolumeFactor(0, 0), 0);
+});
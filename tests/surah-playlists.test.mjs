@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalisePlaylists,
+  parseSuraList,
+  createPlaylist,
+  renamePlaylist,
+  deletePlaylist,
+  addSuraToPlaylist,
+  removeSuraAt,
+  moveSura,
+  activatePlaylist,
+  getActivePlaylist,
+  setActiveIndex
+} from '../shared/surah-playlists.js';
+
+function friday() {
+  return createPlaylist(undefined, ' Friday ', ['18', '67'], 1).store;
+}
+
+test('parseSuraList reads numbers and ranges in either direction', () => {
+  assert.deepEqual(parseSuraList('18, 67'), ['18', '67']);
+  assert.deepEqual(parseSuraList('112-114 1'), ['112', '113', '114', '1']);
+  assert.deepEqual(parseSuraList('3-1'), ['3', '2', '1']);
+  assert.deepEqual(parseSuraList('0, 115, abc, 200-201, 36'), ['36']);
+});
+
+test('createPlaylist trims the name and rejects an empty one', () => {
+  const { store, id } = createPlaylist(undefined, '  Juz Amma ', parseSuraList('78-114'), 42);
+  assert.equal(id, 'pl-16');
+  assert.equal(store.lists[0].name, 'Juz Amma');
+  assert.equal(store.lists[0].suraIds.length, 37);
+  assert.equal(createPlaylist(store, '   ').id, null);
+});
+
+test('rename, add, remove and move edit one playlist', () => {
+  let store = friday();
+  const { id } = store.lists[0];
+  store = renamePlaylist(store, id, 'Jumu\'ah');
+  store = addSuraToPlaylist(store, id, 36);
+  store = addSuraToPlaylist(store, id, 999);
+  assert.deepEqual(store.lists[0].suraIds, ['18', '67', '36']);
+  store = moveSura(store, id, 2, 0);
+  assert.deepEqual(store.lists[0].suraIds, ['36', '18', '67']);
+  store = moveSura(store, id, 0, 10);
+  assert.deepEqual(store.lists[0].suraIds, ['18', '67', '36']);
+  store = removeSuraAt(store, id, 1);
+  assert.deepEqual(store.lists[0].suraIds, ['18', '36']);
+  assert.equal(store.lists[0].name, 'Jumu\'ah');
+  assert.equal(renamePlaylist(store, id, ' ').lists[0].name, 'Jumu\'ah');
+});
+
+test('deleting the active playlist stops following it', () => {
+  let store = friday();
+  const { id } = store.lists[0];
+  store = activatePlaylist(store, id, 1);
+  assert.equal(getActivePlaylist(store).id, id);
+  store = deletePlaylist(store, id);
+  assert.deepEqual(store, { lists: [], activeId: null, activeIndex: 0 });
+});
+
+test('normalisePlaylists drops an active id that no longer exists', () => {
+  assert.deepEqual(normalisePlaylists({ lists: [], activeId: 'gone', activeIndex: 3 }),
+    { lists: [], activeId: null, activeIndex: 0 });
+});
+
+test('setActiveIndex keeps whichever playlist is active', () => {
+  const store = activatePlaylist(friday(), friday().lists[0].id);
+  assert.equal(setActiveIndex(store, 1).activeIndex, 1);
+  const stopped = activatePlaylist(store, null);
+  assert.deepEqual(setActiveIndex(stopped, 1), stopped);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clampVolume,
+  normaliseVolumeSettings,
+  rmsDb,
+  dbToGain,
+  nextNormaliserGain,
+  NORMALISE_STEP_DB
+} from '../shared/volume.js';
+
+test('clampVolume keeps the volume between 0 and 1', () => {
+  assert.equal(clampVolume(0.4), 0.4);
+  assert.equal(clampVolume(-1), 0);
+  assert.equal(clampVolume(3), 1);
+  assert.equal(clampVolume('0.5'), 0.5);
+  assert.equal(clampVolume('loud'), 1);
+});
+
+test('normaliseVolumeSettings fills defaults', () => {
+  assert.deepEqual(normaliseVolumeSettings(undefined), { volume: 1, normalise: false });
+  assert.deepEqual(normaliseVolumeSettings({ volume: 0.3, normalise: 1 }), { volume: 0.3, normalise: true });
+});
+
+test('rmsDb measures a block of samples', () => {
+  assert.equal(rmsDb(new Float32Array(8)), -Infinity);
+  assert.equal(rmsDb([]), -Infinity);
+  assert.equal(Math.round(rmsDb(new Float32Array(8).fill(0.1))), -20);
+  assert.equal(Math.round(rmsDb([1, -1, 1, -1])), 0);
+});
+
+test('dbToGain converts decibels to a linear gain', () => {
+  assert.equal(dbToGain(0), 1);
+  assert.equal(Math.round(dbToGain(-20) * 100) / 100, 0.1);
+});
+
+test('nextNormaliserGain moves towards the target one step at a time', () => {
+  // A quiet recording at -32 dBFS wants +12 dB, reached in steps.
+  assert.equal(nextNormaliserGain(0, -32), NORMALISE_STEP_DB);
+  assert.equal(nextNormaliserGain(11, -32), 12);
+  // A loud one is cut.
+  assert.equal(nextNormaliserGain(0, -10), -NORMALISE_STEP_DB);
+  // Never past the bounds.
+  assert.equal(nextNormaliserGain(12, -60 + 15), 12);
+  assert.equal(nextNormaliserGain(-12, 0), -12);
+});
+
+test('nextNormaliserGain holds during silence', () => {
+  assert.equal(nextNormaliserGain(4, -70), 4);
+  assert.equal(nextNormaliserGain(4, -Infinity), 4);
+});